@@ -0,0 +1,411 @@
+import { world, BlockPermutation, BlockVolume, Dimension } from "@minecraft/server";
+import { Vec3 } from "./Vec3-Utils.js";
+import JobPromise from "./runJob-Utils.js";
+import Chunk from "./Chunk.js";
+import { ItemStackUtils } from "./Itemstack-Utils.js";
+
+/**
+ * Height of a slice, so a chunk column slice never exceeds the 32768 blocks `fillBlocks` accepts.
+ */
+const SLICE_HEIGHT = 128;
+
+/**
+ * Blocks read or written between two yields of an edit job.
+ */
+const BLOCKS_PER_STEP = 256;
+
+/**
+ * @typedef {Object} EditSlice
+ * @property {import("@minecraft/server").Vector3} from The smallest corner of the slice.
+ * @property {import("@minecraft/server").Vector3} to The largest corner of the slice.
+ * @property {number[]} runs Run-length encoded palette indices, as `[index, count, ...]`,
+ * in x, then z, then y order. An index of `-1` marks a block the edit left alone.
+ * @property {{ location: import("@minecraft/server").Vector3, items: (string | null)[] }[]} [containers]
+ * Contents of the recorded container blocks, in the format of {@link ItemStackUtils.stringifyItem}.
+ */
+
+/**
+ * The blocks an edit replaced, enough to put them back.
+ * @typedef {Object} EditRecord
+ * @property {string} dimension Id of the edited dimension.
+ * @property {{ typeId: string, states: Record<string, string | number | boolean> }[]} palette
+ * @property {EditSlice[]} slices
+ */
+
+/**
+ * @typedef {Object} EditOptions
+ * @property {boolean} [record=true] Whether to record the replaced blocks. The job then resolves to an {@link EditRecord}.
+ * @property {boolean} [loadChunks=true] Whether to load unloaded chunks with a ticking area while editing them.
+ * Otherwise, blocks in unloaded chunks are skipped.
+ * @property {import("./runJob-Utils.js").JobPool} [pool] Runs the edit in a pool instead of its own job.
+ * @property {number} [priority] Priority of the edit in its pool.
+ * @property {{ aborted: boolean, reason?: any }} [signal] Cancels the edit once aborted, slices already done stay edited.
+ * @property {(progress: number) => void} [onProgress] Called with the progress of the edit, from 0 to 1.
+ */
+
+/**
+ * Edits large areas of blocks in the background without freezing the server.
+ *
+ * Areas are sliced along chunk borders into pieces small enough for a single `fillBlocks` call,
+ * and each slice is edited in a generator job. Unloaded chunks are loaded through {@link Chunk} while they are edited.
+ * Every edit can record the blocks it replaced, and the contents of replaced containers, so it can be undone.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { BlockEditor } from "./Block-Editor.js";
+ *
+ * const overworld = world.getDimension("overworld");
+ *
+ * const record = await BlockEditor.fill(overworld, { x: 0, y: -60, z: 0 }, { x: 99, y: 0, z: 99 }, "minecraft:stone", {
+ *     onProgress: (progress) => console.warn(`${Math.floor(progress * 100)}%`),
+ * });
+ *
+ * -// Put back what the fill replaced
+ * await BlockEditor.restore(record);
+ */
+export class BlockEditor {
+	/**
+	 * Fills an area with a block.
+	 * @param {Dimension} dimension The dimension to edit.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the area.
+	 * @param {BlockPermutation | import("@minecraft/server").BlockType | string} block The block to fill with.
+	 * @param {EditOptions & { filter?: import("@minecraft/server").BlockFilter }} [options={}] Only blocks matching `filter` are replaced.
+	 * @returns {JobPromise} Resolves to the {@link EditRecord} of the replaced blocks, or `undefined` when not recording.
+	 */
+	static fill(dimension, from, to, block, options = {}) {
+		const { filter, record = true } = options;
+		return BlockEditor.#run(dimension, from, to, options, (slices) => {
+			const edit = BlockEditor.#createRecord(dimension);
+			return BlockEditor.#edit(
+				dimension,
+				slices,
+				options,
+				function* (slice) {
+					const volume = new BlockVolume(slice.from, slice.to);
+					if (record) {
+						const matching = filter && dimension.getBlocks(volume, filter, true);
+						yield* BlockEditor.#recordSlice(dimension, slice, edit, matching);
+					}
+					dimension.fillBlocks(volume, block, {
+						blockFilter: filter,
+						ignoreChunkBoundErrors: true,
+					});
+				},
+				() => (record ? edit : undefined),
+			);
+		});
+	}
+
+	/**
+	 * Replaces every block of a type in an area with another block.
+	 * @param {Dimension} dimension The dimension to edit.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the area.
+	 * @param {string} fromBlock The type id of the blocks to replace.
+	 * @param {BlockPermutation | import("@minecraft/server").BlockType | string} toBlock The block to replace with.
+	 * @param {EditOptions} [options={}]
+	 * @returns {JobPromise} Resolves to the {@link EditRecord} of the replaced blocks, or `undefined` when not recording.
+	 */
+	static replace(dimension, from, to, fromBlock, toBlock, options = {}) {
+		return BlockEditor.fill(dimension, from, to, toBlock, {
+			...options,
+			filter: { includeTypes: [fromBlock] },
+		});
+	}
+
+	/**
+	 * Finds the locations of the blocks matching a filter in an area.
+	 * @param {Dimension} dimension The dimension to search.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the area.
+	 * @param {import("@minecraft/server").BlockFilter} [filter={}] Block filter to check for.
+	 * @param {Omit<EditOptions, "record">} [options={}]
+	 * @returns {JobPromise} Resolves to the matching block locations.
+	 */
+	static getBlocks(dimension, from, to, filter = {}, options = {}) {
+		return BlockEditor.#run(dimension, from, to, options, (slices) => {
+			const locations = [];
+			return BlockEditor.#edit(
+				dimension,
+				slices,
+				options,
+				function* (slice) {
+					const volume = new BlockVolume(slice.from, slice.to);
+					let count = 0;
+					for (const location of dimension
+						.getBlocks(volume, filter, true)
+						.getBlockLocationIterator()) {
+						locations.push(location);
+						if (++count % BLOCKS_PER_STEP === 0) yield;
+					}
+				},
+				() => locations,
+			);
+		});
+	}
+
+	/**
+	 * Puts back the blocks of a record, undoing the edit that produced it.
+	 * @param {EditRecord} record The record to restore.
+	 * @param {EditOptions} [options={}]
+	 * @returns {JobPromise} Resolves to the {@link EditRecord} of the blocks the restore replaced, which redoes the edit,
+	 * or `undefined` when not recording.
+	 */
+	static restore(record, options = {}) {
+		const dimension = world.getDimension(record.dimension);
+		const recordRedo = options.record ?? true;
+		return BlockEditor.#start(() => {
+			const edit = BlockEditor.#createRecord(dimension);
+			const permutations = record.palette.map(({ typeId, states }) =>
+				BlockPermutation.resolve(typeId, states),
+			);
+			return BlockEditor.#edit(
+				dimension,
+				record.slices,
+				options,
+				function* ({ from, to, runs, containers = [] }) {
+					if (recordRedo)
+						yield* BlockEditor.#recordSlice(dimension, { from, to }, edit, undefined, runs);
+					const locations = BlockEditor.#locations({ from, to });
+					let count = 0;
+					for (let i = 0; i < runs.length; i += 2) {
+						for (let j = 0; j < runs[i + 1]; j++) {
+							const location = locations.next().value;
+							if (runs[i] !== -1)
+								dimension.getBlock(location)?.setPermutation(permutations[runs[i]]);
+							if (++count % BLOCKS_PER_STEP === 0) yield count;
+						}
+					}
+					for (const { location, items } of containers) {
+						const container = dimension
+							.getBlock(location)
+							?.getComponent("minecraft:inventory")?.container;
+						if (!container) continue;
+						const size = Math.min(container.size, items.length);
+						for (let i = 0; i < size; i++) {
+							container.setItem(i, items[i] ? ItemStackUtils.parseItem(items[i]) : undefined);
+						}
+					}
+				},
+				() => (recordRedo ? edit : undefined),
+			);
+		}, options);
+	}
+
+	/**
+	 * Records the blocks of an area right away, to undo a change made outside of the editor.
+	 * @remarks Meant for small areas, blocks in unloaded chunks are left out.
+	 * @param {Dimension} dimension The dimension of the area.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} [to=from] The opposite corner of the area.
+	 * @returns {EditRecord}
+	 * @example
+	 * const undo = BlockEditor.snapshot(block.dimension, block.location);
+	 * block.setType("minecraft:diamond_block");
+	 * BlockEditor.restore(undo);
+	 */
+	static snapshot(dimension, from, to = from) {
+		const [min, max] = Vec3.sort(BlockEditor.#floor(from), BlockEditor.#floor(to));
+		const edit = BlockEditor.#createRecord(dimension);
+		for (const slice of BlockEditor.#slice(min, max)) {
+			const recording = BlockEditor.#recordSlice(dimension, slice, edit);
+			while (!recording.next().done);
+		}
+		return edit;
+	}
+
+	/**
+	 * Counts the blocks a record would put back.
+	 * @param {EditRecord} record
+	 * @returns {number}
+	 */
+	static countBlocks(record) {
+		let count = 0;
+		for (const { runs } of record.slices) {
+			for (let i = 0; i < runs.length; i += 2) if (runs[i] !== -1) count += runs[i + 1];
+		}
+		return count;
+	}
+
+	/**
+	 * Slices an area and starts the job editing it.
+	 * @param {(slices: EditSlice[]) => Generator} job Creates the generator of the job.
+	 */
+	static #run(dimension, from, to, options, job) {
+		if (!(dimension instanceof Dimension)) throw new TypeError("Invalid dimension.");
+		const [min, max] = Vec3.sort(BlockEditor.#floor(from), BlockEditor.#floor(to));
+		const slices = BlockEditor.#slice(min, max);
+		return BlockEditor.#start(() => job(slices), options);
+	}
+
+	/**
+	 * Edits slices one by one, loading their chunk when needed and reporting the progress.
+	 * @param {Dimension} dimension
+	 * @param {{ from: import("@minecraft/server").Vector3, to: import("@minecraft/server").Vector3 }[]} slices
+	 * @param {EditOptions} options
+	 * @param {(slice: EditSlice) => Generator<number>} editSlice Edits a slice, yielding the amount of blocks written so far, or nothing when it can't tell.
+	 * @param {() => any} result Creates the result of the job once every slice is done.
+	 */
+	static *#edit(dimension, slices, options, editSlice, result) {
+		const total = slices.reduce((sum, slice) => sum + BlockEditor.#volume(slice), 0);
+		let done = 0;
+		let column;
+		let chunk;
+		try {
+			for (const slice of slices) {
+				const key = `${slice.from.x >> 4},${slice.from.z >> 4}`;
+				if (key !== column) {
+					chunk?.unloadChunk();
+					column = key;
+					chunk = yield* BlockEditor.#loadChunk(dimension, slice, options);
+				}
+				if (chunk !== null) {
+					for (const count of editSlice(slice)) yield (done + (count ?? 0)) / total;
+				}
+				done += BlockEditor.#volume(slice);
+				yield done / total;
+			}
+		} finally {
+			chunk?.unloadChunk();
+		}
+		return result();
+	}
+
+	static #start(generator, options) {
+		const { pool, priority, signal, onProgress } = options;
+		if (pool) return pool.add(generator, { priority, signal, onProgress });
+		return new JobPromise(generator, onProgress, { signal });
+	}
+
+	/**
+	 * Splits an area along chunk borders, and every {@link SLICE_HEIGHT} blocks vertically.
+	 * Slices of the same chunk column follow each other so the column is only loaded once.
+	 * @returns {{ from: import("@minecraft/server").Vector3, to: import("@minecraft/server").Vector3 }[]}
+	 */
+	static #slice(min, max) {
+		const slices = [];
+		for (let x = Math.floor(min.x / 16) * 16; x <= max.x; x += 16) {
+			for (let z = Math.floor(min.z / 16) * 16; z <= max.z; z += 16) {
+				for (let y = min.y; y <= max.y; y += SLICE_HEIGHT) {
+					slices.push({
+						from: { x: Math.max(x, min.x), y, z: Math.max(z, min.z) },
+						to: {
+							x: Math.min(x + 15, max.x),
+							y: Math.min(y + SLICE_HEIGHT - 1, max.y),
+							z: Math.min(z + 15, max.z),
+						},
+					});
+				}
+			}
+		}
+		return slices;
+	}
+
+	/**
+	 * Makes sure the chunk column of a slice is loaded.
+	 * @returns {Generator<undefined, Chunk | undefined | null>} The chunk if it was loaded for the slice,
+	 * `undefined` if it was already loaded, or `null` if it is unloaded and must be skipped.
+	 */
+	static *#loadChunk(dimension, slice, options) {
+		const location = { x: slice.from.x, y: slice.from.y, z: slice.from.z };
+		if (dimension.isChunkLoaded(location)) return undefined;
+		if (options.loadChunks === false) return null;
+
+		const chunk = new Chunk(location.x, location.z, dimension);
+		let state = "loading";
+		let reason;
+		chunk.loadChunk().then(
+			() => (state = "loaded"),
+			(error) => ((state = "failed"), (reason = error)),
+		);
+		while (state === "loading") yield;
+		if (state === "failed") {
+			throw new Error(`Could not load chunk [${chunk.worldX}, ${chunk.worldZ}]: ${reason}`);
+		}
+		return chunk;
+	}
+
+	/**
+	 * Reads the blocks of a slice into a record.
+	 * @param {Dimension} dimension
+	 * @param {{ from: import("@minecraft/server").Vector3, to: import("@minecraft/server").Vector3 }} slice
+	 * @param {EditRecord} edit
+	 * @param {import("@minecraft/server").ListBlockVolume} [matching] Only record the blocks inside this volume.
+	 * @param {number[]} [mask] Only record the blocks that aren't skipped by these runs.
+	 */
+	static *#recordSlice(dimension, slice, edit, matching, mask) {
+		const palette = BlockEditor.#paletteIndices.get(edit);
+		const runs = [];
+		const containers = [];
+		let maskIndex = 0;
+		let maskLeft = mask?.[1];
+		let count = 0;
+		for (const location of BlockEditor.#locations(slice)) {
+			let skip = matching ? !matching.isInside(location) : false;
+			if (mask) {
+				while (maskLeft === 0) maskLeft = mask[(maskIndex += 2) + 1];
+				skip ||= mask[maskIndex] === -1;
+				maskLeft--;
+			}
+			let index = -1;
+			const block = skip ? undefined : dimension.getBlock(location);
+			const permutation = block?.permutation;
+			if (permutation) {
+				const typeId = permutation.type.id;
+				const states = permutation.getAllStates();
+				const key = typeId + JSON.stringify(states);
+				index = palette.get(key);
+				if (index === undefined) {
+					index = edit.palette.push({ typeId, states }) - 1;
+					palette.set(key, index);
+				}
+				const container = !block.isAir && block.getComponent("minecraft:inventory")?.container;
+				if (container) {
+					const items = [];
+					for (let i = 0; i < container.size; i++) {
+						const item = container.getItem(i);
+						items.push(item ? ItemStackUtils.stringifyItem(item) : null);
+					}
+					containers.push({ location, items });
+				}
+			}
+			if (runs[runs.length - 2] === index) runs[runs.length - 1]++;
+			else runs.push(index, 1);
+			if (++count % BLOCKS_PER_STEP === 0) yield;
+		}
+		edit.slices.push(
+			containers.length
+				? { from: slice.from, to: slice.to, runs, containers }
+				: { from: slice.from, to: slice.to, runs },
+		);
+	}
+
+	/** @type {WeakMap<EditRecord, Map<string, number>>} Palette lookups of the records being built. */
+	static #paletteIndices = new WeakMap();
+
+	static #createRecord(dimension) {
+		const edit = { dimension: dimension.id, palette: [], slices: [] };
+		BlockEditor.#paletteIndices.set(edit, new Map());
+		return edit;
+	}
+
+	/**
+	 * Iterates the locations of a slice, in x, then z, then y order.
+	 */
+	static *#locations({ from, to }) {
+		for (let y = from.y; y <= to.y; y++) {
+			for (let z = from.z; z <= to.z; z++) {
+				for (let x = from.x; x <= to.x; x++) yield { x, y, z };
+			}
+		}
+	}
+
+	static #volume({ from, to }) {
+		return (to.x - from.x + 1) * (to.y - from.y + 1) * (to.z - from.z + 1);
+	}
+
+	static #floor({ x, y, z }) {
+		return { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+	}
+}
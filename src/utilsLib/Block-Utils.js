@@ -3,6 +3,7 @@ import * as mc from "@minecraft/server";
 const { ItemStack, world } = mc;
 
 import { nonSolidBlockTypes } from "./Types";
+import { BlockEditor } from "./Block-Editor.js";
 
 export class BlockUtils {
 
@@ -270,12 +271,15 @@ export class BlockUtils {
 	 * @param {mc.Vector3} endPosition The ending position of the area.
 	 * @param {string} fromBlock The type ID of the block to replace.
 	 * @param {string} toBlock The type ID of the block to replace with.
+	 * @param {import("./Edit-Session.js").EditSession} [session] Records the change so it can be undone.
 	 */
-	static replaceBlocksInArea(dimension, startPosition, endPosition, fromBlock, toBlock) {
-		dimension.fillBlocks(new mc.BlockVolume(startPosition, endPosition), toBlock, {
+	static replaceBlocksInArea(dimension, startPosition, endPosition, fromBlock, toBlock, session) {
+		const replace = () => dimension.fillBlocks(new mc.BlockVolume(startPosition, endPosition), toBlock, {
 			ignoreChunkBoundErrors: true,
 			blockFilter: { includeTypes: [fromBlock] }
 		});
+		if (session) session.recordArea(dimension, startPosition, endPosition, replace);
+		else replace();
 	}
 
 	/**
@@ -335,6 +339,36 @@ export class BlockUtils {
 		return blockVolumeList.getBlockLocationIterator();
 	}
 
+	/**
+	 * Replace blocks in an area of any size in the background, loading unloaded chunks while they are edited.
+	 * @param {mc.Dimension} dimension The dimension to replace blocks in.
+	 * @param {mc.Vector3} startPosition The starting position of the area.
+	 * @param {mc.Vector3} endPosition The ending position of the area.
+	 * @param {string} fromBlock The type ID of the block to replace.
+	 * @param {string} toBlock The type ID of the block to replace with.
+	 * @param {import("./Block-Editor.js").EditOptions} [options] Progress, cancellation and undo recording options.
+	 * @returns {import("./runJob-Utils.js").default} Resolves to the undo record of the edit, see {@link BlockEditor.restore}.
+	 * @example
+	 * const undo = await BlockUtils.replaceBlocksInAreaAsync(dimension, from, to, "minecraft:dirt", "minecraft:stone");
+	 * await BlockEditor.restore(undo);
+	 */
+	static replaceBlocksInAreaAsync(dimension, startPosition, endPosition, fromBlock, toBlock, options) {
+		return BlockEditor.replace(dimension, startPosition, endPosition, fromBlock, toBlock, options);
+	}
+
+	/**
+	 * Gets the locations of all the blocks that satisfy the filter in an area of any size, in the background.
+	 * @param {mc.Dimension} dimension The dimension to search for blocks in.
+	 * @param {mc.Vector3} from A location that represents a corner in a 3D rectangle.
+	 * @param {mc.Vector3} to A location that represents the opposite corner in a 3D rectangle.
+	 * @param {mc.BlockFilter} [filter] Block filter to check for.
+	 * @param {import("./Block-Editor.js").EditOptions} [options] Progress and cancellation options.
+	 * @returns {import("./runJob-Utils.js").default} Resolves to the matching block locations.
+	 */
+	static getBlocksAsync(dimension, from, to, filter, options) {
+		return BlockEditor.getBlocks(dimension, from, to, filter, options);
+	}
+
 	/**
 	 * Iterates over a BlockLocationIterator, calling the callback function for each block location.
 	 * If the callback returns `false`, iteration stops early.
@@ -352,10 +386,13 @@ export class BlockUtils {
 	/**
 	 * Destroys a specified block, dropping its loot. Plays the block destroy particle/sound effects.
 	 * @param {mc.Block} block The block to destroy.
+	 * @param {import("./Edit-Session.js").EditSession} [session] Records the change so it can be undone. The dropped loot is not taken back on undo.
 	 */
-	static destroyBlock(block) {
+	static destroyBlock(block, session) {
 		const { dimension, location } = block;
-		dimension.runCommand(`setblock ${location.x} ${location.y} ${location.z} air destroy`);
+		const destroy = () => dimension.runCommand(`setblock ${location.x} ${location.y} ${location.z} air destroy`);
+		if (session) session.record(block, destroy);
+		else destroy();
 	}
 
 	static getAllStates(block) {
@@ -363,10 +400,21 @@ export class BlockUtils {
 		return JSON.stringify(states);
 	}
 
-	static setPermutation(block, stateAdd, stateValue) {
-		const result = block.permutation.getAllStates();
-		result[stateAdd] = stateValue;
-		block.setPermutation(mc.BlockPermutation.resolve(block?.typeId, result));
+	/**
+	 * Sets a single state of a block, keeping its other states.
+	 * @param {mc.Block} block The block to change.
+	 * @param {string} stateAdd The name of the state.
+	 * @param {string|number|boolean} stateValue The new value of the state.
+	 * @param {import("./Edit-Session.js").EditSession} [session] Records the change so it can be undone.
+	 */
+	static setPermutation(block, stateAdd, stateValue, session) {
+		const change = () => {
+			const result = block.permutation.getAllStates();
+			result[stateAdd] = stateValue;
+			block.setPermutation(mc.BlockPermutation.resolve(block?.typeId, result));
+		};
+		if (session) session.record(block, change);
+		else change();
 	}
 
 	/**
@@ -378,7 +426,7 @@ export class BlockUtils {
 	 * @author `Remember M9`
 	 **/
 	static getComponents = (() => {
-		const components = Reflect.ownKeys(mc).reduce((list, key) => {
+		const components = Object.keys(mc).reduce((list, key) => {
 			if (/Block\w+Component$/.test(key)) {
 				if (key = mc[key].componentId) {
 					list.push(key);
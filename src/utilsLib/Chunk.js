@@ -97,13 +97,13 @@ export default class Chunk {
             console.warn("Failed to load chunk.");
         }
         return new Promise((res, rej) => {
-            const interval = system.runInterval(() => {
+            const interval = mc.system.runInterval(() => {
                 if (dim.isChunkLoaded(loc)) {
-                    system.clearRun(interval);
+                    mc.system.clearRun(interval);
                     return res("Loaded chunk.");
                 }
                 if (Date.now() > timeout) {
-                    system.clearRun(interval);
+                    mc.system.clearRun(interval);
                     dim.runCommand(`tickingarea remove "${id}"`);
                     return rej("Timed out while loading chunk.");
                 }
@@ -0,0 +1,540 @@
+import {
+	Player,
+	Dimension,
+	Direction,
+	BlockPermutation,
+	StructureRotation,
+	StructureMirrorAxis,
+} from "@minecraft/server";
+import { Vec3 } from "./Vec3-Utils.js";
+import { LocationUtils } from "./Location-Utils.js";
+import { DirectionUtils } from "./Direction-Utils.js";
+import JobPromise from "./runJob-Utils.js";
+
+/**
+ * Blocks placed between two yields of a paste job.
+ */
+const BLOCKS_PER_STEP = 256;
+
+/**
+ * Block states holding a direction, with each of their values and the direction it stands for.
+ */
+const directionStates = Object.entries({
+	"minecraft:cardinal_direction": [
+		["north", Direction.North],
+		["south", Direction.South],
+		["west", Direction.West],
+		["east", Direction.East],
+	],
+	"minecraft:facing_direction": [
+		["down", Direction.Down],
+		["up", Direction.Up],
+		["north", Direction.North],
+		["south", Direction.South],
+		["west", Direction.West],
+		["east", Direction.East],
+	],
+	"minecraft:block_face": [
+		["down", Direction.Down],
+		["up", Direction.Up],
+		["north", Direction.North],
+		["south", Direction.South],
+		["west", Direction.West],
+		["east", Direction.East],
+	],
+	facing_direction: [
+		[0, Direction.Down],
+		[1, Direction.Up],
+		[2, Direction.North],
+		[3, Direction.South],
+		[4, Direction.West],
+		[5, Direction.East],
+	],
+	weirdo_direction: [
+		[0, Direction.East],
+		[1, Direction.West],
+		[2, Direction.South],
+		[3, Direction.North],
+	],
+	direction: [
+		[0, Direction.South],
+		[1, Direction.West],
+		[2, Direction.North],
+		[3, Direction.East],
+	],
+	torch_facing_direction: [
+		["north", Direction.North],
+		["south", Direction.South],
+		["west", Direction.West],
+		["east", Direction.East],
+		["top", Direction.Up],
+	],
+}).map(([state, pairs]) => ({
+	state,
+	toDirection: new Map(pairs),
+	fromDirection: new Map(pairs.map(([value, direction]) => [direction, value])),
+}));
+
+/**
+ * Returns a copy of block states with every direction state transformed.
+ * @param {Record<string, string | number | boolean>} states
+ * @param {(direction: Direction) => Direction} transform Transforms a direction.
+ * @param {(value: number) => number} signRotation Transforms a `ground_sign_direction`, in 1/16th of a turn.
+ * @param {boolean} swapAxes Whether the horizontal `pillar_axis` values are swapped.
+ */
+function transformStates(states, transform, signRotation, swapAxes) {
+	const result = { ...states };
+	for (const { state, toDirection, fromDirection } of directionStates) {
+		const direction = toDirection.get(result[state]);
+		if (direction === undefined) continue;
+		const value = fromDirection.get(transform(direction));
+		if (value !== undefined) result[state] = value;
+	}
+	if (typeof result.ground_sign_direction === "number") {
+		result.ground_sign_direction = (signRotation(result.ground_sign_direction) + 16) % 16;
+	}
+	if (swapAxes && (result.pillar_axis === "x" || result.pillar_axis === "z")) {
+		result.pillar_axis = result.pillar_axis === "x" ? "z" : "x";
+	}
+	return result;
+}
+
+/**
+ * Turns a rotation into an amount of clockwise quarter turns.
+ * @param {StructureRotation} rotation
+ * @returns {number}
+ */
+function quarterTurns(rotation) {
+	switch (rotation) {
+		case StructureRotation.Rotate90:
+			return 1;
+		case StructureRotation.Rotate180:
+			return 2;
+		case StructureRotation.Rotate270:
+			return 3;
+		default:
+			return 0;
+	}
+}
+
+/**
+ * A cuboid selection of blocks in a dimension.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { Region } from "./Clipboard.js";
+ *
+ * world.afterEvents.playerBreakBlock.subscribe(({ player, block }) => Region.select(player, 1, block.location));
+ * world.afterEvents.itemUseOn.subscribe(({ source, block }) => Region.select(source, 2, block.location));
+ *
+ * const region = Region.getSelection(player);
+ * if (region) player.sendMessage(`Selected ${region.volume} blocks`);
+ */
+export class Region {
+	/** @type {Map<string, { dimension: Dimension, positions: import("@minecraft/server").Vector3[] }>} */
+	static #selections = new Map();
+
+	/**
+	 * @param {Dimension} dimension The dimension of the region.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the region.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the region.
+	 * @throws {TypeError} If the dimension is invalid.
+	 */
+	constructor(dimension, from, to) {
+		if (!(dimension instanceof Dimension)) throw new TypeError("Invalid dimension.");
+		const floor = ({ x, y, z }) => ({ x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) });
+		[this.min, this.max] = Vec3.sort(floor(from), floor(to));
+		this.dimension = dimension;
+	}
+
+	/**
+	 * Sets one of the two corners a player selected.
+	 * @param {Player} player The player selecting.
+	 * @param {1 | 2} index Which corner is set.
+	 * @param {import("@minecraft/server").Vector3} location The location of the corner.
+	 * @param {Dimension} [dimension=player.dimension] The dimension of the selection, selecting in another dimension starts a new selection.
+	 */
+	static select(player, index, location, dimension = player.dimension) {
+		let selection = Region.#selections.get(player.id);
+		if (selection?.dimension.id !== dimension.id) {
+			selection = { dimension, positions: [] };
+			Region.#selections.set(player.id, selection);
+		}
+		selection.positions[index - 1] = { x: location.x, y: location.y, z: location.z };
+	}
+
+	/**
+	 * Gets the region a player selected.
+	 * @param {Player} player
+	 * @returns {Region | undefined} The region, or `undefined` if a corner is missing.
+	 */
+	static getSelection(player) {
+		const selection = Region.#selections.get(player.id);
+		const [from, to] = selection?.positions ?? [];
+		if (!from || !to) return undefined;
+		return new Region(selection.dimension, from, to);
+	}
+
+	/**
+	 * Forgets the selection of a player.
+	 * @param {Player} player
+	 */
+	static clearSelection(player) {
+		Region.#selections.delete(player.id);
+	}
+
+	/**
+	 * The size of the region on each axis.
+	 * @type {import("@minecraft/server").Vector3}
+	 */
+	get size() {
+		return Vec3.add(Vec3.subtract(this.max, this.min), { x: 1, y: 1, z: 1 });
+	}
+
+	/**
+	 * The amount of blocks in the region.
+	 * @type {number}
+	 */
+	get volume() {
+		const { x, y, z } = this.size;
+		return x * y * z;
+	}
+
+	/**
+	 * Checks if a location is inside the region.
+	 * @param {import("@minecraft/server").Vector3} location
+	 * @returns {boolean}
+	 */
+	contains(location) {
+		const { min, max } = this;
+		return (
+			location.x >= min.x &&
+			location.x < max.x + 1 &&
+			location.y >= min.y &&
+			location.y < max.y + 1 &&
+			location.z >= min.z &&
+			location.z < max.z + 1
+		);
+	}
+
+	/**
+	 * Returns a region grown by an amount of blocks on every side, or on each axis.
+	 * @param {number | import("@minecraft/server").Vector3} amount Negative amounts shrink the region.
+	 * @returns {Region}
+	 */
+	expand(amount) {
+		const grow = typeof amount === "number" ? { x: amount, y: amount, z: amount } : amount;
+		return new Region(this.dimension, Vec3.subtract(this.min, grow), Vec3.add(this.max, grow));
+	}
+
+	/**
+	 * Returns the region moved by an offset.
+	 * @param {import("@minecraft/server").Vector3} offset
+	 * @returns {Region}
+	 */
+	shift(offset) {
+		return new Region(this.dimension, Vec3.add(this.min, offset), Vec3.add(this.max, offset));
+	}
+
+	/**
+	 * Copies the blocks of the region.
+	 * @param {import("@minecraft/server").Vector3} [origin=this.min] The location the clipboard is pasted and rotated around.
+	 * @returns {Clipboard}
+	 */
+	copy(origin = this.min) {
+		return Clipboard.copy(this.dimension, this.min, this.max, origin);
+	}
+}
+
+/**
+ * Block permutations copied from a cuboid, relative to an origin, that can be rotated, mirrored and pasted elsewhere.
+ * Direction states such as `minecraft:cardinal_direction`, `facing_direction` and `weirdo_direction` follow the rotation.
+ *
+ * @example
+ * import { world, StructureRotation, StructureMirrorAxis } from "@minecraft/server";
+ * import { Clipboard } from "./Clipboard.js";
+ * import { Database } from "./Databases/Database.js";
+ *
+ * const schematics = new Database("schematics");
+ *
+ * const house = Clipboard.copy(player.dimension, { x: 0, y: 64, z: 0 }, { x: 10, y: 72, z: 8 }, player.location);
+ * schematics.set("house", house);
+ *
+ * await Clipboard.fromJSON(schematics.get("house"))
+ *     .rotate(StructureRotation.Rotate90)
+ *     .mirror(StructureMirrorAxis.X)
+ *     .paste(player.dimension, player.location);
+ */
+export class Clipboard {
+	static Version = 1;
+
+	/** @type {import("@minecraft/server").Vector3} */
+	#size;
+	/** @type {import("@minecraft/server").Vector3} */
+	#origin;
+	/** @type {{ typeId: string, states: Record<string, string | number | boolean> }[]} */
+	#palette;
+	/** @type {number[]} Palette index of each block in x, then z, then y order, `-1` if it wasn't copied. */
+	#blocks;
+
+	/**
+	 * @param {import("@minecraft/server").Vector3} size The size of the clipboard on each axis.
+	 * @param {import("@minecraft/server").Vector3} origin The origin, relative to the smallest corner.
+	 * @param {{ typeId: string, states: Record<string, string | number | boolean> }[]} palette
+	 * @param {number[]} blocks Palette index of each block in x, then z, then y order, `-1` if it wasn't copied.
+	 */
+	constructor(size, origin, palette, blocks) {
+		this.#size = size;
+		this.#origin = origin;
+		this.#palette = palette;
+		this.#blocks = blocks;
+	}
+
+	/**
+	 * Copies the blocks of a cuboid.
+	 * @remarks Blocks in unloaded chunks are left out of the clipboard.
+	 * @param {Dimension} dimension The dimension to copy from.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the cuboid.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the cuboid.
+	 * @param {import("@minecraft/server").Vector3} [origin] The location the clipboard is pasted and rotated around. Defaults to the smallest corner.
+	 * @returns {Clipboard}
+	 */
+	static copy(dimension, from, to, origin) {
+		const { min, max } = new Region(dimension, from, to);
+		const size = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+		const palette = [];
+		const indices = new Map();
+		const blocks = [];
+		for (let y = min.y; y <= max.y; y++) {
+			for (let z = min.z; z <= max.z; z++) {
+				for (let x = min.x; x <= max.x; x++) {
+					const permutation = dimension.getBlock({ x, y, z })?.permutation;
+					if (!permutation) {
+						blocks.push(-1);
+						continue;
+					}
+					const typeId = permutation.type.id;
+					const states = permutation.getAllStates();
+					const key = typeId + JSON.stringify(states);
+					let index = indices.get(key);
+					if (index === undefined) {
+						index = palette.push({ typeId, states }) - 1;
+						indices.set(key, index);
+					}
+					blocks.push(index);
+				}
+			}
+		}
+		const relative = origin
+			? {
+					x: Math.floor(origin.x) - min.x,
+					y: Math.floor(origin.y) - min.y,
+					z: Math.floor(origin.z) - min.z,
+				}
+			: { x: 0, y: 0, z: 0 };
+		return new Clipboard(size, relative, palette, blocks);
+	}
+
+	/**
+	 * Reads a clipboard back from {@link toJSON}.
+	 * @param {ReturnType<Clipboard["toJSON"]> | string} data The serialized clipboard, or its JSON string.
+	 * @returns {Clipboard}
+	 * @throws {Error} If the data version is not supported.
+	 */
+	static fromJSON(data) {
+		if (typeof data === "string") data = JSON.parse(data);
+		if (data.version > Clipboard.Version) {
+			throw new Error(`Unsupported clipboard version: ${data.version}`);
+		}
+		const blocks = [];
+		for (let i = 0; i < data.runs.length; i += 2) {
+			for (let j = 0; j < data.runs[i + 1]; j++) blocks.push(data.runs[i]);
+		}
+		return new Clipboard(data.size, data.origin, data.palette, blocks);
+	}
+
+	/**
+	 * The size of the clipboard on each axis.
+	 * @type {import("@minecraft/server").Vector3}
+	 */
+	get size() {
+		return { ...this.#size };
+	}
+
+	/**
+	 * The origin of the clipboard, relative to its smallest corner.
+	 * @type {import("@minecraft/server").Vector3}
+	 */
+	get origin() {
+		return { ...this.#origin };
+	}
+
+	/**
+	 * Rotates the clipboard clockwise around its origin.
+	 * @param {StructureRotation} [rotation=StructureRotation.Rotate90]
+	 * @returns {this}
+	 */
+	rotate(rotation = StructureRotation.Rotate90) {
+		const turns = quarterTurns(rotation);
+		if (!turns) return this;
+		const size = this.#size;
+		const origin = this.#origin;
+		const newSize = turns % 2 ? { x: size.z, y: size.y, z: size.x } : { ...size };
+		// Where the rotated smallest corner ends up, relative to the origin.
+		const corners = [
+			{ x: -origin.x, y: 0, z: -origin.z },
+			{ x: size.x - 1 - origin.x, y: 0, z: size.z - 1 - origin.z },
+		].map((corner) => LocationUtils.rotateOffset(corner, rotation));
+		const newOrigin = {
+			x: -Math.min(corners[0].x, corners[1].x),
+			y: origin.y,
+			z: -Math.min(corners[0].z, corners[1].z),
+		};
+
+		const blocks = new Array(this.#blocks.length);
+		this.#forEach((x, y, z, index) => {
+			const offset = { x: x - origin.x, y: 0, z: z - origin.z };
+			const rotated = LocationUtils.rotateOffset(offset, rotation);
+			blocks[this.#indexOf(rotated.x + newOrigin.x, y, rotated.z + newOrigin.z, newSize)] = index;
+		});
+
+		const transform = (direction) => {
+			if (direction === Direction.Up || direction === Direction.Down) return direction;
+			for (let i = 0; i < turns; i++) direction = DirectionUtils.ClockwisePerpendiculars[direction];
+			return direction;
+		};
+		this.#palette = this.#palette.map(({ typeId, states }) => ({
+			typeId,
+			states: transformStates(states, transform, (value) => value + turns * 4, turns % 2 === 1),
+		}));
+		this.#size = newSize;
+		this.#origin = newOrigin;
+		this.#blocks = blocks;
+		return this;
+	}
+
+	/**
+	 * Mirrors the clipboard around its origin.
+	 * `X` flips it from east to west, `Z` from north to south, and `XZ` both.
+	 * @param {StructureMirrorAxis} axis
+	 * @returns {this}
+	 */
+	mirror(axis) {
+		const flipX = axis === StructureMirrorAxis.X || axis === StructureMirrorAxis.XZ;
+		const flipZ = axis === StructureMirrorAxis.Z || axis === StructureMirrorAxis.XZ;
+		if (!flipX && !flipZ) return this;
+		const size = this.#size;
+
+		const blocks = new Array(this.#blocks.length);
+		this.#forEach((x, y, z, index) => {
+			const mirroredX = flipX ? size.x - 1 - x : x;
+			const mirroredZ = flipZ ? size.z - 1 - z : z;
+			blocks[this.#indexOf(mirroredX, y, mirroredZ, size)] = index;
+		});
+
+		const transform = (direction) => {
+			const axisOf = DirectionUtils.SameAxis[direction];
+			if ((flipX && axisOf === Direction.East) || (flipZ && axisOf === Direction.North)) {
+				return DirectionUtils.reverse(direction);
+			}
+			return direction;
+		};
+		const signMirror = (value) => {
+			if (flipX) value = 16 - value;
+			if (flipZ) value = 24 - value;
+			return value;
+		};
+		this.#palette = this.#palette.map(({ typeId, states }) => ({
+			typeId,
+			states: transformStates(states, transform, signMirror, false),
+		}));
+		this.#origin = {
+			x: flipX ? size.x - 1 - this.#origin.x : this.#origin.x,
+			y: this.#origin.y,
+			z: flipZ ? size.z - 1 - this.#origin.z : this.#origin.z,
+		};
+		this.#blocks = blocks;
+		return this;
+	}
+
+	/**
+	 * Places the clipboard so its origin lands on a location, in the background.
+	 * @param {Dimension} dimension The dimension to paste in.
+	 * @param {import("@minecraft/server").Vector3} location Where the origin of the clipboard lands.
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.includeAir=true] Whether copied air replaces the blocks it lands on.
+	 * @param {(progress: number) => void} [options.onProgress] Called with the progress of the paste, from 0 to 1.
+	 * @returns {JobPromise} Resolves to the amount of blocks placed.
+	 */
+	paste(dimension, location, options = {}) {
+		const { includeAir = true, onProgress } = options;
+		const start = Vec3.subtract(
+			{ x: Math.floor(location.x), y: Math.floor(location.y), z: Math.floor(location.z) },
+			this.#origin,
+		);
+		const permutations = this.#palette.map(({ typeId, states }) => {
+			try {
+				return BlockPermutation.resolve(typeId, states);
+			} catch {
+				console.warn(`Invalid states for <${typeId}> in clipboard, pasting its default state.`);
+				return BlockPermutation.resolve(typeId);
+			}
+		});
+		const size = this.#size;
+		const blocks = this.#blocks;
+
+		return new JobPromise(function* () {
+			let placed = 0;
+			for (let i = 0; i < blocks.length; i++) {
+				const index = blocks[i];
+				const permutation = permutations[index];
+				if (index !== -1 && (includeAir || permutation.type.id !== "minecraft:air")) {
+					const x = i % size.x;
+					const z = Math.floor(i / size.x) % size.z;
+					const y = Math.floor(i / (size.x * size.z));
+					const block = dimension.getBlock({ x: start.x + x, y: start.y + y, z: start.z + z });
+					if (block) {
+						block.setPermutation(permutation);
+						placed++;
+					}
+				}
+				if (i % BLOCKS_PER_STEP === 0) yield i / blocks.length;
+			}
+			return placed;
+		}, onProgress);
+	}
+
+	/**
+	 * Serializes the clipboard, with the blocks run-length encoded. `JSON.stringify` uses it automatically.
+	 * @returns {{ version: number, size: import("@minecraft/server").Vector3, origin: import("@minecraft/server").Vector3, palette: { typeId: string, states: Record<string, string | number | boolean> }[], runs: number[] }}
+	 */
+	toJSON() {
+		const runs = [];
+		for (const index of this.#blocks) {
+			if (runs[runs.length - 2] === index) runs[runs.length - 1]++;
+			else runs.push(index, 1);
+		}
+		return {
+			version: Clipboard.Version,
+			size: this.size,
+			origin: this.origin,
+			palette: this.#palette,
+			runs,
+		};
+	}
+
+	/**
+	 * Calls a function with the local coordinates and palette index of every block.
+	 * @param {(x: number, y: number, z: number, index: number) => void} callback
+	 */
+	#forEach(callback) {
+		const { x: sizeX, z: sizeZ } = this.#size;
+		this.#blocks.forEach((index, i) => {
+			callback(i % sizeX, Math.floor(i / (sizeX * sizeZ)), Math.floor(i / sizeX) % sizeZ, index);
+		});
+	}
+
+	#indexOf(x, y, z, size) {
+		return x + size.x * (z + size.z * y);
+	}
+}
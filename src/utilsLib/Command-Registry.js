@@ -0,0 +1,703 @@
+import {
+	world,
+	system,
+	Player,
+	BlockTypes,
+	ItemTypes,
+	PlayerPermissionLevel,
+	CommandPermissionLevel,
+	CustomCommandParamType,
+	CustomCommandStatus,
+} from "@minecraft/server";
+import { LocationUtils } from "./Location-Utils.js";
+import { color } from "./Color-Utils.js";
+
+/**
+ * The types of command arguments.
+ */
+export const ArgumentType = {
+	/** A whole number. */
+	Int: "int",
+	/** A decimal number. */
+	Float: "float",
+	/** An online player, by name. `@s` is the player running the command. */
+	Player: "player",
+	/** Three coordinates, each absolute or relative like `~ ~1 ~`, or all three local like `^ ^ ^2`. */
+	Location: "location",
+	/** A block type id, `minecraft:` can be left out. */
+	BlockType: "blockType",
+	/** An item type id, `minecraft:` can be left out. */
+	ItemType: "itemType",
+	/** One of the argument `values`. */
+	Enum: "enum",
+	/** A word, or text between double quotes. */
+	String: "string",
+};
+
+/**
+ * The native parameter type of each argument type, for slash commands.
+ */
+const NATIVE_TYPES = {
+	[ArgumentType.Int]: CustomCommandParamType.Integer,
+	[ArgumentType.Float]: CustomCommandParamType.Float,
+	[ArgumentType.Player]: CustomCommandParamType.PlayerSelector,
+	[ArgumentType.Location]: CustomCommandParamType.Location,
+	[ArgumentType.BlockType]: CustomCommandParamType.BlockType,
+	[ArgumentType.ItemType]: CustomCommandParamType.ItemType,
+	[ArgumentType.Enum]: CustomCommandParamType.Enum,
+	[ArgumentType.String]: CustomCommandParamType.String,
+};
+
+/**
+ * An error shown to the player running a command, instead of being logged.
+ * Throw it from a command to report wrong input.
+ *
+ * @example
+ * run({ player, args }) {
+ *     if (!homes.has(args.name)) throw new CommandError(`You have no home named ${args.name}.`);
+ * }
+ */
+export class CommandError extends Error {
+	name = "CommandError";
+}
+
+/**
+ * @typedef {Object} ArgumentDefinition
+ * @property {string} name The name of the argument, its value is `args[name]`.
+ * @property {string} type One of the {@link ArgumentType} values.
+ * @property {boolean} [optional=false] Whether the argument can be left out. Only the last arguments can be optional.
+ * @property {string[]} [values] The accepted values of an enum argument.
+ * @property {number} [min] The lowest accepted value of a number argument.
+ * @property {number} [max] The highest accepted value of a number argument.
+ * @property {boolean} [rest=false] Whether the last string argument takes the rest of the input, words joined
+ * with spaces. Slash commands still take a single word or quoted text.
+ */
+
+/**
+ * @typedef {Object} CommandPermission
+ * @property {boolean} [op] Whether operators may run the command.
+ * @property {string[]} [tags] Players with any of these tags may run the command.
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {Player} player The player running the command.
+ * @property {Record<string, any>} args The parsed arguments, optional arguments left out are `undefined`.
+ * @property {Command} command The command being run.
+ * @property {(message: string) => void} reply Sends a message to the player.
+ */
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} name The name of the command, letters, digits, `_` and `-` only.
+ * @property {string} [description] Shown in the help.
+ * @property {string[]} [aliases] Other names of the command.
+ * @property {CommandPermission} [permission] Who may run the command, everyone by default.
+ * Subcommands also need the permissions of their parents.
+ * @property {number} [cooldown] Ticks before a player can run the command again.
+ * @property {ArgumentDefinition[]} [args]
+ * @property {CommandDefinition[]} [subcommands]
+ * @property {(context: CommandContext) => void | Promise<void>} [run] Runs the command. A command with subcommands
+ * may leave it out, its usage is then shown when no subcommand is given.
+ */
+
+/**
+ * A registered command, or subcommand.
+ * @typedef {Object} Command
+ * @property {string} name
+ * @property {string} description
+ * @property {string[]} aliases
+ * @property {CommandPermission | undefined} permission
+ * @property {number} cooldown
+ * @property {ArgumentDefinition[]} args
+ * @property {Command[]} subcommands
+ * @property {((context: CommandContext) => void | Promise<void>) | undefined} run
+ * @property {Command | undefined} parent
+ */
+
+/**
+ * A registry of commands run from the chat with a prefix, and optionally as native slash commands.
+ *
+ * Arguments are parsed and checked from their definitions, and wrong input is reported to the player
+ * with the usage of the command. A `help` command listing the commands a player may run is built in.
+ *
+ * @example
+ * import { CommandRegistry, ArgumentType, CommandError } from "./Command-Registry.js";
+ *
+ * CommandRegistry.register({
+ *     name: "home",
+ *     aliases: ["h"],
+ *     description: "Manage your homes",
+ *     subcommands: [
+ *         {
+ *             name: "set",
+ *             args: [{ name: "name", type: ArgumentType.String }],
+ *             run: ({ player, args, reply }) => {
+ *                 homes.set(`${player.id}:${args.name}`, player.location);
+ *                 reply(`Home ${args.name} set.`);
+ *             },
+ *         },
+ *         {
+ *             name: "tp",
+ *             cooldown: 200,
+ *             args: [{ name: "name", type: ArgumentType.String }],
+ *             run: ({ player, args }) => {
+ *                 const home = homes.get(`${player.id}:${args.name}`);
+ *                 if (!home) throw new CommandError(`You have no home named ${args.name}.`);
+ *                 player.teleport(home);
+ *             },
+ *         },
+ *     ],
+ * });
+ *
+ * CommandRegistry.register({
+ *     name: "fill",
+ *     permission: { op: true, tags: ["builder"] },
+ *     args: [
+ *         { name: "from", type: ArgumentType.Location },
+ *         { name: "to", type: ArgumentType.Location },
+ *         { name: "block", type: ArgumentType.BlockType },
+ *     ],
+ *     run: ({ player, args }) => player.dimension.fillBlocks(new BlockVolume(args.from, args.to), args.block),
+ * });
+ *
+ * -// "!home set base", "!h tp base", "!fill ~ ~ ~ ^ ^ ^10 stone", or "/myaddon:home_set base"
+ * CommandRegistry.registerSlashCommands("myaddon");
+ */
+export class CommandRegistry {
+	/**
+	 * The prefix of chat commands.
+	 * @type {string}
+	 */
+	static prefix = "!";
+
+	/** @type {Map<string, Command>} Root commands by name and alias, lowercase. */
+	static #commands = new Map();
+	/** @type {Map<string, number>} Tick from which a player can run a command again, by `<player id>|<command path>`. */
+	static #cooldowns = new Map();
+	static #slashNamespace;
+
+	static {
+		world.beforeEvents.chatSend.subscribe((event) => {
+			if (!event.message.startsWith(CommandRegistry.prefix)) return;
+			event.cancel = true;
+			const input = event.message.slice(CommandRegistry.prefix.length);
+			// The world is read-only during before events.
+			system.run(() => CommandRegistry.execute(event.sender, input));
+		});
+
+		CommandRegistry.register({
+			name: "help",
+			aliases: ["?"],
+			description: "Lists the commands, or shows how to use one",
+			args: [{ name: "command", type: ArgumentType.String, optional: true, rest: true }],
+			run: ({ player, args, reply }) => reply(CommandRegistry.getHelp(player, args.command)),
+		});
+	}
+
+	/**
+	 * Registers a command.
+	 * @param {CommandDefinition} definition
+	 * @returns {Command}
+	 * @throws {Error} If the name or an alias is already taken.
+	 * @throws {TypeError} If the definition is invalid.
+	 */
+	static register(definition) {
+		const command = CommandRegistry.#build(definition);
+		for (const name of [command.name, ...command.aliases]) {
+			if (CommandRegistry.#commands.has(name))
+				throw new Error(`Command <${name}> is already registered.`);
+		}
+		for (const name of [command.name, ...command.aliases])
+			CommandRegistry.#commands.set(name, command);
+		return command;
+	}
+
+	/**
+	 * Unregisters a command and its aliases.
+	 * @remarks Slash commands stay registered until the world reloads, and report the command as unknown.
+	 * @param {string} name The name, or an alias, of the command.
+	 * @returns {boolean} `true` if the command existed.
+	 */
+	static unregister(name) {
+		const command = CommandRegistry.#commands.get(name.toLowerCase());
+		if (!command) return false;
+		for (const key of [command.name, ...command.aliases]) CommandRegistry.#commands.delete(key);
+		return true;
+	}
+
+	/**
+	 * Gets a command, or a subcommand.
+	 * @param {string} path The names or aliases of the command and its subcommands, separated by spaces.
+	 * @returns {Command | undefined}
+	 */
+	static get(path) {
+		const [root, ...names] = path.trim().toLowerCase().split(/\s+/);
+		let command = CommandRegistry.#commands.get(root);
+		for (const name of names) {
+			command = command && CommandRegistry.#findSubcommand(command, name);
+		}
+		return command;
+	}
+
+	/**
+	 * Registers every command as a native slash command, named `<namespace>:<command>`.
+	 * Native commands can't branch, so each subcommand is registered as `<namespace>:<command>_<subcommand>`.
+	 *
+	 * Must be called during early execution, the commands are registered on `startup`.
+	 * Commands registered after this call, but before `startup`, are included.
+	 * @param {string} namespace The namespace of the add-on.
+	 * @throws {Error} If slash commands are already enabled.
+	 */
+	static registerSlashCommands(namespace) {
+		if (CommandRegistry.#slashNamespace) throw new Error("Slash commands are already enabled.");
+		CommandRegistry.#slashNamespace = namespace;
+		system.beforeEvents.startup.subscribe(({ customCommandRegistry }) => {
+			const registered = new Set();
+			for (const command of CommandRegistry.#commands.values()) {
+				if (registered.has(command)) continue;
+				registered.add(command);
+				CommandRegistry.#registerNative(customCommandRegistry, namespace, command);
+			}
+		});
+	}
+
+	/**
+	 * Runs a command typed by a player, reporting errors to the player.
+	 * @param {Player} player The player running the command.
+	 * @param {string} input The command line, without the prefix.
+	 * @returns {boolean} `false` if the command failed or doesn't exist.
+	 */
+	static execute(player, input) {
+		try {
+			const tokens = CommandRegistry.#tokenize(input);
+			const root = tokens.shift()?.toLowerCase();
+			let command = root === undefined ? undefined : CommandRegistry.#commands.get(root);
+			if (!command) {
+				throw new CommandError(
+					`Unknown command: ${root ?? ""}. Type ${CommandRegistry.prefix}help for the list of commands.`,
+				);
+			}
+			let subcommand;
+			while (tokens.length && (subcommand = CommandRegistry.#findSubcommand(command, tokens[0]))) {
+				command = subcommand;
+				tokens.shift();
+			}
+			CommandRegistry.#checkPermission(player, command);
+			if (!command.run) throw new CommandError(CommandRegistry.#usageError(command));
+
+			const args = {};
+			command.args.forEach((arg, i) => {
+				if (i >= tokens.length) {
+					if (arg.optional) return;
+					throw new CommandError(
+						`Missing argument <${arg.name}>.\n${CommandRegistry.#usageError(command)}`,
+					);
+				}
+				if (arg.rest) tokens.splice(i, tokens.length, tokens.slice(i).join(" "));
+				args[arg.name] = CommandRegistry.#parseArgument(player, arg, tokens, i);
+			});
+			// Location arguments were merged into a single token while parsing.
+			if (tokens.length > command.args.length)
+				throw new CommandError(`Too many arguments.\n${CommandRegistry.#usageError(command)}`);
+			return CommandRegistry.#invoke(player, command, args);
+		} catch (error) {
+			CommandRegistry.#report(player, error);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets the usage line of a command, like `!home set <name: string> [x: int]`.
+	 * @param {Command} command
+	 * @returns {string}
+	 */
+	static getUsage(command) {
+		const args = command.args.map((arg) => {
+			const type = arg.type === ArgumentType.Enum ? arg.values.join("|") : arg.type;
+			return arg.optional ? `[${arg.name}: ${type}]` : `<${arg.name}: ${type}>`;
+		});
+		if (command.subcommands.length) {
+			const names = command.subcommands.map((subcommand) => subcommand.name).join("|");
+			args.unshift(command.run ? `[${names}]` : `<${names}>`);
+		}
+		return [CommandRegistry.prefix + CommandRegistry.#path(command), ...args].join(" ");
+	}
+
+	/**
+	 * Gets the help text of the commands a player may run, or of a single command.
+	 * @param {Player} player
+	 * @param {string} [path] The command, and subcommands, to show the help of.
+	 * @returns {string}
+	 */
+	static getHelp(player, path) {
+		if (path !== undefined) {
+			const command = CommandRegistry.get(path);
+			if (!command || !CommandRegistry.canRun(player, command)) {
+				throw new CommandError(`Unknown command: ${path}.`);
+			}
+			const lines = [color.gold.bold(CommandRegistry.getUsage(command))];
+			if (command.description) lines.push(color.gray(command.description));
+			if (command.aliases.length) lines.push(color.gray(`Aliases: ${command.aliases.join(", ")}`));
+			for (const subcommand of command.subcommands) {
+				if (!CommandRegistry.canRun(player, subcommand)) continue;
+				lines.push(CommandRegistry.#helpLine(subcommand));
+			}
+			return lines.join("\n");
+		}
+		const lines = [color.gold.bold("Commands:")];
+		for (const [name, command] of CommandRegistry.#commands) {
+			if (name !== command.name || !CommandRegistry.canRun(player, command)) continue;
+			lines.push(CommandRegistry.#helpLine(command));
+		}
+		return lines.join("\n");
+	}
+
+	/**
+	 * Checks if a player has the permissions of a command and its parents.
+	 * @param {Player} player
+	 * @param {Command} command
+	 * @returns {boolean}
+	 */
+	static canRun(player, command) {
+		for (let node = command; node; node = node.parent) {
+			const permission = node.permission;
+			if (!permission) continue;
+			const isOp = player.playerPermissionLevel === PlayerPermissionLevel.Operator;
+			const allowed =
+				(permission.op && isOp) || (permission.tags ?? []).some((tag) => player.hasTag(tag));
+			if (!allowed) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * @param {CommandDefinition} definition
+	 * @param {Command} [parent]
+	 * @returns {Command}
+	 */
+	static #build(definition, parent) {
+		const { name, aliases = [], args = [], subcommands = [], run } = definition;
+		for (const key of [name, ...aliases]) {
+			if (typeof key !== "string" || !/^([\w-]+|\?)$/.test(key)) {
+				throw new TypeError(`Invalid command name: <${key}>.`);
+			}
+		}
+		if (!run && !subcommands.length)
+			throw new TypeError(`Command <${name}> needs a run function or subcommands.`);
+		args.forEach((arg, i) => {
+			if (!Object.values(ArgumentType).includes(arg.type)) {
+				throw new TypeError(
+					`Argument <${arg.name}> of <${name}> has an unknown type: ${arg.type}.`,
+				);
+			}
+			if (arg.type === ArgumentType.Enum && !arg.values?.length) {
+				throw new TypeError(`Enum argument <${arg.name}> of <${name}> needs values.`);
+			}
+			if (arg.rest && (arg.type !== ArgumentType.String || i !== args.length - 1)) {
+				throw new TypeError(
+					`Argument <${arg.name}> of <${name}> can only take the rest as the last string.`,
+				);
+			}
+			if (!arg.optional && args.slice(0, i).some((previous) => previous.optional)) {
+				throw new TypeError(`Argument <${arg.name}> of <${name}> follows an optional argument.`);
+			}
+		});
+
+		/** @type {Command} */
+		const command = {
+			name: name.toLowerCase(),
+			description: definition.description ?? "",
+			aliases: aliases.map((alias) => alias.toLowerCase()),
+			permission: definition.permission,
+			cooldown: definition.cooldown ?? 0,
+			args,
+			subcommands: [],
+			run,
+			parent,
+		};
+		command.subcommands = subcommands.map((subcommand) =>
+			CommandRegistry.#build(subcommand, command),
+		);
+		return command;
+	}
+
+	/**
+	 * @param {Command} command
+	 * @param {string} name
+	 * @returns {Command | undefined}
+	 */
+	static #findSubcommand(command, name) {
+		const key = name.toLowerCase();
+		return command.subcommands.find(
+			(subcommand) => subcommand.name === key || subcommand.aliases.includes(key),
+		);
+	}
+
+	/**
+	 * Splits a command line into words, keeping text between double quotes together.
+	 * @param {string} input
+	 * @returns {string[]}
+	 */
+	static #tokenize(input) {
+		const tokens = [];
+		const pattern = /"((?:[^"\\]|\\.)*)"|(")|([^\s"]\S*)/g;
+		let match;
+		while ((match = pattern.exec(input))) {
+			if (match[2]) throw new CommandError("Unclosed quote.");
+			tokens.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, "$1") : match[3]);
+		}
+		return tokens;
+	}
+
+	/**
+	 * Location arguments take three tokens. The tokens after the `i`th one are merged into it before parsing.
+	 * @param {Player} player
+	 * @param {ArgumentDefinition} arg
+	 * @param {string[]} tokens
+	 * @param {number} i
+	 * @returns {any}
+	 */
+	static #parseArgument(player, arg, tokens, i) {
+		if (arg.type === ArgumentType.Location) {
+			const coordinates = tokens.splice(i, 3);
+			tokens.splice(i, 0, coordinates.join(" "));
+			if (coordinates.length < 3) throw new CommandError(`<${arg.name}> needs three coordinates.`);
+			return CommandRegistry.#parseLocation(player, arg, coordinates);
+		}
+		return CommandRegistry.#parseValue(player, arg, tokens[i]);
+	}
+
+	/**
+	 * @param {Player} player
+	 * @param {ArgumentDefinition} arg
+	 * @param {string} token
+	 * @returns {any}
+	 */
+	static #parseValue(player, arg, token) {
+		const invalid = (expected) =>
+			new CommandError(`Invalid <${arg.name}>: ${token}. Expected ${expected}.`);
+		switch (arg.type) {
+			case ArgumentType.Int:
+			case ArgumentType.Float: {
+				const isInt = arg.type === ArgumentType.Int;
+				const value = Number(token);
+				if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token) || (isInt && !Number.isInteger(value))) {
+					throw invalid(isInt ? "a whole number" : "a number");
+				}
+				if (value < (arg.min ?? -Infinity) || value > (arg.max ?? Infinity)) {
+					throw invalid(`a number from ${arg.min ?? "-∞"} to ${arg.max ?? "∞"}`);
+				}
+				return value;
+			}
+			case ArgumentType.Player: {
+				if (token === "@s") return player;
+				const name = token.replace(/^@/, "").toLowerCase();
+				const target = world.getPlayers().find((other) => other.name.toLowerCase() === name);
+				if (!target) throw invalid("an online player");
+				return target;
+			}
+			case ArgumentType.BlockType: {
+				const type = BlockTypes.get(token.includes(":") ? token : `minecraft:${token}`);
+				if (!type) throw invalid("a block type");
+				return type;
+			}
+			case ArgumentType.ItemType: {
+				const type = ItemTypes.get(token.includes(":") ? token : `minecraft:${token}`);
+				if (!type) throw invalid("an item type");
+				return type;
+			}
+			case ArgumentType.Enum: {
+				const value = arg.values.find((value) => value.toLowerCase() === token.toLowerCase());
+				if (value === undefined) throw invalid(`one of ${arg.values.join(", ")}`);
+				return value;
+			}
+			default:
+				return token;
+		}
+	}
+
+	/**
+	 * Parses absolute, relative `~` and local `^` coordinates.
+	 * @param {Player} player
+	 * @param {ArgumentDefinition} arg
+	 * @param {string[]} coordinates
+	 * @returns {import("@minecraft/server").Vector3}
+	 */
+	static #parseLocation(player, arg, coordinates) {
+		const number = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+		const offsets = coordinates.map((coordinate) => {
+			const offset = /^[~^]/.test(coordinate) ? coordinate.slice(1) : coordinate;
+			if (offset !== "" && !number.test(offset)) {
+				throw new CommandError(
+					`Invalid <${arg.name}>: ${coordinates.join(" ")}. Expected coordinates.`,
+				);
+			}
+			return Number(offset);
+		});
+		const local = coordinates.filter((coordinate) => coordinate.startsWith("^")).length;
+		if (local === 3) return LocationUtils.calcVectorOffset(player, ...offsets);
+		if (local) throw new CommandError(`<${arg.name}> can't mix ^ with other coordinates.`);
+
+		const [x, y, z] = coordinates.map((coordinate, i) =>
+			coordinate.startsWith("~") ? player.location["xyz"[i]] + offsets[i] : offsets[i],
+		);
+		return { x, y, z };
+	}
+
+	/**
+	 * Checks the permissions and cooldown of a command, then runs it.
+	 * @param {Player} player
+	 * @param {Command} command
+	 * @param {Record<string, any>} args
+	 * @returns {boolean}
+	 */
+	static #invoke(player, command, args) {
+		CommandRegistry.#checkPermission(player, command);
+		const key = `${player.id}|${CommandRegistry.#path(command)}`;
+		const readyAt = CommandRegistry.#cooldowns.get(key) ?? 0;
+		if (system.currentTick < readyAt) {
+			const seconds = Math.ceil((readyAt - system.currentTick) / 20);
+			throw new CommandError(`Wait ${seconds}s before using this command again.`);
+		}
+
+		/** @type {CommandContext} */
+		const context = { player, args, command, reply: (message) => player.sendMessage(message) };
+		const result = command.run(context);
+		// A command failing on wrong input doesn't start its cooldown.
+		if (command.cooldown) {
+			CommandRegistry.#cooldowns.set(key, system.currentTick + command.cooldown);
+		}
+		if (result instanceof Promise) result.catch((error) => CommandRegistry.#report(player, error));
+		return true;
+	}
+
+	/**
+	 * @param {Command} command
+	 * @returns {string} The names of the command and its parents, separated by spaces.
+	 */
+	static #path(command) {
+		const names = [];
+		for (let node = command; node; node = node.parent) names.unshift(node.name);
+		return names.join(" ");
+	}
+
+	static #checkPermission(player, command) {
+		if (!CommandRegistry.canRun(player, command)) {
+			throw new CommandError("You don't have permission to use this command.");
+		}
+	}
+
+	static #usageError(command) {
+		return color.gray("Usage: ") + color.yellow(CommandRegistry.getUsage(command));
+	}
+
+	static #helpLine(command) {
+		const usage = color.yellow(CommandRegistry.getUsage(command));
+		return command.description ? `${usage} ${color.gray("- " + command.description)}` : usage;
+	}
+
+	/**
+	 * Shows a command error to the player, other errors are logged.
+	 * @param {Player} player
+	 * @param {unknown} error
+	 */
+	static #report(player, error) {
+		if (error instanceof CommandError) {
+			player.sendMessage(color.red(error.message));
+			return;
+		}
+		console.error(error instanceof Error ? `${error}\n${error.stack}` : error);
+		player.sendMessage(color.red("An error occurred while running this command."));
+	}
+
+	/**
+	 * Registers a command, and each of its subcommands, as native slash commands.
+	 * @param {import("@minecraft/server").CustomCommandRegistry} registry
+	 * @param {string} namespace
+	 * @param {Command} command
+	 * @param {string} [name] The native name, built from the command path.
+	 */
+	static #registerNative(registry, namespace, command, name = command.name) {
+		for (const subcommand of command.subcommands) {
+			CommandRegistry.#registerNative(
+				registry,
+				namespace,
+				subcommand,
+				`${name}_${subcommand.name}`,
+			);
+		}
+		if (!command.run) return;
+
+		const parameters = command.args.map((arg) => {
+			const parameter = { name: arg.name, type: NATIVE_TYPES[arg.type] };
+			if (arg.type === ArgumentType.Enum) {
+				parameter.enumName = `${namespace}:${name}_${arg.name}`;
+				registry.registerEnum(parameter.enumName, arg.values);
+			}
+			return parameter;
+		});
+		// Only operators may run it, so the game can hide it from the other players.
+		const opOnly = command.permission?.op && !command.permission.tags?.length;
+		registry.registerCommand(
+			{
+				name: `${namespace}:${name}`,
+				description: command.description || name,
+				permissionLevel: opOnly ? CommandPermissionLevel.GameDirectors : CommandPermissionLevel.Any,
+				mandatoryParameters: parameters.filter((_, i) => !command.args[i].optional),
+				optionalParameters: parameters.filter((_, i) => command.args[i].optional),
+			},
+			(origin, ...values) => {
+				const player = origin.initiator ?? origin.sourceEntity;
+				if (!(player instanceof Player)) {
+					return {
+						status: CustomCommandStatus.Failure,
+						message: "This command must be run by a player.",
+					};
+				}
+				const args = {};
+				try {
+					command.args.forEach((arg, i) => {
+						if (values[i] === undefined) return;
+						args[arg.name] = CommandRegistry.#fromNative(player, arg, values[i]);
+					});
+				} catch (error) {
+					if (!(error instanceof CommandError)) throw error;
+					return { status: CustomCommandStatus.Failure, message: error.message };
+				}
+				// Slash commands run in read-only mode.
+				system.run(() => {
+					try {
+						CommandRegistry.#invoke(player, command, args);
+					} catch (error) {
+						CommandRegistry.#report(player, error);
+					}
+				});
+				return { status: CustomCommandStatus.Success };
+			},
+		);
+	}
+
+	/**
+	 * Converts a value parsed by the game to the value of the argument, checking number ranges.
+	 * @param {Player} player
+	 * @param {ArgumentDefinition} arg
+	 * @param {any} value
+	 * @returns {any}
+	 */
+	static #fromNative(player, arg, value) {
+		switch (arg.type) {
+			case ArgumentType.Int:
+			case ArgumentType.Float:
+				return CommandRegistry.#parseValue(player, arg, String(value));
+			case ArgumentType.Player:
+				return value[0];
+			case ArgumentType.BlockType:
+				return typeof value === "string" ? BlockTypes.get(value) : value;
+			case ArgumentType.ItemType:
+				return typeof value === "string" ? ItemTypes.get(value) : value;
+			default:
+				return value;
+		}
+	}
+}
@@ -1,9 +1,652 @@
 import { world, system, Player } from "@minecraft/server";
+import { Vec3 } from "./Vec3-Utils.js";
+import { LocationUtils } from "./Location-Utils.js";
+import { PlayerUtils } from "./Player-Utils.js";
+import Chunk from "./Chunk.js";
 
+/**
+ * Shared subscriptions to native world events, keyed by `<phase>.<event>`.
+ * @type {Map<string, { handler: Function, listeners: Set<Function> }>}
+ */
+const nativeSubscriptions = new Map();
+
+/** @type {Set<() => void>} */
+const tickListeners = new Set();
+let tickRunId;
+
+/**
+ * Calls a listener, logging its error so the remaining listeners still run.
+ * @param {Function} listener
+ * @param {any} event
+ */
+function dispatch(listener, event) {
+	try {
+		listener(event);
+	} catch (error) {
+		console.error(error instanceof Error ? `${error}\n${error.stack}` : error);
+	}
+}
+
+/**
+ * Listens to a native world event. Every listener of the same event shares one subscription,
+ * which is removed with the last listener.
+ * @param {"afterEvents" | "beforeEvents"} phase
+ * @param {string} name The name of the event, e.g. `"entitySpawn"`.
+ * @param {(event: any) => void} listener
+ * @returns {() => void} Stops listening.
+ */
+function listenNative(phase, name, listener) {
+	const key = `${phase}.${name}`;
+	let subscription = nativeSubscriptions.get(key);
+	if (!subscription) {
+		const listeners = new Set();
+		const handler = world[phase][name].subscribe((event) => {
+			for (const listener of [...listeners]) dispatch(listener, event);
+		});
+		subscription = { handler, listeners };
+		nativeSubscriptions.set(key, subscription);
+	}
+	subscription.listeners.add(listener);
+	return () => {
+		if (!subscription.listeners.delete(listener) || subscription.listeners.size) return;
+		world[phase][name].unsubscribe(subscription.handler);
+		nativeSubscriptions.delete(key);
+	};
+}
+
+/**
+ * Runs a listener every tick. Every listener shares one interval, which is cleared with the last listener.
+ * @param {() => void} listener
+ * @returns {() => void} Stops listening.
+ */
+function listenTick(listener) {
+	tickListeners.add(listener);
+	tickRunId ??= system.runInterval(() => {
+		for (const listener of [...tickListeners]) dispatch(listener);
+	});
+	return () => {
+		if (!tickListeners.delete(listener) || tickListeners.size) return;
+		system.clearRun(tickRunId);
+		tickRunId = undefined;
+	};
+}
+
+/**
+ * An event that can be subscribed to, with the same shape as the signals of `world.afterEvents`.
+ *
+ * Signals backed by native events only listen to them while they have subscribers.
+ * A cancellable signal works like `world.beforeEvents`: listeners set `event.cancel = true`,
+ * and the emitter checks it on the returned event.
+ *
+ * @template T
+ *
+ * @example
+ * -// A custom event, emitted by your own code
+ * const levelUp = CustomEvents.define("levelUp");
+ * levelUp.subscribe(({ player, level }) => player.sendMessage(`Level ${level}!`));
+ * levelUp.emit({ player, level: 5 });
+ *
+ * @example
+ * -// A cancellable event
+ * const claim = CustomEvents.define("claim", { cancellable: true });
+ * claim.subscribe((event) => {
+ *     if (event.player.level < 10) event.cancel = true;
+ * });
+ * if (!claim.emit({ player }).cancel) {
+ *     -// ...
+ * }
+ */
+export class EventSignal {
+	/** @type {Set<(event: T) => void>} */
+	#listeners = new Set();
+	#cancellable;
+	#start;
+	/** @type {(() => void) | undefined} */
+	#stop;
+
+	/**
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.cancellable=false] Whether listeners can cancel the event.
+	 * @param {(emit: (event: T) => T) => () => void} [options.start] Starts listening to the source of the event
+	 * when the first listener subscribes, and returns a function stopping it when the last one unsubscribes.
+	 */
+	constructor(options = {}) {
+		this.#cancellable = options.cancellable ?? false;
+		this.#start = options.start;
+	}
+
+	/**
+	 * Whether listeners can cancel the event.
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get cancellable() {
+		return this.#cancellable;
+	}
+
+	/**
+	 * The amount of subscribed listeners.
+	 * @type {number}
+	 * @readonly
+	 */
+	get listenerCount() {
+		return this.#listeners.size;
+	}
+
+	/**
+	 * Adds a callback that will be called when the event is emitted.
+	 * @template {(event: T) => void} C
+	 * @param {C} callback
+	 * @returns {C} The callback, to pass to {@link unsubscribe}.
+	 * @throws {TypeError} If the callback is not a function.
+	 */
+	subscribe(callback) {
+		if (typeof callback !== "function") {
+			throw new TypeError(`Event callback must be a function, received ${typeof callback}.`);
+		}
+		this.#listeners.add(callback);
+		if (this.#listeners.size === 1 && this.#start) {
+			this.#stop = this.#start((event) => this.emit(event));
+		}
+		return callback;
+	}
+
+	/**
+	 * Removes a callback from being called when the event is emitted.
+	 * @param {(event: T) => void} callback
+	 * @returns {boolean} `true` if the callback was subscribed.
+	 */
+	unsubscribe(callback) {
+		if (!this.#listeners.delete(callback)) return false;
+		if (!this.#listeners.size && this.#stop) {
+			this.#stop();
+			this.#stop = undefined;
+		}
+		return true;
+	}
+
+	/**
+	 * Calls every subscribed callback with an event.
+	 * A listener throwing an error doesn't prevent the next listeners from being called.
+	 * @param {T} event
+	 * @returns {T} The event, with `cancel` set if the signal is cancellable.
+	 */
+	emit(event) {
+		if (this.#cancellable) event.cancel ??= false;
+		for (const listener of [...this.#listeners]) dispatch(listener, event);
+		return event;
+	}
+}
+
+/**
+ * @typedef {Object} ItemPickupEvent
+ * @property {Player} player
+ * @property {import("@minecraft/server").ItemStack} pickedItem The picked up item, with the amount the player received.
+ * @property {number} amount The amount the player received.
+ * @property {boolean} partial Whether part of the stack is still on the ground, because the inventory was full.
+ */
+
+/**
+ * @typedef {Object} ItemDropEvent
+ * @property {Player} player
+ * @property {import("@minecraft/server").ItemStack} droppedItem
+ */
+
+/**
+ * @typedef {Object} ProjectileHitEvent
+ * @property {Player} player The shooter.
+ * @property {import("@minecraft/server").Entity} target
+ * @property {string} projectile The type id of the projectile.
+ */
+
+/**
+ * @typedef {Object} PlayerJumpEvent
+ * @property {Player} player
+ */
+
+/**
+ * @typedef {Object} PlayerMovementEvent
+ * @property {Player} player
+ * @property {boolean} started Whether the player started or stopped the movement.
+ */
+
+/**
+ * @typedef {Object} PlayerLandEvent
+ * @property {Player} player
+ * @property {number} fallDistance The distance from the highest Y reached since leaving the ground.
+ */
+
+/**
+ * @typedef {Object} PlayerLiquidEvent
+ * @property {Player} player
+ * @property {"water" | "lava"} liquid
+ * @property {boolean} entered Whether the player entered or left the liquid.
+ */
+
+/**
+ * @typedef {Object} PlayerRideEvent
+ * @property {Player} player
+ * @property {import("@minecraft/server").Entity} entity The ridden entity. It may be invalid once the ride stopped.
+ * @property {boolean} started Whether the player started or stopped riding.
+ */
+
+/**
+ * @typedef {Object} PlayerChunkChangeEvent
+ * @property {Player} player
+ * @property {Chunk} from The chunk the player was in during the last tick.
+ * @property {Chunk} to The chunk the player is in, possibly in another dimension.
+ */
+
+/**
+ * Distance from a player within which item entities are watched for pickups.
+ * Items are picked up from about a block away, the margin covers items and players moving within a tick.
+ */
+const PICKUP_WATCH_RADIUS = 3;
+
+/**
+ * A player's item counts, taken before a possible pickup.
+ * @typedef {Object} InventorySnapshot
+ * @property {Player} player
+ * @property {Map<string, number>} counts Amount of items per type id, only for the types of the watched items.
+ */
+
+/**
+ * Counts the items of some types in a player's inventory.
+ * @param {Player} player
+ * @param {Iterable<string>} typeIds
+ * @returns {Map<string, number>}
+ */
+function countItems(player, typeIds) {
+	const counts = new Map();
+	for (const typeId of typeIds) counts.set(typeId, 0);
+	const container = player.getComponent("inventory")?.container;
+	if (!container) return counts;
+	for (let i = 0; i < container.size; i++) {
+		const item = container.getItem(i);
+		if (item && counts.has(item.typeId))
+			counts.set(item.typeId, counts.get(item.typeId) + item.amount);
+	}
+	return counts;
+}
+
+/** @type {EventSignal<ItemPickupEvent>} */
+const itemPickup = new EventSignal({
+	start(emit) {
+		/**
+		 * Item entities near players during the last tick, by entity id.
+		 * @type {Map<string, { entity: import("@minecraft/server").Entity, itemStack: import("@minecraft/server").ItemStack, amount: number, watchers: InventorySnapshot[] }>}
+		 */
+		let watched = new Map();
+
+		/**
+		 * Credits an amount of picked up items to the players whose inventory gained them since their snapshot,
+		 * closest players first. Credited amounts are added to the snapshots, so they aren't credited twice.
+		 * @param {import("@minecraft/server").ItemStack} itemStack
+		 * @param {number} amount
+		 * @param {import("@minecraft/server").Vector3} location
+		 * @param {InventorySnapshot[]} watchers
+		 * @param {boolean} partial
+		 */
+		const attribute = (itemStack, amount, location, watchers, partial) => {
+			const typeId = itemStack.typeId;
+			const gains = [];
+			for (const watcher of watchers) {
+				if (!watcher.player.isValid) continue;
+				const gained =
+					countItems(watcher.player, [typeId]).get(typeId) - watcher.counts.get(typeId);
+				if (gained > 0) gains.push({ watcher, gained });
+			}
+			gains.sort(
+				(a, b) =>
+					Vec3.distance(a.watcher.player.location, location) -
+					Vec3.distance(b.watcher.player.location, location),
+			);
+			for (const { watcher, gained } of gains) {
+				if (amount <= 0) return;
+				const picked = Math.min(gained, amount);
+				amount -= picked;
+				watcher.counts.set(typeId, watcher.counts.get(typeId) + picked);
+				const pickedItem = itemStack.clone();
+				pickedItem.amount = picked;
+				emit({ player: watcher.player, pickedItem, amount: picked, partial });
+			}
+		};
+
+		const stopTick = listenTick(() => {
+			// Item entities that lost part of their stack since the last tick.
+			for (const { entity, itemStack, amount, watchers } of watched.values()) {
+				if (!entity.isValid) continue;
+				const remaining = entity.getComponent("item")?.itemStack?.amount ?? amount;
+				if (remaining < amount) {
+					attribute(itemStack, amount - remaining, entity.location, watchers, true);
+				}
+			}
+
+			const next = new Map();
+			for (const player of world.getPlayers()) {
+				const items = player.dimension.getEntities({
+					type: "minecraft:item",
+					location: player.location,
+					maxDistance: PICKUP_WATCH_RADIUS,
+				});
+				if (!items.length) continue;
+				/** @type {InventorySnapshot} */
+				const watcher = { player, counts: undefined };
+				const typeIds = new Set();
+				for (const entity of items) {
+					const itemStack = entity.getComponent("item")?.itemStack;
+					if (!itemStack) continue;
+					typeIds.add(itemStack.typeId);
+					let item = next.get(entity.id);
+					if (!item) {
+						item = { entity, itemStack, amount: itemStack.amount, watchers: [] };
+						next.set(entity.id, item);
+					}
+					item.watchers.push(watcher);
+				}
+				watcher.counts = countItems(player, typeIds);
+			}
+			watched = next;
+		});
+
+		const stopRemove = listenNative("beforeEvents", "entityRemove", ({ removedEntity }) => {
+			const item = watched.get(removedEntity.id);
+			if (!item) return;
+			watched.delete(removedEntity.id);
+			const location = removedEntity.location;
+			// The world is read-only during before events, listeners are called once it is editable.
+			system.run(() => attribute(item.itemStack, item.amount, location, item.watchers, false));
+		});
+
+		return () => {
+			stopTick();
+			stopRemove();
+			watched.clear();
+		};
+	},
+});
+
+/** @type {EventSignal<ItemDropEvent>} */
+const itemDrop = new EventSignal({
+	start(emit) {
+		return listenNative("afterEvents", "entitySpawn", ({ entity }) => {
+			if (entity.typeId !== "minecraft:item") return;
+			const closestPlayers = entity.dimension.getEntities({
+				type: "minecraft:player",
+				location: entity.location,
+				maxDistance: 2,
+			});
+			if (closestPlayers.length == 0) return;
+			const player = closestPlayers.find(
+				(p) =>
+					p.getRotation().x === entity.getRotation().x &&
+					p.getRotation().y === entity.getRotation().y,
+			);
+			if (!player) return;
+			const item = entity.getComponent("item").itemStack;
+
+			emit({ player: player, droppedItem: item });
+		});
+	},
+});
+
+/** @type {EventSignal<ProjectileHitEvent>} */
+const projectileHit = new EventSignal({
+	start(emit) {
+		return listenNative("afterEvents", "projectileHitEntity", (event) => {
+			const { source, projectile } = event;
+			if (!(source instanceof Player)) return;
+			if (projectile.typeId !== "minecraft:arrow" && projectile.typeId !== "minecraft:trident")
+				return;
+			const target = event.getEntityHit()?.entity;
+			if (!target) return;
+			emit({ player: source, target: target, projectile: projectile.typeId });
+		});
+	},
+});
+
+/**
+ * Creates a signal emitted when a value polled from every player changes.
+ * Players seen for the first time only have their value stored.
+ * @template V, T
+ * @param {(player: Player) => V} read Reads the current value of a player.
+ * @param {(emit: (event: T) => T, player: Player, current: V, previous: V) => void} onChange Emits the events of a change.
+ * @param {(a: V, b: V) => boolean} [equals] Compares two values, strict equality by default.
+ * @returns {EventSignal<T>}
+ */
+function playerStateSignal(read, onChange, equals = (a, b) => a === b) {
+	return new EventSignal({
+		start(emit) {
+			/** @type {Map<string, V>} Values of the last tick, by player id. */
+			let states = new Map();
+			const stop = listenTick(() => {
+				const next = new Map();
+				for (const player of world.getPlayers()) {
+					const current = read(player);
+					next.set(player.id, current);
+					if (!states.has(player.id)) continue;
+					const previous = states.get(player.id);
+					if (!equals(current, previous)) onChange(emit, player, current, previous);
+				}
+				states = next;
+			});
+			return () => {
+				stop();
+				states.clear();
+			};
+		},
+	});
+}
+
+/**
+ * Creates a signal emitted when a boolean property of players turns on or off.
+ * @param {"isSneaking" | "isSprinting" | "isSwimming" | "isGliding" | "isClimbing"} property
+ * @returns {EventSignal<PlayerMovementEvent>}
+ */
+function movementSignal(property) {
+	return playerStateSignal(
+		(player) => player[property],
+		(emit, player, started) => emit({ player, started }),
+	);
+}
+
+/**
+ * Gets the liquid a player is in, lava being checked at the feet and head blocks.
+ * @param {Player} player
+ * @returns {"water" | "lava" | undefined}
+ */
+function liquidOf(player) {
+	if (player.isInWater) return "water";
+	const { dimension, location } = player;
+	for (const y of [location.y, location.y + 1]) {
+		const feetOrHead = { x: location.x, y, z: location.z };
+		if (!LocationUtils.isBlockLocationValid(dimension, feetOrHead)) continue;
+		const typeId = dimension.getBlock(feetOrHead)?.typeId;
+		if (typeId === "minecraft:lava" || typeId === "minecraft:flowing_lava") return "lava";
+	}
+	return undefined;
+}
+
+/** @type {EventSignal<PlayerJumpEvent>} */
+const playerJump = playerStateSignal(
+	(player) => player.isJumping,
+	(emit, player, jumping) => {
+		if (jumping) emit({ player: player });
+	},
+);
+
+const playerSneak = movementSignal("isSneaking");
+const playerSprint = movementSignal("isSprinting");
+const playerSwim = movementSignal("isSwimming");
+const playerGlide = movementSignal("isGliding");
+const playerClimb = movementSignal("isClimbing");
+
+/** @type {EventSignal<PlayerLandEvent>} */
+const playerLand = new EventSignal({
+	start(emit) {
+		/** @type {Map<string, { grounded: boolean, highestY: number }>} */
+		let states = new Map();
+		const stop = listenTick(() => {
+			const next = new Map();
+			for (const player of world.getPlayers()) {
+				const y = player.location.y;
+				const previous = states.get(player.id);
+				// Like in vanilla, water, ladders, elytra and flying break a fall.
+				const grounded =
+					player.isOnGround ||
+					player.isInWater ||
+					player.isClimbing ||
+					player.isGliding ||
+					player.isFlying;
+				next.set(player.id, {
+					grounded,
+					highestY: grounded ? y : Math.max(previous?.highestY ?? y, y),
+				});
+				if (previous && !previous.grounded && player.isOnGround) {
+					emit({ player, fallDistance: Math.max(0, previous.highestY - y) });
+				}
+			}
+			states = next;
+		});
+		return () => {
+			stop();
+			states.clear();
+		};
+	},
+});
+
+/** @type {EventSignal<PlayerLiquidEvent>} */
+const playerLiquid = playerStateSignal(liquidOf, (emit, player, current, previous) => {
+	if (previous) emit({ player, liquid: previous, entered: false });
+	if (current) emit({ player, liquid: current, entered: true });
+});
+
+/** @type {EventSignal<PlayerRideEvent>} */
+const playerRide = playerStateSignal(
+	(player) =>
+		PlayerUtils.isRidingEntity(player)
+			? player.getComponent("minecraft:riding").entityRidingOn
+			: undefined,
+	(emit, player, current, previous) => {
+		if (previous) emit({ player, entity: previous, started: false });
+		if (current) emit({ player, entity: current, started: true });
+	},
+	(a, b) => a?.id === b?.id,
+);
+
+/** @type {EventSignal<PlayerChunkChangeEvent>} */
+const playerChunkChange = playerStateSignal(
+	(player) => ({
+		dimension: player.dimension,
+		x: Math.floor(player.location.x / 16),
+		z: Math.floor(player.location.z / 16),
+	}),
+	(emit, player, current, previous) => {
+		emit({
+			player,
+			from: new Chunk(previous.x * 16, previous.z * 16, previous.dimension),
+			to: new Chunk(current.x * 16, current.z * 16, current.dimension),
+		});
+	},
+	(a, b) => a.x === b.x && a.z === b.z && a.dimension.id === b.dimension.id,
+);
+
+/**
+ * Events that vanilla doesn't provide, and the custom events you define.
+ *
+ * Every event is an {@link EventSignal} with the same `subscribe` and `unsubscribe` methods as `world.afterEvents`.
+ * Built-in events share one native subscription per native event, and stop listening to it once they have no subscribers.
+ *
+ * Player movement events are polled every tick, in a single loop shared by all of them.
+ *
+ * @example
+ * const callback = CustomEvents.afterEvents.playerJump.subscribe(({ player }) => {
+ *     console.warn(`Player ${player.name} did a jump!`);
+ * });
+ * CustomEvents.afterEvents.playerJump.unsubscribe(callback);
+ *
+ * @example
+ * CustomEvents.afterEvents.playerLand.subscribe(({ player, fallDistance }) => {
+ *     if (fallDistance > 20) player.sendMessage("That was a long fall!");
+ * });
+ * CustomEvents.afterEvents.playerChunkChange.subscribe(({ player, to }) => {
+ *     if (to.isSlimeChunk()) player.onScreenDisplay.setActionBar("Slime chunk");
+ * });
+ */
 export class CustomEvents {
+	/**
+	 * Events emitted after something happened. Custom non-cancellable events are added here by {@link define}.
+	 * @type {{
+	 *     itemPickup: EventSignal<ItemPickupEvent>,
+	 *     itemDrop: EventSignal<ItemDropEvent>,
+	 *     projectileHit: EventSignal<ProjectileHitEvent>,
+	 *     playerJump: EventSignal<PlayerJumpEvent>,
+	 *     playerSneak: EventSignal<PlayerMovementEvent>,
+	 *     playerSprint: EventSignal<PlayerMovementEvent>,
+	 *     playerSwim: EventSignal<PlayerMovementEvent>,
+	 *     playerGlide: EventSignal<PlayerMovementEvent>,
+	 *     playerClimb: EventSignal<PlayerMovementEvent>,
+	 *     playerLand: EventSignal<PlayerLandEvent>,
+	 *     playerLiquid: EventSignal<PlayerLiquidEvent>,
+	 *     playerRide: EventSignal<PlayerRideEvent>,
+	 *     playerChunkChange: EventSignal<PlayerChunkChangeEvent>,
+	 *     [name: string]: EventSignal<any>,
+	 * }}
+	 */
+	static afterEvents = {
+		itemPickup,
+		itemDrop,
+		projectileHit,
+		playerJump,
+		playerSneak,
+		playerSprint,
+		playerSwim,
+		playerGlide,
+		playerClimb,
+		playerLand,
+		playerLiquid,
+		playerRide,
+		playerChunkChange,
+	};
+
+	/**
+	 * Cancellable events, emitted before something happens. Custom cancellable events are added here by {@link define}.
+	 * @type {{ [name: string]: EventSignal<any> }}
+	 */
+	static beforeEvents = {};
+
+	/**
+	 * Defines a custom event. It is added to {@link beforeEvents} if cancellable, to {@link afterEvents} otherwise.
+	 * @template T
+	 * @param {string} name The name of the event.
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.cancellable=false] Whether listeners can cancel the event.
+	 * @returns {EventSignal<T>}
+	 * @throws {Error} If an event with the same name already exists.
+	 *
+	 * @example
+	 * const coinsEarned = CustomEvents.define("coinsEarned");
+	 * CustomEvents.afterEvents.coinsEarned.subscribe(({ player, amount }) => {
+	 *     player.sendMessage(`+${amount} coins`);
+	 * });
+	 * coinsEarned.emit({ player, amount: 10 });
+	 */
+	static define(name, options = {}) {
+		if (name in CustomEvents.afterEvents || name in CustomEvents.beforeEvents) {
+			throw new Error(`Custom event <${name}> is already defined.`);
+		}
+		const signal = new EventSignal({ cancellable: options.cancellable });
+		if (signal.cancellable) CustomEvents.beforeEvents[name] = signal;
+		else CustomEvents.afterEvents[name] = signal;
+		return signal;
+	}
+
 	/**
 	 * Detects when player picks up any item.
-	 * @param {function({player: player, pickedItem: item})} callBack
+	 * The inventories of the players near an item entity are compared before and after it is picked up,
+	 * so the player that received the items is credited with the exact amount, even for a partial pickup.
+	 * @param {function(ItemPickupEvent)} callBack
+	 * @returns {() => void} Unsubscribes the callback.
 	 * @author Carchi77 - Modified by @finnafinest_
 	 * GitHub: https://github.com/Carchi777/detect-who-picked-up-an-item
 	 *
@@ -13,45 +656,13 @@ export class CustomEvents {
 	 * });
 	 */
 	static onItemPickup(callBack) {
-		const groundItems = new Set();
-		world.afterEvents.entitySpawn.subscribe((event) => {
-			const entity = event.entity;
-			if (entity.hasComponent("item")) {
-				groundItems.add(entity);
-			}
-		});
-		world.beforeEvents.entityRemove.subscribe((event) => {
-			const entity = event.removedEntity;
-			if (!groundItems.has(entity)) return;
-			groundItems.delete(entity);
-
-			const itemStack = entity.getComponent("item").itemStack;
-			if (!itemStack) return;
-			const nearbyPlayers = entity.dimension.getEntities({
-				location: entity.location,
-				maxDistance: 2,
-				type: "player",
-			});
-
-			for (const player of nearbyPlayers) {
-				const inv = player.getComponent("inventory").container;
-				for (let i = 0; i < inv.size; i++) {
-					const slotItem = inv.getItem(i);
-					if (slotItem && slotItem.typeId === itemStack.typeId) {
-						callBack({
-							player: player,
-							pickedItem: itemStack,
-						});
-						return;
-					}
-				}
-			}
-		});
+		return CustomEvents.#listen(itemPickup, callBack);
 	}
 
 	/**
 	 * Detects when player drops any item.
 	 * @param {function({player: player, droppedItem: item})} callBack
+	 * @returns {() => void} Unsubscribes the callback.
 	 * @author Minato (Minecraft Bedrock Arabic)
 	 *
 	 * @example
@@ -62,25 +673,7 @@ export class CustomEvents {
 	 *
 	 */
 	static onItemDrop(callBack) {
-		world.afterEvents.entitySpawn.subscribe((event) => {
-			const { entity } = event;
-			if (entity.typeId !== "minecraft:item") return;
-			const closestPlayers = entity.dimension.getEntities({
-				type: "minecraft:player",
-				location: entity.location,
-				maxDistance: 2,
-			});
-			if (closestPlayers.length == 0) return;
-			const player = closestPlayers.find(
-				(p) =>
-					p.getRotation().x === entity.getRotation().x &&
-					p.getRotation().y === entity.getRotation().y,
-			);
-			if (!player) return;
-			const item = entity.getComponent("item").itemStack;
-
-			callBack({ player: player, droppedItem: item });
-		});
+		return CustomEvents.#listen(itemDrop, callBack);
 	}
 
 	/**
@@ -88,30 +681,22 @@ export class CustomEvents {
 	 *
 	 * @param {function({player: Player, target: Entity, projectile: string})} callBack A callback function to call when a player shoots a projectile and hits another entity.
 	 * @param {Entity} [whom] An entity to watch for hits. If specified, the callback will only be called if the projectile hits this entity.
+	 * @returns {() => void} Unsubscribes the callback.
 	 *
 	 * @example
 	 * import { world } from "@minecraft/server"
 	 *
-	 * CustomEvents.onProjectileHit((event) => {
+	 * const stop = CustomEvents.onProjectileHit((event) => {
 	 *     console.warn(`Player ${event.player.name} shot at ${event.target.typeId}`);
 	 * });
+	 * -// Later
+	 * stop();
 	 *
 	 */
 	static onProjectileHit(callBack, whom = null) {
-		world.afterEvents.entitySpawn.subscribe(({ entity }) => {
-			if (entity.typeId !== "minecraft:arrow" && entity.typeId !== "minecraft:trident") return;
-			const callback = world.afterEvents.projectileHitEntity.subscribe((arg) => {
-				const { source, projectile } = arg;
-				const hitInfo = arg.getEntityHit();
-				if (hitInfo?.entity && source instanceof Player && projectile === entity) {
-					const shooter = source;
-					const target = hitInfo.entity;
-					const projectileType = projectile.typeId;
-					if (whom && target !== whom) return;
-					callBack({ player: shooter, target: target, projectile: projectileType });
-					world.afterEvents.projectileHitEntity.unsubscribe(callback);
-				}
-			});
+		if (!whom) return CustomEvents.#listen(projectileHit, callBack);
+		return CustomEvents.#listen(projectileHit, (event) => {
+			if (event.target === whom) callBack(event);
 		});
 	}
 
@@ -119,6 +704,7 @@ export class CustomEvents {
 	 * Detects when a player does a jump.
 	 *
 	 * @param {function({player: Player})} callBack
+	 * @returns {() => void} Unsubscribes the callback.
 	 *
 	 * @example
 	 * import { world } from "@minecraft/server"
@@ -130,18 +716,16 @@ export class CustomEvents {
 	 *
 	 */
 	static onJump(callBack) {
-		const jumpingPlayers = new Map();
-		system.runInterval(() => {
-			world.getPlayers().forEach((player) => {
-				const wasJumping = jumpingPlayers.get(player) || false;
-				const isJumpingNow = player.isJumping;
-				if (isJumpingNow && !wasJumping) {
-					callBack({ player: player });
-					jumpingPlayers.set(player, true);
-				} else if (!isJumpingNow && wasJumping) {
-					jumpingPlayers.set(player, false);
-				}
-			});
-		}, 1);
+		return CustomEvents.#listen(playerJump, callBack);
+	}
+
+	/**
+	 * @param {EventSignal<any>} signal
+	 * @param {Function} callback
+	 * @returns {() => void}
+	 */
+	static #listen(signal, callback) {
+		signal.subscribe(callback);
+		return () => signal.unsubscribe(callback);
 	}
 }
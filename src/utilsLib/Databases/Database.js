@@ -0,0 +1,311 @@
+import { world, system } from "@minecraft/server";
+
+/**
+ * Maximum amount of UTF-8 bytes a single string dynamic property can hold.
+ */
+const MAX_PROPERTY_BYTES = 32767;
+
+/**
+ * A key/value database storing JSON values in dynamic properties of the world or of an entity.
+ *
+ * Values bigger than the dynamic property limit are split into several chunk properties.
+ * Every value read or written is kept in memory, and modified keys are written back in the background,
+ * `saveRate` keys per tick, and every key left is written when the world shuts down.
+ *
+ * Layout of the dynamic properties:
+ * - `db:<namespace>:<key>` holds the amount of chunks of the value.
+ * - `dbc:<namespace>:<index>:<key>` holds each chunk of the JSON string.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { Database } from "./Databases/Database.js";
+ *
+ * const homes = new Database("homes");
+ *
+ * world.afterEvents.playerSpawn.subscribe(({ player }) => {
+ *     if (!homes.has(player.id)) homes.set(player.id, { spawn: player.location });
+ *     console.warn(JSON.stringify(homes.get(player.id)));
+ * });
+ *
+ * @example
+ * -// A database stored on an entity, removed together with the entity.
+ * const backpack = new Database("backpack", entity);
+ * backpack.set("owner", player.name);
+ */
+export class Database {
+	#namespace;
+	#storage;
+	#saveRate;
+	/** @type {Map<string, any>} Loaded values, `undefined` marks a deleted key waiting to be saved. */
+	#cache = new Map();
+	/** @type {Set<string>} */
+	#dirty = new Set();
+	#runId;
+
+	/** @type {Set<Database>} Databases with modified keys not written yet. */
+	static #unsaved = new Set();
+
+	static {
+		system.beforeEvents.shutdown.subscribe(() => {
+			for (const database of [...Database.#unsaved]) {
+				try {
+					database.save();
+				} catch (error) {
+					console.error(
+						`Database <${database.#namespace}> closed with ${database.#dirty.size} unsaved keys: ${error}`,
+					);
+				}
+			}
+		});
+	}
+
+	/**
+	 * @param {string} namespace The unique namespace for the database keys.
+	 * @param {import("@minecraft/server").World | import("@minecraft/server").Entity} [storage=world] The world or entity holding the dynamic properties.
+	 * @param {number} [saveRate=8] The amount of modified keys written back per tick.
+	 * @throws {TypeError} If the namespace is empty or contains `:`.
+	 */
+	constructor(namespace, storage = world, saveRate = 8) {
+		if (typeof namespace !== "string" || !namespace.length || namespace.includes(":")) {
+			throw new TypeError(
+				`Invalid database namespace: <${namespace}>. It can't be empty or contain ':'.`,
+			);
+		}
+		this.#namespace = namespace;
+		this.#storage = storage;
+		this.#saveRate = Math.max(1, saveRate);
+	}
+
+	/**
+	 * The namespace of this database.
+	 * @type {string}
+	 * @readonly
+	 */
+	get namespace() {
+		return this.#namespace;
+	}
+
+	/**
+	 * The amount of keys stored in this database.
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this.keys().length;
+	}
+
+	/**
+	 * Gets the value of a key.
+	 * @remarks The returned object is the cached one, call {@link set} after mutating it so the change gets saved.
+	 * @param {string} key The identifier of the value.
+	 * @returns {any} The stored value, or `undefined` if the key doesn't exist.
+	 */
+	get(key) {
+		if (this.#cache.has(key)) return this.#cache.get(key);
+		const value = this.#read(key);
+		if (value !== undefined) this.#cache.set(key, value);
+		return value;
+	}
+
+	/**
+	 * Sets the value of a key. Setting `undefined` deletes the key.
+	 * @param {string} key The identifier of the value.
+	 * @param {any} value Any JSON serializable value.
+	 * @returns {this}
+	 * @throws {TypeError} If the key is not a string, or if the value can't be converted to JSON.
+	 */
+	set(key, value) {
+		if (typeof key !== "string")
+			throw new TypeError(`Database key must be a string, received ${typeof key}.`);
+		if (value !== undefined && JSON.stringify(value) === undefined) {
+			throw new TypeError(`Database value of <${key}> can't be converted to JSON.`);
+		}
+		this.#cache.set(key, value);
+		this.#markDirty(key);
+		return this;
+	}
+
+	/**
+	 * Checks if a key exists.
+	 * @param {string} key The identifier of the value.
+	 * @returns {boolean}
+	 */
+	has(key) {
+		if (this.#cache.has(key)) return this.#cache.get(key) !== undefined;
+		return this.#storage.getDynamicProperty(this.#indexId(key)) !== undefined;
+	}
+
+	/**
+	 * Deletes a key.
+	 * @param {string} key The identifier of the value.
+	 * @returns {boolean} `true` if the key existed.
+	 */
+	delete(key) {
+		const existed = this.has(key);
+		if (existed) {
+			this.#cache.set(key, undefined);
+			this.#markDirty(key);
+		}
+		return existed;
+	}
+
+	/**
+	 * Gets all the keys of this database.
+	 * @returns {string[]}
+	 */
+	keys() {
+		const prefix = this.#indexId("");
+		const keys = new Set();
+		for (const id of this.#storage.getDynamicPropertyIds()) {
+			if (id.startsWith(prefix)) keys.add(id.slice(prefix.length));
+		}
+		for (const [key, value] of this.#cache) {
+			if (value === undefined) keys.delete(key);
+			else keys.add(key);
+		}
+		return [...keys];
+	}
+
+	/**
+	 * Gets all the values of this database.
+	 * @returns {any[]}
+	 */
+	values() {
+		return this.keys().map((key) => this.get(key));
+	}
+
+	/**
+	 * Gets all the `[key, value]` pairs of this database.
+	 * @returns {[string, any][]}
+	 */
+	entries() {
+		return this.keys().map((key) => [key, this.get(key)]);
+	}
+
+	/**
+	 * Calls a function for each stored `[key, value]` pair.
+	 * @param {(value: any, key: string, database: Database) => void} callback
+	 */
+	forEach(callback) {
+		for (const [key, value] of this.entries()) callback(value, key, this);
+	}
+
+	/**
+	 * Deletes every key of this database.
+	 */
+	clear() {
+		for (const key of this.keys()) this.delete(key);
+	}
+
+	/**
+	 * Writes every modified key to the dynamic properties right now, instead of waiting for the background saving.
+	 */
+	save() {
+		for (const key of [...this.#dirty]) this.#write(key);
+	}
+
+	/**
+	 * Saves a key if it was modified and drops its value from memory, for big values that are rarely read.
+	 * The next {@link get} reads it back from the dynamic properties.
+	 * @param {string} key The identifier of the value.
+	 */
+	evict(key) {
+		if (this.#dirty.has(key)) this.#write(key);
+		this.#cache.delete(key);
+	}
+
+	[Symbol.iterator]() {
+		return this.entries()[Symbol.iterator]();
+	}
+
+	#indexId(key) {
+		return `db:${this.#namespace}:${key}`;
+	}
+
+	#chunkId(key, index) {
+		return `dbc:${this.#namespace}:${index}:${key}`;
+	}
+
+	#markDirty(key) {
+		this.#dirty.add(key);
+		Database.#unsaved.add(this);
+		this.#runId ??= system.runInterval(() => {
+			let saved = 0;
+			for (const key of this.#dirty) {
+				if (saved++ >= this.#saveRate) return;
+				this.#write(key);
+			}
+			system.clearRun(this.#runId);
+			this.#runId = undefined;
+		});
+	}
+
+	#read(key) {
+		const storage = this.#storage;
+		const count = storage.getDynamicProperty(this.#indexId(key));
+		if (typeof count !== "number") return undefined;
+		let json = "";
+		for (let i = 0; i < count; i++) json += storage.getDynamicProperty(this.#chunkId(key, i)) ?? "";
+		try {
+			return JSON.parse(json);
+		} catch {
+			console.warn(`Database <${this.#namespace}> has a corrupted value at key <${key}>.`);
+			return undefined;
+		}
+	}
+
+	#write(key) {
+		this.#dirty.delete(key);
+		if (!this.#dirty.size) Database.#unsaved.delete(this);
+		const storage = this.#storage;
+		if (storage !== world && !storage.isValid) {
+			console.warn(
+				`Database <${this.#namespace}> lost its storage entity, <${key}> was not saved.`,
+			);
+			return;
+		}
+		const value = this.#cache.get(key);
+		const previousCount = storage.getDynamicProperty(this.#indexId(key)) ?? 0;
+		const chunks = value === undefined ? [] : Database.#split(JSON.stringify(value));
+
+		chunks.forEach((chunk, i) => storage.setDynamicProperty(this.#chunkId(key, i), chunk));
+		for (let i = chunks.length; i < previousCount; i++) {
+			storage.setDynamicProperty(this.#chunkId(key, i), undefined);
+		}
+		storage.setDynamicProperty(this.#indexId(key), chunks.length ? chunks.length : undefined);
+		if (value === undefined) this.#cache.delete(key);
+	}
+
+	/**
+	 * Splits a string into pieces that fit into a single dynamic property.
+	 * @param {string} string
+	 * @returns {string[]}
+	 */
+	static #split(string) {
+		const chunks = [];
+		let start = 0;
+		let bytes = 0;
+		for (let i = 0; i < string.length; i++) {
+			const code = string.charCodeAt(i);
+			// A surrogate pair is 4 bytes in UTF-8, all counted on the high half so a pair is never split apart.
+			const size =
+				code <= 0x7f
+					? 1
+					: code <= 0x7ff
+						? 2
+						: code >= 0xdc00 && code <= 0xdfff
+							? 0
+							: code >= 0xd800 && code <= 0xdbff
+								? 4
+								: 3;
+			if (bytes + size > MAX_PROPERTY_BYTES) {
+				chunks.push(string.slice(start, i));
+				start = i;
+				bytes = 0;
+			}
+			bytes += size;
+		}
+		chunks.push(string.slice(start));
+		return chunks;
+	}
+}
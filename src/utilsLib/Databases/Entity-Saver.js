@@ -1 +1,207 @@
-// An Entity Database which saves entities into strucutres and loads the entity from structure.
\ No newline at end of file
+import { world, Entity, Dimension, EntityComponentTypes, EquipmentSlot } from "@minecraft/server";
+import { ItemStackUtils } from "../Itemstack-Utils.js";
+
+/**
+ * Equipment slots captured by the saver, the main hand is already part of the inventory for players.
+ */
+const equipmentSlots = [
+	EquipmentSlot.Head,
+	EquipmentSlot.Chest,
+	EquipmentSlot.Legs,
+	EquipmentSlot.Feet,
+	EquipmentSlot.Offhand,
+];
+
+/**
+ * Components holding a single value that selects how an entity looks.
+ * Only `minecraft:color` can be written back, the others are read-only in the Script API.
+ */
+const variantComponents = [
+	"minecraft:variant",
+	"minecraft:mark_variant",
+	"minecraft:skin_id",
+	"minecraft:color",
+	"minecraft:color2",
+];
+
+/**
+ * @typedef {Object} EntityRecord
+ * @property {number} version Format version of the record.
+ * @property {string} typeId
+ * @property {string} dimension Id of the dimension the entity was saved in.
+ * @property {import("@minecraft/server").Vector3} location
+ * @property {import("@minecraft/server").Vector2} rotation
+ * @property {string} [nameTag]
+ * @property {number} [health]
+ * @property {string[]} tags
+ * @property {Object.<string, any>} dynamicProperties
+ * @property {(string | null)[]} [inventory] Items in the format of {@link ItemStackUtils.stringifyItem}.
+ * @property {Object.<string, string>} [equipment] Items by equipment slot, in the format of {@link ItemStackUtils.stringifyItem}.
+ * @property {string} [owner] Id of the player that tamed the entity.
+ * @property {Object.<string, number>} variants Values of the variant-style components.
+ * @property {boolean} isBaby
+ */
+
+/**
+ * Snapshots entities into serializable records and respawns them later, possibly in another dimension.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { Database } from "./Databases/Database.js";
+ * import { EntitySaver } from "./Databases/Entity-Saver.js";
+ *
+ * const pets = new Database("pets");
+ *
+ * -// Store the pet and remove it from the world
+ * pets.set(player.id, EntitySaver.save(pet, true));
+ *
+ * -// Later, bring it back next to the player
+ * EntitySaver.restore(pets.get(player.id), { dimension: player.dimension, location: player.location });
+ */
+export class EntitySaver {
+	static Version = 1;
+
+	/**
+	 * Captures the state of an entity.
+	 * @param {Entity} entity The entity to save.
+	 * @param {boolean} [remove=false] Whether to remove the entity from the world once saved.
+	 * @returns {EntityRecord}
+	 * @throws {TypeError} If the entity is not valid.
+	 */
+	static save(entity, remove = false) {
+		if (!(entity instanceof Entity) || !entity.isValid) {
+			throw new TypeError("Cannot save an invalid entity.");
+		}
+		const { x, y, z } = entity.location;
+		/** @type {EntityRecord} */
+		const record = {
+			version: EntitySaver.Version,
+			typeId: entity.typeId,
+			dimension: entity.dimension.id,
+			location: { x, y, z },
+			rotation: entity.getRotation(),
+			tags: entity.getTags(),
+			dynamicProperties: {},
+			variants: {},
+			isBaby: entity.hasComponent("minecraft:is_baby"),
+		};
+		if (entity.nameTag) record.nameTag = entity.nameTag;
+
+		const health = entity.getComponent(EntityComponentTypes.Health);
+		if (health) record.health = health.currentValue;
+
+		for (const id of entity.getDynamicPropertyIds()) {
+			record.dynamicProperties[id] = entity.getDynamicProperty(id);
+		}
+
+		const container = entity.getComponent(EntityComponentTypes.Inventory)?.container;
+		if (container) {
+			record.inventory = [];
+			for (let i = 0; i < container.size; i++) {
+				const item = container.getItem(i);
+				record.inventory.push(item ? ItemStackUtils.stringifyItem(item) : null);
+			}
+		}
+
+		const equippable = entity.getComponent(EntityComponentTypes.Equippable);
+		if (equippable) {
+			record.equipment = {};
+			for (const slot of equipmentSlots) {
+				const item = equippable.getEquipment(slot);
+				if (item) record.equipment[slot] = ItemStackUtils.stringifyItem(item);
+			}
+		}
+
+		const tameable = entity.getComponent(EntityComponentTypes.Tameable);
+		if (tameable?.isTamed && tameable.tamedToPlayerId) record.owner = tameable.tamedToPlayerId;
+
+		for (const componentId of variantComponents) {
+			const component = entity.getComponent(componentId);
+			if (component) record.variants[componentId] = component.value;
+		}
+
+		if (remove) entity.remove();
+		return record;
+	}
+
+	/**
+	 * Spawns an entity back from a record.
+	 * @remarks
+	 * The tame owner is only restored if the owner is online.
+	 * Variants other than `minecraft:color` can't be set from scripts, pass `applyVariant`
+	 * to reapply them with your own entity events.
+	 * @param {EntityRecord | string} record The record, or its JSON string.
+	 * @param {Object} [options={}]
+	 * @param {Dimension} [options.dimension] Dimension to spawn in. Defaults to the dimension the entity was saved in.
+	 * @param {import("@minecraft/server").Vector3} [options.location] Location to spawn at. Defaults to the saved location.
+	 * @param {import("@minecraft/server").Vector2} [options.rotation] Rotation to apply. Defaults to the saved rotation.
+	 * @param {(entity: Entity, componentId: string, value: number) => void} [options.applyVariant] Called for each read-only variant that differs after spawning.
+	 * @returns {Entity} The restored entity.
+	 * @throws If the record version is not supported.
+	 */
+	static restore(record, options = {}) {
+		if (typeof record === "string") record = JSON.parse(record);
+		if (record.version > EntitySaver.Version) {
+			throw new Error(`Unsupported entity record version: ${record.version}`);
+		}
+		const dimension = options.dimension ?? world.getDimension(record.dimension);
+		const rotation = options.rotation ?? record.rotation;
+		const entity = dimension.spawnEntity(record.typeId, options.location ?? record.location, {
+			initialRotation: rotation.y,
+			spawnEvent: record.isBaby ? "minecraft:entity_born" : undefined,
+		});
+		entity.setRotation(rotation);
+
+		if (record.nameTag) entity.nameTag = record.nameTag;
+		for (const tag of record.tags) entity.addTag(tag);
+		for (const id in record.dynamicProperties) {
+			entity.setDynamicProperty(id, record.dynamicProperties[id]);
+		}
+
+		const container = entity.getComponent(EntityComponentTypes.Inventory)?.container;
+		if (container && record.inventory) {
+			const size = Math.min(container.size, record.inventory.length);
+			for (let i = 0; i < size; i++) {
+				const data = record.inventory[i];
+				container.setItem(i, data ? ItemStackUtils.parseItem(data) : undefined);
+			}
+		}
+
+		const equippable = entity.getComponent(EntityComponentTypes.Equippable);
+		if (equippable && record.equipment) {
+			for (const slot in record.equipment) {
+				equippable.setEquipment(slot, ItemStackUtils.parseItem(record.equipment[slot]));
+			}
+		}
+
+		if (record.owner) {
+			const owner = world.getAllPlayers().find((p) => p.id === record.owner);
+			if (owner) entity.getComponent(EntityComponentTypes.Tameable)?.tame(owner);
+		}
+
+		for (const componentId in record.variants) {
+			const value = record.variants[componentId];
+			const component = entity.getComponent(componentId);
+			if (!component || component.value === value) continue;
+			if (componentId === "minecraft:color") component.value = value;
+			else options.applyVariant?.(entity, componentId, value);
+		}
+
+		const health = entity.getComponent(EntityComponentTypes.Health);
+		if (health && record.health !== undefined) {
+			health.setCurrentValue(Math.min(record.health, health.effectiveMax));
+		}
+
+		return entity;
+	}
+
+	/**
+	 * Captures an entity as a JSON string, ready to be stored in a dynamic property.
+	 * @param {Entity} entity The entity to save.
+	 * @param {boolean} [remove=false] Whether to remove the entity from the world once saved.
+	 * @returns {string}
+	 */
+	static stringify(entity, remove = false) {
+		return JSON.stringify(EntitySaver.save(entity, remove));
+	}
+}
@@ -1,4 +1,4 @@
-import { Dimension, ItemStack, system, world, Block, ItemStack } from "@minecraft/server";
+import { Dimension, ItemStack, system, world, Block } from "@minecraft/server";
 
 let initialized_overworld;
 let initialized_nether;
@@ -0,0 +1,559 @@
+import { world, system, Player } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { EventSignal } from "./Custom-Events.js";
+import { NumberUtils } from "./Number-Utils.js";
+
+/**
+ * The highest and lowest values a scoreboard score can hold.
+ */
+const MAX_SCORE = 2 ** 31 - 1;
+const MIN_SCORE = -(2 ** 31);
+
+/**
+ * An error about balances, like a player not having enough money.
+ * Shops can catch it to show the message to the player.
+ *
+ * @example
+ * try {
+ *     Economy.withdraw(player, price);
+ * } catch (error) {
+ *     if (!(error instanceof EconomyError)) throw error;
+ *     player.sendMessage(error.message);
+ * }
+ */
+export class EconomyError extends Error {
+	name = "EconomyError";
+}
+
+/**
+ * @typedef {Object} CurrencyOptions
+ * @property {string} [objective] The scoreboard objective holding the balances, the currency id by default.
+ * @property {string} [displayName] The name shown to players, the currency id by default.
+ * @property {string} [symbol=""] Written before formatted amounts, like `$`.
+ * @property {number} [startingBalance=0] The balance of new accounts.
+ * @property {boolean} [allowNegative=false] Whether balances can go below 0.
+ * @property {(transfer: { from: Account, to: Account, amount: number }) => number} [tax] Gets the tax taken from
+ * a transfer. The receiver gets the amount minus the tax.
+ * @property {(balance: number, account: Account) => number} [interest] Gets the interest added to a balance
+ * by {@link Economy.applyInterest}.
+ * @property {number} [interestInterval] Ticks between automatic calls of {@link Economy.applyInterest}.
+ */
+
+/**
+ * @typedef {Required<Pick<CurrencyOptions, "objective" | "displayName" | "symbol" | "startingBalance" | "allowNegative">> & CurrencyOptions & { id: string }} Currency
+ */
+
+/**
+ * @typedef {Object} Account
+ * @property {string} id The player id.
+ * @property {string} name The last known name of the player.
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {number} time In milliseconds since the epoch.
+ * @property {string} currency
+ * @property {"deposit" | "withdraw" | "set" | "transfer" | "interest"} type
+ * @property {number} amount The change of the balance, negative when money was taken.
+ * @property {number} balance The balance after the transaction.
+ * @property {string} [counterparty] The other account of a transfer.
+ * @property {number} [tax] The tax taken from a transfer.
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} AccountRecord
+ * @property {string} name
+ * @property {number} [identity] The id of the scoreboard identity of the player.
+ * @property {Record<string, number>} balances Exact balances, by currency.
+ * @property {Record<string, number>} mirrors Scores last written to the objectives, by currency.
+ */
+
+/**
+ * Currencies and player accounts, with transfers and a transaction history.
+ *
+ * Balances are kept in scoreboard objectives, so they can be shown on the sidebar and used by commands.
+ * The exact balance is also saved in world dynamic properties: amounts beyond what a score can hold
+ * and balances of players who never had a score are read from there, while scores changed by commands
+ * replace the saved balance. Accounts are keyed by player id and work for offline players.
+ *
+ * @example
+ * import { Economy } from "./Economy.js";
+ *
+ * Economy.registerCurrency("money", { symbol: "$", startingBalance: 100 });
+ * Economy.registerCurrency("gems", {
+ *     displayName: "Gems",
+ *     tax: ({ amount }) => Math.floor(amount * 0.05),
+ *     interest: (balance) => Math.floor(balance * 0.01),
+ *     interestInterval: 20 * 60 * 20,
+ * });
+ *
+ * Economy.transfer(buyer, seller, 250, { reason: "Auction #12" });
+ * player.sendMessage(`Balance: ${Economy.format(Economy.getBalance(player))}`); -// Balance: $1,250
+ */
+export class Economy {
+	/**
+	 * Events of the economy.
+	 * - `transaction` for every change of a balance, once per account.
+	 * @type {{ transaction: EventSignal<{ account: Account, transaction: Transaction }> }}
+	 */
+	static afterEvents = {
+		transaction: new EventSignal(),
+	};
+
+	/**
+	 * The maximum amount of transactions kept in the history of each account. The oldest are removed first.
+	 * @type {number}
+	 */
+	static maxHistory = 100;
+
+	static #database = new Database("economy");
+	/** @type {Map<string, Currency>} */
+	static #currencies = new Map();
+	/** @type {Map<string, { tick: number, participants: Map<number, import("@minecraft/server").ScoreboardIdentity> }>} Participants of each objective by identity id, read once per tick. */
+	static #participants = new Map();
+	/** @type {Currency | undefined} */
+	static #defaultCurrency;
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => {
+			for (const player of world.getAllPlayers()) Economy.#join(player);
+		});
+		world.afterEvents.playerSpawn.subscribe(({ player, initialSpawn }) => {
+			if (initialSpawn) Economy.#join(player);
+		});
+	}
+
+	/**
+	 * Registers a currency. The first registered currency is the default one.
+	 * @param {string} id
+	 * @param {CurrencyOptions} [options={}]
+	 * @returns {Currency}
+	 * @throws {Error} If the currency is already registered.
+	 */
+	static registerCurrency(id, options = {}) {
+		if (Economy.#currencies.has(id)) throw new Error(`The currency <${id}> is already registered.`);
+		/** @type {Currency} */
+		const currency = {
+			...options,
+			id,
+			objective: options.objective ?? id,
+			displayName: options.displayName ?? id,
+			symbol: options.symbol ?? "",
+			startingBalance: options.startingBalance ?? 0,
+			allowNegative: options.allowNegative ?? false,
+		};
+		Economy.#currencies.set(id, currency);
+		Economy.#defaultCurrency ??= currency;
+		if (currency.interest && currency.interestInterval) {
+			system.runInterval(() => Economy.applyInterest(id), currency.interestInterval);
+		}
+		return currency;
+	}
+
+	/**
+	 * Gets a registered currency.
+	 * @param {string} [id] The default currency if not specified.
+	 * @returns {Currency}
+	 * @throws {Error} If the currency is not registered.
+	 */
+	static getCurrency(id) {
+		const currency = id === undefined ? Economy.#defaultCurrency : Economy.#currencies.get(id);
+		if (!currency) {
+			throw new Error(
+				id === undefined ? "No currency is registered." : `Unknown currency <${id}>.`,
+			);
+		}
+		return currency;
+	}
+
+	/**
+	 * Gets an account.
+	 * @param {Player | string} player The player, or a player id.
+	 * @returns {Account | undefined} The account, `undefined` for unknown player ids.
+	 */
+	static getAccount(player) {
+		const id = player instanceof Player ? player.id : player;
+		const record = Economy.#record(player);
+		return record && { id, name: record.name };
+	}
+
+	/**
+	 * Finds the account of a player by name, including offline players.
+	 * @param {string} name
+	 * @returns {Account | undefined}
+	 */
+	static findAccount(name) {
+		const lowerName = name.toLowerCase();
+		return Economy.listAccounts().find((account) => account.name.toLowerCase() === lowerName);
+	}
+
+	/**
+	 * Lists every account.
+	 * @returns {Account[]}
+	 */
+	static listAccounts() {
+		const accounts = [];
+		for (const key of Economy.#database.keys()) {
+			if (key.startsWith("account:")) accounts.push(Economy.getAccount(key.slice(8)));
+		}
+		return accounts;
+	}
+
+	/**
+	 * Gets the balance of an account.
+	 * @param {Player | string} player The player, or a player id.
+	 * @param {string} [currency] The default currency if not specified.
+	 * @returns {number}
+	 * @throws {EconomyError} If the account doesn't exist.
+	 */
+	static getBalance(player, currency) {
+		return Economy.#read(Economy.#requireRecord(player), Economy.getCurrency(currency));
+	}
+
+	/**
+	 * Checks if an account has at least an amount.
+	 * @param {Player | string} player The player, or a player id.
+	 * @param {number} amount
+	 * @param {string} [currency] The default currency if not specified.
+	 * @returns {boolean}
+	 */
+	static has(player, amount, currency) {
+		return Economy.getBalance(player, currency) >= amount;
+	}
+
+	/**
+	 * Gets the accounts with the highest balances.
+	 * @param {number} [amount=10]
+	 * @param {string} [currency] The default currency if not specified.
+	 * @returns {{ account: Account, balance: number }[]}
+	 */
+	static top(amount = 10, currency) {
+		return Economy.listAccounts()
+			.map((account) => ({ account, balance: Economy.getBalance(account.id, currency) }))
+			.sort((a, b) => b.balance - a.balance)
+			.slice(0, amount);
+	}
+
+	/**
+	 * Adds money to an account.
+	 * @param {Player | string} player The player, or a player id.
+	 * @param {number} amount
+	 * @param {{ currency?: string, reason?: string }} [options={}]
+	 * @returns {number} The new balance.
+	 * @throws {RangeError} If the amount is not a positive safe integer.
+	 * @throws {EconomyError} If the account doesn't exist.
+	 */
+	static deposit(player, amount, options = {}) {
+		Economy.#checkAmount(amount);
+		return Economy.#change(player, "deposit", amount, options);
+	}
+
+	/**
+	 * Takes money from an account.
+	 * @param {Player | string} player The player, or a player id.
+	 * @param {number} amount
+	 * @param {{ currency?: string, reason?: string }} [options={}]
+	 * @returns {number} The new balance.
+	 * @throws {RangeError} If the amount is not a positive safe integer.
+	 * @throws {EconomyError} If the account doesn't exist or doesn't have enough money.
+	 */
+	static withdraw(player, amount, options = {}) {
+		Economy.#checkAmount(amount);
+		return Economy.#change(player, "withdraw", -amount, options);
+	}
+
+	/**
+	 * Sets the balance of an account.
+	 * @param {Player | string} player The player, or a player id.
+	 * @param {number} balance
+	 * @param {{ currency?: string, reason?: string }} [options={}]
+	 * @returns {number} The new balance.
+	 * @throws {RangeError} If the balance is not a safe integer.
+	 * @throws {EconomyError} If the account doesn't exist, or the balance is negative and the currency forbids it.
+	 */
+	static setBalance(player, balance, options = {}) {
+		if (!Number.isSafeInteger(balance)) throw new RangeError(`Invalid balance: <${balance}>.`);
+		const difference = balance - Economy.getBalance(player, options.currency);
+		return Economy.#change(player, "set", difference, options);
+	}
+
+	/**
+	 * Moves money from an account to another, taking the tax of the currency from the amount received.
+	 * Either both balances change or none.
+	 * @param {Player | string} from The paying player, or a player id.
+	 * @param {Player | string} to The receiving player, or a player id.
+	 * @param {number} amount
+	 * @param {{ currency?: string, reason?: string }} [options={}]
+	 * @returns {{ amount: number, tax: number }} The amount received and the tax.
+	 * @throws {RangeError} If the amount is not a positive safe integer.
+	 * @throws {EconomyError} If an account doesn't exist, both are the same, or the payer doesn't have enough money.
+	 */
+	static transfer(from, to, amount, options = {}) {
+		Economy.#checkAmount(amount);
+		const currency = Economy.getCurrency(options.currency);
+		const payer = Economy.getAccount(from);
+		const receiver = Economy.getAccount(to);
+		if (!payer || !receiver) throw new EconomyError("Unknown account.");
+		if (payer.id === receiver.id) throw new EconomyError("You can't pay yourself.");
+
+		const tax = Math.min(
+			amount,
+			Math.max(0, Math.floor(currency.tax?.({ from: payer, to: receiver, amount }) ?? 0)),
+		);
+		const payerRecord = Economy.#requireRecord(from);
+		const receiverRecord = Economy.#requireRecord(to);
+		const payerBalance = Economy.#read(payerRecord, currency) - amount;
+		const receiverBalance = Economy.#read(receiverRecord, currency) + amount - tax;
+		Economy.#checkBalance(payerBalance, currency);
+		Economy.#checkBalance(receiverBalance, currency);
+
+		Economy.#write(payer.id, payerRecord, currency, payerBalance);
+		try {
+			Economy.#write(receiver.id, receiverRecord, currency, receiverBalance);
+		} catch (error) {
+			Economy.#write(payer.id, payerRecord, currency, payerBalance + amount);
+			throw error;
+		}
+
+		const base = {
+			time: Date.now(),
+			currency: currency.id,
+			type: "transfer",
+			tax,
+			reason: options.reason,
+		};
+		Economy.#log(payer, {
+			...base,
+			amount: -amount,
+			balance: payerBalance,
+			counterparty: receiver.id,
+		});
+		Economy.#log(receiver, {
+			...base,
+			amount: amount - tax,
+			balance: receiverBalance,
+			counterparty: payer.id,
+		});
+		return { amount: amount - tax, tax };
+	}
+
+	/**
+	 * Adds the interest of a currency to every account with a positive balance.
+	 * @param {string} [currency] The default currency if not specified.
+	 */
+	static applyInterest(currency) {
+		const { id, interest } = Economy.getCurrency(currency);
+		if (!interest) return;
+		for (const account of Economy.listAccounts()) {
+			const balance = Economy.getBalance(account.id, id);
+			if (balance <= 0) continue;
+			const amount = Math.floor(interest(balance, account));
+			if (amount > 0) Economy.#change(account.id, "interest", amount, { currency: id });
+		}
+	}
+
+	/**
+	 * Gets the transaction history of an account, newest first.
+	 * @param {Player | string} player The player, or a player id.
+	 * @param {{ currency?: string, limit?: number }} [options={}]
+	 * @returns {Transaction[]}
+	 */
+	static getHistory(player, options = {}) {
+		const id = player instanceof Player ? player.id : player;
+		/** @type {Transaction[]} */
+		const history = Economy.#database.get(`history:${id}`) ?? [];
+		return history
+			.filter(
+				(transaction) =>
+					options.currency === undefined || transaction.currency === options.currency,
+			)
+			.reverse()
+			.slice(0, options.limit ?? Infinity);
+	}
+
+	/**
+	 * Formats an amount with the symbol of a currency.
+	 * @param {number} amount
+	 * @param {string} [currency] The default currency if not specified.
+	 * @param {{ abbreviate?: boolean }} [options={}] Whether to shorten large amounts, like `1.2M`.
+	 * @returns {string}
+	 *
+	 * @example
+	 * Economy.format(1234567); -// "$1,234,567"
+	 * Economy.format(1234567, "money", { abbreviate: true }); -// "$1.2M"
+	 */
+	static format(amount, currency, options = {}) {
+		const { symbol } = Economy.getCurrency(currency);
+		const absolute = Math.abs(amount);
+		const digits = options.abbreviate
+			? NumberUtils.abbreviateNumber(absolute)
+			: NumberUtils.formatNumber(absolute);
+		return `${amount < 0 ? "-" : ""}${symbol}${digits}`;
+	}
+
+	/**
+	 * @param {Player | string} player
+	 * @param {Transaction["type"]} type
+	 * @param {number} difference
+	 * @param {{ currency?: string, reason?: string }} options
+	 * @returns {number} The new balance.
+	 */
+	static #change(player, type, difference, options) {
+		const currency = Economy.getCurrency(options.currency);
+		const account = Economy.getAccount(player);
+		if (!account) throw new EconomyError("Unknown account.");
+		const record = Economy.#requireRecord(account.id);
+		const balance = Economy.#read(record, currency) + difference;
+		Economy.#checkBalance(balance, currency);
+		Economy.#write(account.id, record, currency, balance);
+		Economy.#log(account, {
+			time: Date.now(),
+			currency: currency.id,
+			type,
+			amount: difference,
+			balance,
+			reason: options.reason,
+		});
+		return balance;
+	}
+
+	/**
+	 * Reads a balance, adopting scores changed by other means, like commands.
+	 * @param {AccountRecord} record
+	 * @param {Currency} currency
+	 * @returns {number}
+	 */
+	static #read(record, currency) {
+		const saved = record.balances[currency.id] ?? currency.startingBalance;
+		const participant = Economy.#participant(record, currency);
+		const score =
+			participant && world.scoreboard.getObjective(currency.objective)?.getScore(participant);
+		if (score === undefined || score === record.mirrors[currency.id]) return saved;
+		return score;
+	}
+
+	/**
+	 * Writes a balance, the score being clamped to what the objective can hold.
+	 * @param {string} id
+	 * @param {AccountRecord} record
+	 * @param {Currency} currency
+	 * @param {number} balance
+	 */
+	static #write(id, record, currency, balance) {
+		record.balances[currency.id] = balance;
+		const target = Economy.#participant(record, currency) ?? world.getEntity(id);
+		if (target) {
+			const score = Math.min(MAX_SCORE, Math.max(MIN_SCORE, balance));
+			Economy.#getObjective(currency).setScore(target, score);
+			record.mirrors[currency.id] = score;
+			if (target instanceof Player) record.identity ??= target.scoreboardIdentity?.id;
+		}
+		Economy.#database.set(`account:${id}`, record);
+	}
+
+	/**
+	 * @param {AccountRecord} record
+	 * @param {Currency} currency
+	 * @returns {import("@minecraft/server").ScoreboardIdentity | undefined}
+	 */
+	static #participant(record, currency) {
+		if (record.identity === undefined) return undefined;
+		const objective = world.scoreboard.getObjective(currency.objective);
+		if (!objective) return undefined;
+		let cached = Economy.#participants.get(currency.objective);
+		if (cached?.tick !== system.currentTick) {
+			const participants = objective
+				.getParticipants()
+				.map((participant) => [participant.id, participant]);
+			cached = { tick: system.currentTick, participants: new Map(participants) };
+			Economy.#participants.set(currency.objective, cached);
+		}
+		return cached.participants.get(record.identity);
+	}
+
+	/**
+	 * @param {Currency} currency
+	 */
+	static #getObjective(currency) {
+		return (
+			world.scoreboard.getObjective(currency.objective) ??
+			world.scoreboard.addObjective(currency.objective, currency.displayName)
+		);
+	}
+
+	/**
+	 * Gets the saved account of a player, creating it for online players.
+	 * @param {Player | string} player
+	 * @returns {AccountRecord | undefined}
+	 */
+	static #record(player) {
+		if (!(player instanceof Player)) return Economy.#database.get(`account:${player}`);
+		return Economy.#database.get(`account:${player.id}`) ?? Economy.#join(player);
+	}
+
+	/**
+	 * @param {Player | string} player
+	 * @returns {AccountRecord}
+	 */
+	static #requireRecord(player) {
+		const record = Economy.#record(player);
+		if (!record) throw new EconomyError("Unknown account.");
+		return record;
+	}
+
+	/**
+	 * @param {Account} account
+	 * @param {Transaction} transaction
+	 */
+	static #log(account, transaction) {
+		if (transaction.reason === undefined) delete transaction.reason;
+		const history = Economy.#database.get(`history:${account.id}`) ?? [];
+		history.push(transaction);
+		if (history.length > Economy.maxHistory) history.splice(0, history.length - Economy.maxHistory);
+		Economy.#database.set(`history:${account.id}`, history);
+		Economy.afterEvents.transaction.emit({ account, transaction });
+	}
+
+	/**
+	 * @param {number} amount
+	 */
+	static #checkAmount(amount) {
+		if (!Number.isSafeInteger(amount) || amount <= 0) {
+			throw new RangeError(`The amount must be a positive integer, got <${amount}>.`);
+		}
+	}
+
+	/**
+	 * @param {number} balance
+	 * @param {Currency} currency
+	 */
+	static #checkBalance(balance, currency) {
+		if (!Number.isSafeInteger(balance))
+			throw new EconomyError(`The balance can't reach ${balance}.`);
+		if (balance < 0 && !currency.allowNegative) {
+			throw new EconomyError(`Not enough ${currency.displayName}.`);
+		}
+	}
+
+	/**
+	 * Creates the account of a joining player, or updates their name, and writes the scores
+	 * of balances changed while they were offline.
+	 * @param {Player} player
+	 * @returns {AccountRecord}
+	 */
+	static #join(player) {
+		/** @type {AccountRecord} */
+		const record = Economy.#database.get(`account:${player.id}`) ?? {
+			name: player.name,
+			balances: {},
+			mirrors: {},
+		};
+		record.name = player.name;
+		for (const currency of Economy.#currencies.values()) {
+			Economy.#write(player.id, record, currency, Economy.#read(record, currency));
+		}
+		Economy.#database.set(`account:${player.id}`, record);
+		return record;
+	}
+}
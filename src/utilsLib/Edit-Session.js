@@ -0,0 +1,290 @@
+import { Player } from "@minecraft/server";
+import { BlockEditor } from "./Block-Editor.js";
+import { Database } from "./Databases/Database.js";
+
+/**
+ * @typedef {import("./Block-Editor.js").EditRecord} EditRecord
+ */
+
+/**
+ * @typedef {Object} SessionState
+ * @property {number[]} undo Ids of the undoable actions, oldest first.
+ * @property {number[]} redo Ids of the redoable actions, oldest first.
+ * @property {number} next Id of the next action.
+ */
+
+/**
+ * A per-player history of block edits that can be undone and redone.
+ *
+ * Each action is a list of {@link EditRecord}, holding the previous permutation of every changed block
+ * and the contents of changed containers. Actions are stored in a {@link Database} and dropped from memory,
+ * so long histories don't stay loaded. The history survives world reloads.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { EditSession } from "./Edit-Session.js";
+ * import { BlockUtils } from "./Block-Utils.js";
+ *
+ * const session = EditSession.get(player);
+ *
+ * -// Record single block changes
+ * session.record(block, () => block.setType("minecraft:gold_block"));
+ * BlockUtils.setPermutation(block, "facing_direction", 2, session);
+ *
+ * -// Record a whole area, edited in the background
+ * await session.fill(player.dimension, from, to, "minecraft:glass");
+ *
+ * await session.undo();
+ * await session.redo();
+ */
+export class EditSession {
+	static #database = new Database("editHistory");
+	/** @type {Map<string, EditSession>} */
+	static #sessions = new Map();
+
+	#id;
+	#maxHistory;
+	/** @type {EditRecord[] | undefined} Records of the batch being built. */
+	#batch;
+	#busy = false;
+	/** @type {EditRecord[][]} Actions pushed while an undo or redo was running. */
+	#queued = [];
+
+	/**
+	 * @param {Player | string} player The player, or the id, owning the history.
+	 * @param {Object} [options={}]
+	 * @param {number} [options.maxHistory=20] The amount of actions kept, older actions are forgotten.
+	 */
+	constructor(player, options = {}) {
+		this.#id = player instanceof Player ? player.id : player;
+		this.#maxHistory = Math.max(1, options.maxHistory ?? 20);
+	}
+
+	/**
+	 * Gets the edit session of a player, creating it if needed.
+	 * @param {Player | string} player The player, or its id.
+	 * @param {Object} [options] Options used if the session is created, see the constructor.
+	 * @returns {EditSession}
+	 */
+	static get(player, options) {
+		const id = player instanceof Player ? player.id : player;
+		let session = EditSession.#sessions.get(id);
+		if (!session) {
+			session = new EditSession(id, options);
+			EditSession.#sessions.set(id, session);
+		}
+		return session;
+	}
+
+	/**
+	 * The amount of actions that can be undone.
+	 * @type {number}
+	 */
+	get undoCount() {
+		return this.#state.undo.length;
+	}
+
+	/**
+	 * The amount of actions that can be redone.
+	 * @type {number}
+	 */
+	get redoCount() {
+		return this.#state.redo.length;
+	}
+
+	/**
+	 * Whether an undo or redo is running.
+	 * @type {boolean}
+	 */
+	get isBusy() {
+		return this.#busy;
+	}
+
+	/**
+	 * Records a block, then runs a change to it. The change becomes one undoable action.
+	 * @param {import("@minecraft/server").Block} block The block that is changed.
+	 * @param {() => void} change Changes the block.
+	 * @returns {this}
+	 */
+	record(block, change) {
+		return this.recordArea(block.dimension, block.location, block.location, change);
+	}
+
+	/**
+	 * Records the blocks of an area, then runs a change to it. The change becomes one undoable action.
+	 * @remarks The area is recorded at once, use {@link fill} or {@link push} for large areas.
+	 * @param {import("@minecraft/server").Dimension} dimension The dimension of the area.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the area.
+	 * @param {() => void} change Changes the area.
+	 * @returns {this}
+	 */
+	recordArea(dimension, from, to, change) {
+		const record = BlockEditor.snapshot(dimension, from, to);
+		change();
+		return this.push(record);
+	}
+
+	/**
+	 * Groups every change recorded while the callback runs into a single action.
+	 * @param {() => void} callback
+	 * @returns {this}
+	 */
+	batch(callback) {
+		if (this.#batch) {
+			callback();
+			return this;
+		}
+		const batch = (this.#batch = []);
+		try {
+			callback();
+		} finally {
+			this.#batch = undefined;
+			if (batch.length) this.push(...batch);
+		}
+		return this;
+	}
+
+	/**
+	 * Adds records of changes made elsewhere, like with {@link BlockEditor}, as one undoable action.
+	 * Forgets the redoable actions. While an undo or redo runs, the action is added once it is done.
+	 * @param {...EditRecord} records The records, in the order the changes were made.
+	 * @returns {this}
+	 */
+	push(...records) {
+		if (!records.length) return this;
+		if (this.#batch) {
+			this.#batch.push(...records);
+			return this;
+		}
+		if (this.#busy) {
+			this.#queued.push(records);
+			return this;
+		}
+		const state = this.#state;
+		for (const id of state.redo.splice(0)) EditSession.#database.delete(this.#actionKey(id));
+		this.#store(state.next, records);
+		state.undo.push(state.next++);
+		while (state.undo.length > this.#maxHistory) {
+			EditSession.#database.delete(this.#actionKey(state.undo.shift()));
+		}
+		this.#save(state);
+		return this;
+	}
+
+	/**
+	 * Fills an area in the background and records it as one action.
+	 * @param {import("@minecraft/server").Dimension} dimension The dimension to edit.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the area.
+	 * @param {import("@minecraft/server").BlockPermutation | import("@minecraft/server").BlockType | string} block The block to fill with.
+	 * @param {import("./Block-Editor.js").EditOptions & { filter?: import("@minecraft/server").BlockFilter }} [options] See {@link BlockEditor.fill}.
+	 * @returns {Promise<void>}
+	 */
+	async fill(dimension, from, to, block, options = {}) {
+		this.push(await BlockEditor.fill(dimension, from, to, block, { ...options, record: true }));
+	}
+
+	/**
+	 * Replaces a block type in an area in the background and records it as one action.
+	 * @param {import("@minecraft/server").Dimension} dimension The dimension to edit.
+	 * @param {import("@minecraft/server").Vector3} from A corner of the area.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner of the area.
+	 * @param {string} fromBlock The type id of the blocks to replace.
+	 * @param {import("@minecraft/server").BlockPermutation | import("@minecraft/server").BlockType | string} toBlock The block to replace with.
+	 * @param {import("./Block-Editor.js").EditOptions} [options] See {@link BlockEditor.replace}.
+	 * @returns {Promise<void>}
+	 */
+	async replace(dimension, from, to, fromBlock, toBlock, options = {}) {
+		this.push(
+			await BlockEditor.replace(dimension, from, to, fromBlock, toBlock, {
+				...options,
+				record: true,
+			}),
+		);
+	}
+
+	/**
+	 * Undoes the last action.
+	 * @param {import("./Block-Editor.js").EditOptions} [options] Job options of the restore, see {@link BlockEditor.restore}.
+	 * @returns {Promise<boolean>} `false` if there was nothing to undo. Rejects if an undo or redo is already running.
+	 */
+	undo(options) {
+		return this.#travel("undo", "redo", options);
+	}
+
+	/**
+	 * Redoes the last undone action.
+	 * @param {import("./Block-Editor.js").EditOptions} [options] Job options of the restore, see {@link BlockEditor.restore}.
+	 * @returns {Promise<boolean>} `false` if there was nothing to redo. Rejects if an undo or redo is already running.
+	 */
+	redo(options) {
+		return this.#travel("redo", "undo", options);
+	}
+
+	/**
+	 * Forgets the whole history of this session.
+	 */
+	clear() {
+		const state = this.#state;
+		for (const id of [...state.undo, ...state.redo]) {
+			EditSession.#database.delete(this.#actionKey(id));
+		}
+		EditSession.#database.delete(this.#id);
+	}
+
+	/**
+	 * Restores the last action of a stack, and moves its inverse to the other stack.
+	 * @param {"undo" | "redo"} from
+	 * @param {"undo" | "redo"} to
+	 */
+	async #travel(from, to, options = {}) {
+		if (this.#busy) throw new Error("An undo or redo is already running for this session.");
+		const state = this.#state;
+		const id = state[from].at(-1);
+		if (id === undefined) return false;
+
+		this.#busy = true;
+		try {
+			/** @type {EditRecord[]} */
+			const records = EditSession.#database.get(this.#actionKey(id)) ?? [];
+			EditSession.#database.evict(this.#actionKey(id));
+			const inverse = [];
+			// Later changes are put back first, so overlapping changes end up as they were.
+			for (let i = records.length - 1; i >= 0; i--) {
+				inverse.push(await BlockEditor.restore(records[i], { ...options, record: true }));
+			}
+			// The history may have been cleared while restoring.
+			const current = this.#state;
+			const index = current[from].lastIndexOf(id);
+			if (index === -1) return true;
+			current[from].splice(index, 1);
+			current[to].push(id);
+			this.#store(id, inverse);
+			this.#save(current);
+			return true;
+		} finally {
+			this.#busy = false;
+			for (const records of this.#queued.splice(0)) this.push(...records);
+		}
+	}
+
+	/** @type {SessionState} */
+	get #state() {
+		return EditSession.#database.get(this.#id) ?? { undo: [], redo: [], next: 0 };
+	}
+
+	#save(state) {
+		EditSession.#database.set(this.#id, state);
+	}
+
+	#store(id, records) {
+		const key = this.#actionKey(id);
+		EditSession.#database.set(key, records);
+		EditSession.#database.evict(key);
+	}
+
+	#actionKey(id) {
+		return `${this.#id}:${id}`;
+	}
+}
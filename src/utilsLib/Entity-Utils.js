@@ -1,4 +1,4 @@
-import { VECTOR3_DOWN, VECTOR3_NORTH, Vector3Builder } from "./Vector3Utils.js";
+import { VECTOR3_DOWN, VECTOR3_NORTH, Vector3Builder } from "./Vec3-Utils.js";
 import { Entity, Player, EntityComponentTypes, world } from "@minecraft/server";
 
 export class EntityUtils {
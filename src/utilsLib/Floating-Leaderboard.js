@@ -0,0 +1,382 @@
+import { world, system, Dimension, Entity } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { CustomScoreboard } from "./Scoreboard-Utils.js";
+import { LocationUtils } from "./Location-Utils.js";
+import { NumberUtils } from "./Number-Utils.js";
+
+/**
+ * The dynamic property set on leaderboard entities, holding the leaderboard id.
+ */
+const ID_PROPERTY = "leaderboard:id";
+
+/**
+ * Ticks between two checks of the leaderboards.
+ */
+const CHECK_INTERVAL = 20;
+
+/**
+ * @typedef {Object} LeaderboardOptions
+ * @property {number} [count=10] How many of the top scores are shown, over all pages.
+ * @property {number} [pageSize=10] Entries per page. Pages turn every `pageInterval` ticks, or when a player
+ * interacts with the leaderboard.
+ * @property {number} [pageInterval=200] Ticks between two pages, `0` to only turn pages on interaction.
+ * @property {number} [refreshInterval=100] Ticks between two reads of the scores.
+ * @property {string} [title="§l§6{objective}"] The first line. `{objective}` is the objective display name,
+ * `{page}` and `{pages}` the page numbers.
+ * @property {string} [format="§7{rank}. §f{name} §7- §e{score}"] The line of each entry.
+ * @property {string} [footer="§7{page}/{pages}"] The last line, hidden when there is only one page.
+ * @property {string} [empty="§7No scores yet."] Shown when the objective has no scores.
+ * @property {"plain" | "commas" | "short"} [numbers="commas"] How scores are written: as they are,
+ * with thousands separators, or abbreviated like `1.2M`.
+ */
+
+/**
+ * @typedef {Required<LeaderboardOptions> & { id: string, objective: string, dimension: string, location: import("@minecraft/server").Vector3 }} Leaderboard
+ */
+
+/**
+ * Leaderboards of an objective placed in the world, drawn as the multiline name tag of a floating text entity.
+ *
+ * The leaderboards are saved in world dynamic properties. Their entity is spawned again whenever it is missing
+ * while its chunk is loaded, so leaderboards come back after being killed, and entities of removed leaderboards
+ * are removed as they load. Offline players are included through {@link CustomScoreboard.leaderboard}.
+ *
+ * @remarks The entity type comes from a behavior pack: {@link FloatingLeaderboards.entityType} should be an
+ * invisible entity without collision, gravity or damage, whose name tag is always shown.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { FloatingLeaderboards } from "./Floating-Leaderboard.js";
+ *
+ * FloatingLeaderboards.entityType = "myaddon:floating_text";
+ *
+ * FloatingLeaderboards.create("richest", "money", world.getDimension("overworld"), { x: 0.5, y: 66, z: 0.5 }, {
+ *     count: 30,
+ *     pageSize: 10,
+ *     format: "§e#{rank} §f{name}: §a${score}",
+ *     numbers: "short",
+ * });
+ */
+export class FloatingLeaderboards {
+	/**
+	 * The type of the floating text entities.
+	 * @type {string}
+	 */
+	static entityType = "utils:floating_text";
+
+	static #database = new Database("leaderboards");
+	/** @type {Map<string, Leaderboard>} */
+	static #leaderboards = new Map();
+	/** @type {Map<string, { entity?: Entity, page: number, entries?: { name: string, score: number }[], refreshed: number, turned: number }>} */
+	static #states = new Map();
+	static #loaded = false;
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => FloatingLeaderboards.#load());
+		world.afterEvents.entityLoad.subscribe(({ entity }) => FloatingLeaderboards.#adopt(entity));
+		world.afterEvents.entitySpawn.subscribe(({ entity }) => FloatingLeaderboards.#adopt(entity));
+		world.afterEvents.playerInteractWithEntity.subscribe(({ target }) => {
+			if (!target.isValid || target.typeId !== FloatingLeaderboards.entityType) return;
+			const id = target.getDynamicProperty(ID_PROPERTY);
+			if (typeof id === "string" && FloatingLeaderboards.#leaderboards.has(id)) {
+				FloatingLeaderboards.turnPage(id);
+			}
+		});
+	}
+
+	/**
+	 * Places a leaderboard, or replaces the leaderboard with the same id.
+	 * @param {string} id
+	 * @param {string} objective The id of the objective.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {import("@minecraft/server").Vector3} location Where the text floats.
+	 * @param {LeaderboardOptions} [options={}]
+	 * @returns {Leaderboard}
+	 */
+	static create(id, objective, dimension, location, options = {}) {
+		if (FloatingLeaderboards.#leaderboards.has(id)) FloatingLeaderboards.remove(id);
+		/** @type {Leaderboard} */
+		const leaderboard = {
+			count: 10,
+			pageSize: 10,
+			pageInterval: 200,
+			refreshInterval: 100,
+			title: "§l§6{objective}",
+			format: "§7{rank}. §f{name} §7- §e{score}",
+			footer: "§7{page}/{pages}",
+			empty: "§7No scores yet.",
+			numbers: "commas",
+			...options,
+			id,
+			objective,
+			dimension: FloatingLeaderboards.#dimensionId(dimension),
+			location: { x: location.x, y: location.y, z: location.z },
+		};
+		FloatingLeaderboards.#leaderboards.set(id, leaderboard);
+		FloatingLeaderboards.#database.set(id, leaderboard);
+		if (FloatingLeaderboards.#loaded) FloatingLeaderboards.#render(leaderboard, true);
+		return leaderboard;
+	}
+
+	/**
+	 * Changes the options of a leaderboard.
+	 * @param {string} id
+	 * @param {LeaderboardOptions} options
+	 * @returns {Leaderboard}
+	 * @throws {Error} If the leaderboard doesn't exist.
+	 */
+	static edit(id, options) {
+		const leaderboard = FloatingLeaderboards.#get(id);
+		Object.assign(leaderboard, options, { id });
+		FloatingLeaderboards.#database.set(id, leaderboard);
+		FloatingLeaderboards.refresh(id);
+		return leaderboard;
+	}
+
+	/**
+	 * Removes a leaderboard and its entity. An entity in an unloaded chunk is removed when it loads.
+	 * @param {string} id
+	 * @returns {boolean} Whether the leaderboard existed.
+	 */
+	static remove(id) {
+		if (!FloatingLeaderboards.#leaderboards.delete(id)) return false;
+		FloatingLeaderboards.#database.delete(id);
+		const entity = FloatingLeaderboards.#states.get(id)?.entity;
+		if (entity?.isValid) entity.remove();
+		FloatingLeaderboards.#states.delete(id);
+		return true;
+	}
+
+	/**
+	 * Gets a leaderboard.
+	 * @param {string} id
+	 * @returns {Leaderboard | undefined}
+	 */
+	static get(id) {
+		return FloatingLeaderboards.#leaderboards.get(id);
+	}
+
+	/**
+	 * Lists every leaderboard.
+	 * @returns {Leaderboard[]}
+	 */
+	static list() {
+		return [...FloatingLeaderboards.#leaderboards.values()];
+	}
+
+	/**
+	 * Reads the scores again and redraws a leaderboard, or every leaderboard.
+	 * @param {string} [id]
+	 */
+	static refresh(id) {
+		const leaderboards =
+			id === undefined ? FloatingLeaderboards.list() : [FloatingLeaderboards.#get(id)];
+		for (const leaderboard of leaderboards) FloatingLeaderboards.#render(leaderboard, true);
+	}
+
+	/**
+	 * Shows the next page of a leaderboard, or a given page.
+	 * @param {string} id
+	 * @param {number} [page] The index of the page, from 0.
+	 * @throws {Error} If the leaderboard doesn't exist.
+	 */
+	static turnPage(id, page) {
+		const leaderboard = FloatingLeaderboards.#get(id);
+		const state = FloatingLeaderboards.#state(id);
+		const pages = FloatingLeaderboards.#pageCount(leaderboard, state.entries?.length ?? 0);
+		state.page = (((page ?? state.page + 1) % pages) + pages) % pages;
+		state.turned = system.currentTick;
+		FloatingLeaderboards.#render(leaderboard, false);
+	}
+
+	static #load() {
+		for (const [id, leaderboard] of FloatingLeaderboards.#database.entries()) {
+			// Leaderboards created before the world loaded are newer than the saved ones.
+			if (FloatingLeaderboards.#leaderboards.has(id)) continue;
+			FloatingLeaderboards.#leaderboards.set(id, leaderboard);
+		}
+		FloatingLeaderboards.#loaded = true;
+		system.runInterval(() => FloatingLeaderboards.#tick(), CHECK_INTERVAL);
+	}
+
+	static #tick() {
+		const tick = system.currentTick;
+		for (const leaderboard of FloatingLeaderboards.#leaderboards.values()) {
+			const state = FloatingLeaderboards.#state(leaderboard.id);
+			const refresh = tick - state.refreshed >= leaderboard.refreshInterval;
+			if (leaderboard.pageInterval > 0 && tick - state.turned >= leaderboard.pageInterval) {
+				const pages = FloatingLeaderboards.#pageCount(leaderboard, state.entries?.length ?? 0);
+				state.page = (state.page + 1) % pages;
+				state.turned = tick;
+			}
+			try {
+				FloatingLeaderboards.#render(leaderboard, refresh);
+			} catch (error) {
+				console.error(`Leaderboard <${leaderboard.id}> failed to render: ${error}`);
+			}
+		}
+	}
+
+	/**
+	 * Draws a leaderboard on its entity, spawning the entity if it is missing and its chunk is loaded.
+	 * @param {Leaderboard} leaderboard
+	 * @param {boolean} refresh Whether to read the scores again.
+	 */
+	static #render(leaderboard, refresh) {
+		const state = FloatingLeaderboards.#state(leaderboard.id);
+		if (refresh || !state.entries) {
+			const scoreboard = new CustomScoreboard(leaderboard.objective);
+			state.entries = scoreboard.objective ? scoreboard.leaderboard(leaderboard.count) : [];
+			state.refreshed = system.currentTick;
+		}
+		const entity = FloatingLeaderboards.#entity(leaderboard);
+		if (!entity) return;
+		const text = FloatingLeaderboards.#text(leaderboard, state.entries, state.page);
+		if (entity.nameTag !== text) entity.nameTag = text;
+	}
+
+	/**
+	 * @param {Leaderboard} leaderboard
+	 * @param {{ name: string, score: number }[]} entries
+	 * @param {number} page
+	 * @returns {string}
+	 */
+	static #text(leaderboard, entries, page) {
+		const pages = FloatingLeaderboards.#pageCount(leaderboard, entries.length);
+		page = Math.min(page, pages - 1);
+		const objective = world.scoreboard.getObjective(leaderboard.objective);
+		const fill = (template, values) =>
+			template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+		const pageValues = {
+			objective: objective?.displayName ?? leaderboard.objective,
+			page: page + 1,
+			pages,
+		};
+
+		const lines = [fill(leaderboard.title, pageValues)];
+		if (!entries.length) lines.push(leaderboard.empty);
+		const start = page * leaderboard.pageSize;
+		entries.slice(start, start + leaderboard.pageSize).forEach((entry, i) => {
+			lines.push(
+				fill(leaderboard.format, {
+					rank: start + i + 1,
+					name: entry.name,
+					score: FloatingLeaderboards.#formatScore(entry.score, leaderboard.numbers),
+				}),
+			);
+		});
+		if (pages > 1 && leaderboard.footer) lines.push(fill(leaderboard.footer, pageValues));
+		return lines.join("\n");
+	}
+
+	/**
+	 * @param {number} score
+	 * @param {Leaderboard["numbers"]} numbers
+	 * @returns {string}
+	 */
+	static #formatScore(score, numbers) {
+		if (numbers === "plain") return String(score);
+		const sign = score < 0 ? "-" : "";
+		const absolute = Math.abs(score);
+		return (
+			sign +
+			(numbers === "short"
+				? NumberUtils.abbreviateNumber(absolute)
+				: NumberUtils.formatNumber(absolute))
+		);
+	}
+
+	/**
+	 * Finds the entity of a leaderboard, spawning it if its chunk is loaded and it is missing.
+	 * @param {Leaderboard} leaderboard
+	 * @returns {Entity | undefined}
+	 */
+	static #entity(leaderboard) {
+		const state = FloatingLeaderboards.#state(leaderboard.id);
+		if (state.entity?.isValid) return state.entity;
+		state.entity = undefined;
+
+		const dimension = world.getDimension(leaderboard.dimension);
+		if (!LocationUtils.isBlockLocationValid(dimension, leaderboard.location)) return undefined;
+		const found = dimension
+			.getEntities({
+				type: FloatingLeaderboards.entityType,
+				location: leaderboard.location,
+				maxDistance: 2,
+			})
+			.filter((entity) => entity.getDynamicProperty(ID_PROPERTY) === leaderboard.id);
+		// Keep a single entity, duplicates appear when a copy was saved with the chunk while another was spawned.
+		for (const duplicate of found.slice(1)) duplicate.remove();
+		if (found[0]) {
+			state.entity = found[0];
+			return state.entity;
+		}
+		const entity = dimension.spawnEntity(FloatingLeaderboards.entityType, leaderboard.location);
+		entity.setDynamicProperty(ID_PROPERTY, leaderboard.id);
+		state.entity = entity;
+		return entity;
+	}
+
+	/**
+	 * Keeps track of loaded leaderboard entities, and removes those of removed leaderboards.
+	 * @param {Entity} entity
+	 */
+	static #adopt(entity) {
+		if (
+			!FloatingLeaderboards.#loaded ||
+			!entity.isValid ||
+			entity.typeId !== FloatingLeaderboards.entityType
+		) {
+			return;
+		}
+		const id = entity.getDynamicProperty(ID_PROPERTY);
+		if (typeof id !== "string") return;
+		if (!FloatingLeaderboards.#leaderboards.has(id)) {
+			entity.remove();
+			return;
+		}
+		const state = FloatingLeaderboards.#state(id);
+		if (state.entity?.isValid && state.entity.id !== entity.id) entity.remove();
+		else state.entity = entity;
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Leaderboard}
+	 */
+	static #get(id) {
+		const leaderboard = FloatingLeaderboards.#leaderboards.get(id);
+		if (!leaderboard) throw new Error(`The leaderboard <${id}> doesn't exist.`);
+		return leaderboard;
+	}
+
+	/**
+	 * @param {string} id
+	 */
+	static #state(id) {
+		let state = FloatingLeaderboards.#states.get(id);
+		if (!state) {
+			state = { page: 0, refreshed: -Infinity, turned: system.currentTick };
+			FloatingLeaderboards.#states.set(id, state);
+		}
+		return state;
+	}
+
+	/**
+	 * @param {Leaderboard} leaderboard
+	 * @param {number} entries
+	 * @returns {number}
+	 */
+	static #pageCount(leaderboard, entries) {
+		return Math.max(1, Math.ceil(entries / leaderboard.pageSize));
+	}
+
+	/**
+	 * @param {Dimension | string} dimension
+	 * @returns {string}
+	 */
+	static #dimensionId(dimension) {
+		if (dimension instanceof Dimension) return dimension.id;
+		return dimension.includes(":") ? dimension : `minecraft:${dimension}`;
+	}
+}
@@ -0,0 +1,643 @@
+import { system, Player } from "@minecraft/server";
+import {
+	ActionFormData,
+	ModalFormData,
+	MessageFormData,
+	FormCancelationReason,
+	FormRejectError,
+} from "@minecraft/server-ui";
+
+/**
+ * Ticks between two attempts to show a form to a busy player.
+ */
+const BUSY_RETRY_DELAY = 10;
+
+/**
+ * @typedef {import("@minecraft/server").RawMessage | string} Text
+ */
+
+/**
+ * @typedef {Object} ShowOptions
+ * @property {number} [busyTimeout=600] Ticks to keep retrying while the player is busy, like with the chat open.
+ */
+
+/**
+ * What a menu asks the navigation to do once it was answered.
+ * @typedef {{ type: "back" } | { type: "close" } | { type: "done" } | { type: "open", menu: Menu }} MenuOutcome
+ */
+
+/**
+ * A form that can be part of a chain of menus.
+ * @typedef {Object} Menu
+ * @property {(player: Player, canGoBack: boolean, options: ShowOptions) => Promise<MenuOutcome>} present
+ */
+
+/**
+ * Helpers to show `@minecraft/server-ui` forms.
+ */
+export class Forms {
+	/**
+	 * The text of the buttons going back to the previous menu.
+	 * @type {string}
+	 */
+	static backText = "§l< Back";
+
+	/**
+	 * Shows a form, retrying while the player is busy, like when the chat is open.
+	 * @param {Player} player
+	 * @param {ActionFormData | ModalFormData | MessageFormData} form
+	 * @param {ShowOptions} [options={}]
+	 * @returns {Promise<import("@minecraft/server-ui").FormResponse | undefined>} The response, or `undefined`
+	 * if the player left, stayed busy until the timeout, or the form was rejected.
+	 *
+	 * @example
+	 * const response = await Forms.show(player, new MessageFormData().title("Hi").body("Welcome!"));
+	 */
+	static async show(player, form, options = {}) {
+		const timeout = system.currentTick + (options.busyTimeout ?? 600);
+		while (player.isValid) {
+			let response;
+			try {
+				response = await form.show(player);
+			} catch (error) {
+				if (error instanceof FormRejectError) return undefined;
+				throw error;
+			}
+			if (response.cancelationReason !== FormCancelationReason.UserBusy) return response;
+			if (system.currentTick + BUSY_RETRY_DELAY > timeout) return undefined;
+			await system.waitTicks(BUSY_RETRY_DELAY);
+		}
+		return undefined;
+	}
+
+	/**
+	 * Asks a yes or no question.
+	 * @param {Player} player
+	 * @param {Text} title
+	 * @param {Text} body
+	 * @param {Object} [options={}]
+	 * @param {Text} [options.yes="Yes"] The text of the confirming button.
+	 * @param {Text} [options.no="No"] The text of the declining button.
+	 * @returns {Promise<boolean | undefined>} The answer, `undefined` if the form was closed.
+	 *
+	 * @example
+	 * if (await Forms.confirm(player, "Reset", "Delete all your homes?")) homes.clear();
+	 */
+	static async confirm(player, title, body, options = {}) {
+		const form = new MessageFormData()
+			.title(title)
+			.body(body)
+			.button1(options.yes ?? "Yes")
+			.button2(options.no ?? "No");
+		const response = await Forms.show(player, form, options);
+		if (!response || response.canceled) return undefined;
+		return response.selection === 0;
+	}
+
+	/**
+	 * Shows a menu, then the menus it opens, until one is closed or completes.
+	 * @param {Player} player
+	 * @param {Menu} menu
+	 * @param {ShowOptions} [options={}]
+	 * @returns {Promise<boolean>} `false` if the player closed a menu.
+	 */
+	static async navigate(player, menu, options = {}) {
+		const stack = [menu];
+		while (stack.length) {
+			const outcome = await stack.at(-1).present(player, stack.length > 1, options);
+			switch (outcome.type) {
+				case "back":
+					stack.pop();
+					break;
+				case "open":
+					stack.push(outcome.menu);
+					break;
+				case "close":
+					return false;
+				default:
+					return true;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Turns what a menu action returned into the outcome of the menu.
+	 * @param {void | Menu} result
+	 * @returns {MenuOutcome}
+	 */
+	static outcomeOf(result) {
+		return typeof result?.present === "function"
+			? { type: "open", menu: result }
+			: { type: "done" };
+	}
+}
+
+/**
+ * A menu of buttons, each running an action or opening another menu.
+ * Menus opened from a menu get a back button.
+ *
+ * @example
+ * const shop = new ActionMenu("Shop")
+ *     .button("Buy a sword", (player) => buy(player, "minecraft:iron_sword"), "textures/items/iron_sword")
+ *     .button("Buy bread", (player) => buy(player, "minecraft:bread"));
+ *
+ * const main = new ActionMenu("Main menu")
+ *     .body("What do you want to do?")
+ *     .button("Shop", shop)
+ *     .button("Homes", (player) => homesMenu(player)) -// Menus built when clicked
+ *     .button("Spawn", (player) => player.teleport(spawn));
+ *
+ * await main.show(player);
+ */
+export class ActionMenu {
+	#title;
+	#body;
+	/** @type {({ kind: "button", text: Text, icon?: string, action: Menu | ((player: Player) => void | Menu | Promise<void | Menu>) } | { kind: "label" | "header" | "divider", text?: Text })[]} */
+	#elements = [];
+
+	/**
+	 * @param {Text} title
+	 */
+	constructor(title) {
+		this.#title = title;
+	}
+
+	/**
+	 * Sets the text above the buttons.
+	 * @param {Text} text
+	 * @returns {this}
+	 */
+	body(text) {
+		this.#body = text;
+		return this;
+	}
+
+	/**
+	 * Adds a button.
+	 * @param {Text} text
+	 * @param {Menu | ((player: Player) => void | Menu | Promise<void | Menu>)} action The menu to open,
+	 * or a function run when the button is pressed. A function returning a menu opens it.
+	 * @param {string} [icon] The path of the button icon.
+	 * @returns {this}
+	 */
+	button(text, action, icon) {
+		this.#elements.push({ kind: "button", text, icon, action });
+		return this;
+	}
+
+	/**
+	 * Adds a text line between the buttons.
+	 * @param {Text} text
+	 * @returns {this}
+	 */
+	label(text) {
+		this.#elements.push({ kind: "label", text });
+		return this;
+	}
+
+	/**
+	 * Adds a title between the buttons.
+	 * @param {Text} text
+	 * @returns {this}
+	 */
+	header(text) {
+		this.#elements.push({ kind: "header", text });
+		return this;
+	}
+
+	/**
+	 * Adds a separator line between the buttons.
+	 * @returns {this}
+	 */
+	divider() {
+		this.#elements.push({ kind: "divider" });
+		return this;
+	}
+
+	/**
+	 * Shows the menu, and the menus it opens.
+	 * @param {Player} player
+	 * @param {ShowOptions} [options]
+	 * @returns {Promise<boolean>} `false` if the player closed a menu.
+	 */
+	show(player, options) {
+		return Forms.navigate(player, this, options);
+	}
+
+	/**
+	 * @param {Player} player
+	 * @param {boolean} canGoBack
+	 * @param {ShowOptions} options
+	 * @returns {Promise<MenuOutcome>}
+	 */
+	async present(player, canGoBack, options) {
+		const form = new ActionFormData().title(this.#title);
+		if (this.#body !== undefined) form.body(this.#body);
+		const buttons = [];
+		for (const element of this.#elements) {
+			if (element.kind === "button") {
+				form.button(element.text, element.icon);
+				buttons.push(element);
+			} else if (element.kind === "divider") {
+				form.divider();
+			} else {
+				form[element.kind](element.text);
+			}
+		}
+		if (canGoBack) form.button(Forms.backText);
+
+		const response = await Forms.show(player, form, options);
+		if (!response || response.canceled) return { type: "close" };
+		const button = buttons[response.selection];
+		if (!button) return { type: "back" };
+		const action = button.action;
+		if (typeof action !== "function") return { type: "open", menu: action };
+		return Forms.outcomeOf(await action(player));
+	}
+}
+
+/**
+ * Adds the page number to a title, keeping raw message titles as raw messages.
+ * @param {Text} title
+ * @param {string} page Like `(1/3)`.
+ * @returns {Text}
+ */
+function pageTitle(title, page) {
+	if (typeof title === "string") return `${title} ${page}`;
+	return { rawtext: [title, { text: ` ${page}` }] };
+}
+
+/**
+ * A menu listing items over several pages, like leaderboard entries or inventory contents.
+ *
+ * @template T
+ *
+ * @example
+ * -// Lazy items, read each time the menu is shown
+ * const top = new PagedMenu("Top players", () => objective.getScores().sort((a, b) => b.score - a.score), {
+ *     render: (entry, i) => `#${i + 1} ${entry.participant.displayName}: ${entry.score}`,
+ *     onSelect: (player, entry) => player.sendMessage(`${entry.participant.displayName} has ${entry.score} points.`),
+ * });
+ *
+ * new ActionMenu("Main menu").button("Leaderboard", top).show(player);
+ */
+export class PagedMenu {
+	#title;
+	#items;
+	#pageSize;
+	#render;
+	#onSelect;
+	#body;
+
+	/**
+	 * @param {Text} title
+	 * @param {T[] | (() => T[])} items The items, or a function getting them each time the menu is shown.
+	 * @param {Object} [options={}]
+	 * @param {number} [options.pageSize=10] The amount of items per page.
+	 * @param {(item: T, index: number) => Text | { text: Text, icon?: string }} [options.render] The button of an item,
+	 * its string form by default.
+	 * @param {(player: Player, item: T, index: number) => void | Menu | Promise<void | Menu>} [options.onSelect]
+	 * Runs when an item is pressed. Returning a menu opens it.
+	 * @param {Text} [options.body] The text above the items.
+	 */
+	constructor(title, items, options = {}) {
+		this.#title = title;
+		this.#items = items;
+		this.#pageSize = Math.max(1, options.pageSize ?? 10);
+		this.#render = options.render ?? ((item) => String(item));
+		this.#onSelect = options.onSelect;
+		this.#body = options.body;
+	}
+
+	/**
+	 * Shows the menu, and the menus it opens.
+	 * @param {Player} player
+	 * @param {ShowOptions} [options]
+	 * @returns {Promise<boolean>} `false` if the player closed a menu.
+	 */
+	show(player, options) {
+		return Forms.navigate(player, this, options);
+	}
+
+	/**
+	 * @param {Player} player
+	 * @param {boolean} canGoBack
+	 * @param {ShowOptions} options
+	 * @returns {Promise<MenuOutcome>}
+	 */
+	async present(player, canGoBack, options) {
+		const items = typeof this.#items === "function" ? this.#items() : this.#items;
+		const pages = Math.max(1, Math.ceil(items.length / this.#pageSize));
+		let page = 0;
+		while (true) {
+			const start = page * this.#pageSize;
+			const form = new ActionFormData().title(
+				pages > 1 ? pageTitle(this.#title, `(${page + 1}/${pages})`) : this.#title,
+			);
+			if (this.#body !== undefined) form.body(this.#body);
+			const actions = [];
+			items.slice(start, start + this.#pageSize).forEach((item, i) => {
+				const rendered = this.#render(item, start + i);
+				const isButton = typeof rendered === "object" && "text" in rendered;
+				form.button(isButton ? rendered.text : rendered, isButton ? rendered.icon : undefined);
+				actions.push({ type: "item", item, index: start + i });
+			});
+			if (page > 0) {
+				form.button("§l< Previous page");
+				actions.push({ type: "previous" });
+			}
+			if (page < pages - 1) {
+				form.button("§lNext page >");
+				actions.push({ type: "next" });
+			}
+			if (canGoBack) {
+				form.button(Forms.backText);
+				actions.push({ type: "back" });
+			}
+
+			const response = await Forms.show(player, form, options);
+			if (!response || response.canceled) return { type: "close" };
+			const action = actions[response.selection];
+			if (action.type === "previous") page--;
+			else if (action.type === "next") page++;
+			else if (action.type === "back") return { type: "back" };
+			else return Forms.outcomeOf(await this.#onSelect?.(player, action.item, action.index));
+		}
+	}
+}
+
+/**
+ * @typedef {Object} FieldOptions
+ * @property {Text} [tooltip]
+ * @property {(value: any, values: Record<string, any>) => string | undefined} [validate] Returns an error message
+ * if the value is wrong, the form is then shown again with the message.
+ */
+
+/**
+ * A form of named fields, resolving to an object of typed values.
+ * Values failing their validation show the form again with the errors, keeping what the player entered.
+ *
+ * @example
+ * const values = await new ModalForm("Create a warp")
+ *     .textField("name", "Name", { placeholder: "spawn", validate: (name) => (name ? undefined : "The name is empty.") })
+ *     .numberField("cost", "Cost", { integer: true, min: 0, defaultValue: 100 })
+ *     .dropdown("icon", "Icon", ["diamond", "emerald", "gold"])
+ *     .toggle("public", "Public", { defaultValue: true })
+ *     .slider("radius", "Radius", 1, 10)
+ *     .show(player);
+ *
+ * if (values) createWarp(values.name, values.cost, values.icon, values.public, values.radius);
+ */
+export class ModalForm {
+	#title;
+	#submitText;
+	/** @type {{ kind: string, name?: string, label?: Text, options: any }[]} */
+	#elements = [];
+	/** @type {((values: Record<string, any>) => Record<string, string> | undefined) | undefined} */
+	#validate;
+
+	/**
+	 * Runs when the form is submitted as part of a chain of menus. Returning a menu opens it.
+	 * @type {((player: Player, values: Record<string, any>) => void | Menu | Promise<void | Menu>) | undefined}
+	 */
+	onSubmit;
+
+	/**
+	 * @param {Text} title
+	 */
+	constructor(title) {
+		this.#title = title;
+	}
+
+	/**
+	 * Adds a text field, its value is a string.
+	 * @param {string} name
+	 * @param {Text} label
+	 * @param {FieldOptions & { placeholder?: Text, defaultValue?: string }} [options={}]
+	 * @returns {this}
+	 */
+	textField(name, label, options = {}) {
+		return this.#field("text", name, label, options);
+	}
+
+	/**
+	 * Adds a text field for a number, its value is a number. Input that isn't a number is rejected.
+	 * @param {string} name
+	 * @param {Text} label
+	 * @param {FieldOptions & { placeholder?: Text, defaultValue?: number, integer?: boolean, min?: number, max?: number }} [options={}]
+	 * @returns {this}
+	 */
+	numberField(name, label, options = {}) {
+		return this.#field("number", name, label, options);
+	}
+
+	/**
+	 * Adds a toggle, its value is a boolean.
+	 * @param {string} name
+	 * @param {Text} label
+	 * @param {FieldOptions & { defaultValue?: boolean }} [options={}]
+	 * @returns {this}
+	 */
+	toggle(name, label, options = {}) {
+		return this.#field("toggle", name, label, options);
+	}
+
+	/**
+	 * Adds a slider, its value is a number.
+	 * @param {string} name
+	 * @param {Text} label
+	 * @param {number} min
+	 * @param {number} max
+	 * @param {FieldOptions & { step?: number, defaultValue?: number }} [options={}]
+	 * @returns {this}
+	 */
+	slider(name, label, min, max, options = {}) {
+		return this.#field("slider", name, label, { ...options, min, max });
+	}
+
+	/**
+	 * Adds a dropdown, its value is the chosen option.
+	 * @template V
+	 * @param {string} name
+	 * @param {Text} label
+	 * @param {V[]} choices The options, shown with their string form.
+	 * @param {FieldOptions & { defaultValue?: V, format?: (choice: V) => Text }} [options={}]
+	 * @returns {this}
+	 */
+	dropdown(name, label, choices, options = {}) {
+		return this.#field("dropdown", name, label, { ...options, choices });
+	}
+
+	/**
+	 * Adds a text line between the fields.
+	 * @param {Text} text
+	 * @returns {this}
+	 */
+	label(text) {
+		this.#elements.push({ kind: "label", label: text, options: {} });
+		return this;
+	}
+
+	/**
+	 * Sets the text of the submit button.
+	 * @param {Text} text
+	 * @returns {this}
+	 */
+	submitButton(text) {
+		this.#submitText = text;
+		return this;
+	}
+
+	/**
+	 * Sets a validation of the whole form, run once every field is valid.
+	 * @param {(values: Record<string, any>) => Record<string, string> | undefined} validate Returns the error
+	 * messages by field name, or nothing if the values are valid.
+	 * @returns {this}
+	 */
+	validate(validate) {
+		this.#validate = validate;
+		return this;
+	}
+
+	/**
+	 * Shows the form until it is submitted with valid values.
+	 * @param {Player} player
+	 * @param {ShowOptions} [options]
+	 * @returns {Promise<Record<string, any> | undefined>} The values by field name, `undefined` if the form was closed.
+	 */
+	async show(player, options) {
+		/** @type {Record<string, any>} Raw values entered by the player, kept when the form is shown again. */
+		let entered = {};
+		/** @type {Record<string, string>} */
+		let errors = {};
+		while (true) {
+			const { form, indexes } = this.#build(entered, errors);
+			const response = await Forms.show(player, form, options);
+			if (!response || response.canceled) return undefined;
+
+			entered = {};
+			for (const [name, index] of indexes) entered[name] = response.formValues[index];
+			const values = this.#parse(entered);
+			errors = this.#check(entered, values);
+			if (!Object.keys(errors).length) errors = this.#validate?.(values) ?? {};
+			if (!Object.keys(errors).length) return values;
+		}
+	}
+
+	/**
+	 * Presents the form as part of a chain of menus. Submitting it completes the chain.
+	 * @param {Player} player
+	 * @param {boolean} canGoBack
+	 * @param {ShowOptions} options
+	 * @returns {Promise<MenuOutcome>}
+	 */
+	async present(player, canGoBack, options) {
+		const values = await this.show(player, options);
+		if (!values) return canGoBack ? { type: "back" } : { type: "close" };
+		return Forms.outcomeOf(await this.onSubmit?.(player, values));
+	}
+
+	#field(kind, name, label, options) {
+		if (this.#elements.some((element) => element.name === name)) {
+			throw new Error(`The form already has a field named <${name}>.`);
+		}
+		this.#elements.push({ kind, name, label, options });
+		return this;
+	}
+
+	/**
+	 * @param {Record<string, any>} entered Raw values to show instead of the defaults.
+	 * @param {Record<string, string>} errors
+	 * @returns {{ form: ModalFormData, indexes: Map<string, number> }} The form, and the index of each field value.
+	 */
+	#build(entered, errors) {
+		const form = new ModalFormData().title(this.#title);
+		/** @type {Map<string, number>} */
+		const indexes = new Map();
+		let index = 0;
+		for (const { kind, name, label, options } of this.#elements) {
+			if (errors[name]) {
+				form.label(`§c${errors[name]}`);
+				index++;
+			}
+			const tooltip = options.tooltip;
+			const value = name in entered ? entered[name] : undefined;
+			switch (kind) {
+				case "label":
+					form.label(label);
+					break;
+				case "text":
+				case "number":
+					form.textField(label, options.placeholder ?? "", {
+						defaultValue: value ?? (options.defaultValue ?? "").toString(),
+						tooltip,
+					});
+					break;
+				case "toggle":
+					form.toggle(label, { defaultValue: value ?? options.defaultValue ?? false, tooltip });
+					break;
+				case "slider":
+					form.slider(label, options.min, options.max, {
+						valueStep: options.step ?? 1,
+						defaultValue: value ?? options.defaultValue ?? options.min,
+						tooltip,
+					});
+					break;
+				case "dropdown": {
+					const defaultIndex = options.choices.indexOf(options.defaultValue);
+					form.dropdown(label, options.choices.map(options.format ?? String), {
+						defaultValueIndex: value ?? Math.max(0, defaultIndex),
+						tooltip,
+					});
+					break;
+				}
+			}
+			if (name !== undefined) indexes.set(name, index);
+			index++;
+		}
+		if (this.#submitText !== undefined) form.submitButton(this.#submitText);
+		return { form, indexes };
+	}
+
+	/**
+	 * Converts the raw form values to the field values.
+	 * @param {Record<string, any>} entered
+	 * @returns {Record<string, any>}
+	 */
+	#parse(entered) {
+		const values = {};
+		for (const { kind, name, options } of this.#elements) {
+			if (name === undefined) continue;
+			const raw = entered[name];
+			if (kind === "number") values[name] = String(raw ?? "").trim() === "" ? NaN : Number(raw);
+			else if (kind === "dropdown") values[name] = options.choices[raw];
+			else values[name] = raw;
+		}
+		return values;
+	}
+
+	/**
+	 * Checks the field values.
+	 * @param {Record<string, any>} entered
+	 * @param {Record<string, any>} values
+	 * @returns {Record<string, string>} The error messages by field name.
+	 */
+	#check(entered, values) {
+		const errors = {};
+		for (const { kind, name, options } of this.#elements) {
+			if (name === undefined) continue;
+			const value = values[name];
+			let error;
+			if (kind === "number") {
+				if (Number.isNaN(value)) error = `${entered[name] || "Nothing"} is not a number.`;
+				else if (options.integer && !Number.isInteger(value)) error = "Enter a whole number.";
+				else if (value < (options.min ?? -Infinity)) error = `Enter at least ${options.min}.`;
+				else if (value > (options.max ?? Infinity)) error = `Enter at most ${options.max}.`;
+			}
+			error ??= options.validate?.(value, values);
+			if (error) errors[name] = error;
+		}
+		return errors;
+	}
+}
@@ -0,0 +1,350 @@
+import { world, system, Player, DisplaySlotId, ObjectiveSortOrder } from "@minecraft/server";
+
+/**
+ * Where a {@link HudBoard} is drawn.
+ * - `Sidebar` uses fake player participants of an objective shown on the sidebar. The sidebar is the same for
+ * every player, so its lines are rendered without a player.
+ * - `ActionBar` and `Title` draw a board for each player with `onScreenDisplay`. The title backend is meant
+ * for resource packs drawing the title text as a sidebar.
+ */
+export const HudBackend = Object.freeze({
+	Sidebar: "sidebar",
+	ActionBar: "actionBar",
+	Title: "title",
+});
+
+/**
+ * Ticks after which the text is sent again, before the client hides it.
+ */
+const RESEND_INTERVAL = {
+	[HudBackend.ActionBar]: 40,
+	[HudBackend.Title]: 180,
+};
+const TITLE_DURATION = 200;
+
+/**
+ * @typedef {string | ((player: Player | undefined) => string)} HudLine
+ * A line template like `"§6Coins: {money}"`, or a function building the line.
+ */
+
+/**
+ * @typedef {Object} HudBoardOptions
+ * @property {"sidebar" | "actionBar" | "title"} [backend="sidebar"] See {@link HudBackend}.
+ * @property {HudLine | HudLine[]} [header] The first line, or the frames of an animated first line.
+ * @property {number} [headerInterval=10] Ticks between two header frames.
+ * @property {HudLine[]} [lines=[]]
+ * @property {number} [updateInterval=10] Ticks between two renders of the board.
+ * @property {string} [objective] The objective used by the sidebar backend, created if needed and removed by
+ * {@link HudBoard.dispose}.
+ * @property {string} [displayName=" "] The name of the sidebar objective.
+ */
+
+/** @type {Map<string, (player: Player | undefined) => string | number>} */
+const placeholders = new Map([
+	["name", (player) => player?.name ?? ""],
+	["online", () => world.getAllPlayers().length],
+]);
+
+let nextObjective = 0;
+
+/**
+ * Fills the `{name}` placeholders of a line. Unregistered placeholders are read from the objective of that name,
+ * and left as they are if there is none.
+ * @param {HudLine} line
+ * @param {Player | undefined} player
+ * @returns {string}
+ */
+function renderLine(line, player) {
+	const text = typeof line === "function" ? line(player) : line;
+	return text.replace(/\{([\w:.-]+)\}/g, (match, name) => {
+		const placeholder = placeholders.get(name);
+		if (placeholder) return String(placeholder(player));
+		const objective = world.scoreboard.getObjective(name);
+		if (!objective) return match;
+		return String((player?.scoreboardIdentity && objective.getScore(player)) ?? 0);
+	});
+}
+
+/**
+ * A live board of lines, like a minigame stats sidebar.
+ *
+ * Lines are templates with `{placeholder}` values, filled with {@link HudBoard.registerPlaceholder} values
+ * or scores of the objective of the same name. Only lines that changed are sent again.
+ *
+ * @example
+ * import { HudBoard, HudBackend } from "./Hud-Board.js";
+ *
+ * HudBoard.registerPlaceholder("money", (player) => Economy.format(Economy.getBalance(player)));
+ *
+ * const board = new HudBoard({
+ *     backend: HudBackend.ActionBar,
+ *     header: ["§e§lSKYWARS", "§6§lSKYWARS", "§f§lSKYWARS"],
+ *     lines: ["§6Coins: {money}", "§cKills: {kills}", (player) => `§7Ping: ${ping(player)}`],
+ * });
+ *
+ * world.afterEvents.playerSpawn.subscribe(({ player }) => board.show(player));
+ *
+ * @example
+ * -// One sidebar for everyone
+ * const lobby = new HudBoard({ header: "§bLobby", lines: ["Players: {online}", "§7play.example.net"] });
+ * lobby.show();
+ */
+export class HudBoard {
+	#backend;
+	#header;
+	#headerInterval;
+	#lines;
+	#updateInterval;
+	#objectiveId;
+	#displayName;
+	/** @type {Set<Player>} */
+	#viewers = new Set();
+	#visible = false;
+	/** @type {number | undefined} */
+	#runId;
+	#ticks = 0;
+	/** @type {string[]} Texts of the sidebar participants, from the top line. */
+	#sidebar = [];
+	/** Whether the sidebar objective was created by this board, and holds no participant of a past session. */
+	#created = false;
+	/** @type {Map<string, { text: string, tick: number }>} Text last sent to each player, by player id. */
+	#sent = new Map();
+
+	/**
+	 * @param {HudBoardOptions} [options={}]
+	 * @throws {TypeError} If the backend is unknown.
+	 */
+	constructor(options = {}) {
+		this.#backend = options.backend ?? HudBackend.Sidebar;
+		if (!Object.values(HudBackend).includes(this.#backend)) {
+			throw new TypeError(`Unknown HUD backend: <${this.#backend}>.`);
+		}
+		this.#header = options.header === undefined ? [] : [options.header].flat();
+		this.#headerInterval = Math.max(1, options.headerInterval ?? 10);
+		this.#lines = options.lines ?? [];
+		this.#updateInterval = Math.max(1, options.updateInterval ?? 10);
+		this.#objectiveId = options.objective ?? `hud_board_${nextObjective++}`;
+		this.#displayName = options.displayName ?? " ";
+	}
+
+	/**
+	 * Adds or replaces a placeholder usable in the lines of every board.
+	 * @param {string} name The name written between braces, like `money` for `{money}`.
+	 * @param {(player: Player | undefined) => string | number} resolve Gets the value for a player,
+	 * or for no player on the sidebar.
+	 *
+	 * @example
+	 * HudBoard.registerPlaceholder("time", () => new Date().toLocaleTimeString());
+	 */
+	static registerPlaceholder(name, resolve) {
+		if (typeof resolve !== "function") throw new TypeError("The placeholder must be a function.");
+		placeholders.set(name, resolve);
+	}
+
+	/**
+	 * The backend drawing the board.
+	 * @type {"sidebar" | "actionBar" | "title"}
+	 * @readonly
+	 */
+	get backend() {
+		return this.#backend;
+	}
+
+	/**
+	 * Replaces the lines of the board. They are drawn with the next render.
+	 * @param {HudLine[]} lines
+	 */
+	setLines(lines) {
+		this.#lines = lines;
+	}
+
+	/**
+	 * Shows the board to a player, or on the sidebar with the sidebar backend.
+	 * @param {Player} [player] Required by per player backends.
+	 * @throws {TypeError} If no player is given to a per player backend.
+	 */
+	show(player) {
+		if (this.#backend === HudBackend.Sidebar) {
+			this.#visible = true;
+			world.scoreboard.setObjectiveAtDisplaySlot(DisplaySlotId.Sidebar, {
+				objective: this.#getObjective(),
+				sortOrder: ObjectiveSortOrder.Descending,
+			});
+		} else {
+			if (!(player instanceof Player)) throw new TypeError("This board is shown per player.");
+			this.#viewers.add(player);
+		}
+		this.#runId ??= system.runInterval(() => this.#update(), 1);
+		this.#render(true);
+	}
+
+	/**
+	 * Hides the board from a player, or from the sidebar with the sidebar backend.
+	 * @param {Player} [player]
+	 */
+	hide(player) {
+		if (this.#backend === HudBackend.Sidebar) {
+			this.#visible = false;
+			const objective = world.scoreboard.getObjective(this.#objectiveId);
+			const shown = world.scoreboard.getObjectiveAtDisplaySlot(DisplaySlotId.Sidebar)?.objective;
+			if (objective && shown?.id === objective.id) {
+				world.scoreboard.clearObjectiveAtDisplaySlot(DisplaySlotId.Sidebar);
+			}
+		} else if (player && this.#viewers.delete(player)) {
+			this.#sent.delete(player.id);
+			if (player.isValid) this.#clear(player);
+		}
+		if (!this.#visible && !this.#viewers.size) this.#stop();
+	}
+
+	/**
+	 * Checks if the board is shown to a player, or on the sidebar with the sidebar backend.
+	 * @param {Player} [player]
+	 * @returns {boolean}
+	 */
+	isShown(player) {
+		return this.#backend === HudBackend.Sidebar ? this.#visible : this.#viewers.has(player);
+	}
+
+	/**
+	 * Hides the board from everyone and removes the sidebar objective.
+	 */
+	dispose() {
+		for (const player of [...this.#viewers]) this.hide(player);
+		if (this.#backend === HudBackend.Sidebar) {
+			this.hide();
+			if (world.scoreboard.getObjective(this.#objectiveId)) {
+				world.scoreboard.removeObjective(this.#objectiveId);
+			}
+			this.#sidebar = [];
+			this.#created = false;
+		}
+	}
+
+	#update() {
+		this.#ticks++;
+		const headerChanged = this.#header.length > 1 && this.#ticks % this.#headerInterval === 0;
+		if (headerChanged || this.#ticks % this.#updateInterval === 0) this.#render(false);
+	}
+
+	/**
+	 * @param {boolean} force Whether to send texts again even if they didn't change.
+	 */
+	#render(force) {
+		if (this.#backend === HudBackend.Sidebar) {
+			if (this.#visible) this.#renderSidebar();
+			return;
+		}
+		for (const player of this.#viewers) {
+			if (!player.isValid) {
+				this.#viewers.delete(player);
+				this.#sent.delete(player.id);
+				continue;
+			}
+			const text = this.#build(player).join("\n");
+			const sent = this.#sent.get(player.id);
+			const expired = sent && system.currentTick - sent.tick >= RESEND_INTERVAL[this.#backend];
+			if (!force && sent?.text === text && !expired) continue;
+			this.#send(player, text);
+			this.#sent.set(player.id, { text, tick: system.currentTick });
+		}
+		if (!this.#viewers.size) this.#stop();
+	}
+
+	/**
+	 * Updates the participants whose line changed. Lines are ordered by score, the top line having the highest.
+	 * Identical lines get invisible `§r` suffixes, as a participant can only appear once.
+	 * When the amount of lines changes, every score moves and every line is sent again.
+	 */
+	#renderSidebar() {
+		const objective = this.#getObjective();
+		const used = new Set();
+		const texts = this.#build(undefined).map((text) => {
+			let unique = text;
+			while (used.has(unique)) unique += "§r";
+			used.add(unique);
+			return unique;
+		});
+		const moved = texts.length !== this.#sidebar.length;
+		const count = Math.max(texts.length, this.#sidebar.length);
+		for (let i = 0; i < count; i++) {
+			const text = texts[i];
+			const previous = this.#sidebar[i];
+			if (text === previous && !moved) continue;
+			if (previous !== undefined && !texts.includes(previous))
+				objective.removeParticipant(previous);
+			if (text !== undefined) objective.setScore(text, texts.length - i);
+		}
+		this.#sidebar = texts;
+	}
+
+	/**
+	 * @param {Player | undefined} player
+	 * @returns {string[]} The header and lines.
+	 */
+	#build(player) {
+		const lines = [...this.#lines];
+		if (this.#header.length) {
+			const frame = Math.floor(this.#ticks / this.#headerInterval) % this.#header.length;
+			lines.unshift(this.#header[frame]);
+		}
+		return lines.map((line) => {
+			try {
+				return renderLine(line, player);
+			} catch (error) {
+				console.error(`HUD line failed to render: ${error}`);
+				return "";
+			}
+		});
+	}
+
+	/**
+	 * @param {Player} player
+	 * @param {string} text
+	 */
+	#send(player, text) {
+		if (this.#backend === HudBackend.ActionBar) {
+			player.onScreenDisplay.setActionBar(text);
+		} else {
+			player.onScreenDisplay.setTitle(text, {
+				fadeInDuration: 0,
+				stayDuration: TITLE_DURATION,
+				fadeOutDuration: 0,
+			});
+		}
+	}
+
+	/**
+	 * @param {Player} player
+	 */
+	#clear(player) {
+		if (this.#backend === HudBackend.ActionBar) {
+			player.onScreenDisplay.setActionBar("");
+		} else {
+			player.onScreenDisplay.setTitle("", {
+				fadeInDuration: 0,
+				stayDuration: 0,
+				fadeOutDuration: 0,
+			});
+		}
+	}
+
+	/**
+	 * Gets the sidebar objective. An objective left by a past session is created again the first time, as its
+	 * participants are lines this board doesn't know about.
+	 */
+	#getObjective() {
+		const objective = world.scoreboard.getObjective(this.#objectiveId);
+		if (objective && this.#created) return objective;
+		if (objective) world.scoreboard.removeObjective(objective);
+		this.#created = true;
+		this.#sidebar = [];
+		return world.scoreboard.addObjective(this.#objectiveId, this.#displayName);
+	}
+
+	#stop() {
+		if (this.#runId === undefined) return;
+		system.clearRun(this.#runId);
+		this.#runId = undefined;
+	}
+}
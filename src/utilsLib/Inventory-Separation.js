@@ -0,0 +1,319 @@
+import { world, system, Player, Dimension } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { EventSignal } from "./Custom-Events.js";
+import { EntityUtils } from "./Entity-Utils.js";
+import { InventorySnapshot } from "./Inventory-Snapshot.js";
+import { ZoneManager } from "./Zone-Manager.js";
+
+/**
+ * The longest effect duration, in ticks, accepted by `addEffect`. Infinite effects are given back with it.
+ */
+const MAX_EFFECT_DURATION = 20000000;
+
+/**
+ * @typedef {Object} InventoryProfile The stored state of a player for an inventory group.
+ * @property {import("./Inventory-Snapshot.js").SnapshotData} inventory The inventory and equipment.
+ * @property {number} [xp] The total experience points. Left unchanged when missing.
+ * @property {[string, number, number][]} [effects] The type id, duration and amplifier of the effects. Left
+ * unchanged when missing.
+ */
+
+/**
+ * @typedef {Object} InventorySwapEvent
+ * @property {Player} player
+ * @property {string} from The group the player left.
+ * @property {string} to The group the player entered.
+ */
+
+/** @type {WeakMap<Player, Database>} */
+const databases = new WeakMap();
+
+/**
+ * @param {Player} player
+ * @returns {Database}
+ */
+function databaseOf(player) {
+	let database = databases.get(player);
+	if (!database) {
+		database = new Database("inventory_groups", player);
+		databases.set(player, database);
+	}
+	return database;
+}
+
+/**
+ * @param {Player} player
+ * @returns {InventoryProfile}
+ */
+function captureProfile(player) {
+	return {
+		inventory: InventorySnapshot.capture(player).toJSON(),
+		xp: player.getTotalXp(),
+		effects: player
+			.getEffects()
+			.map((effect) => [effect.typeId, effect.duration, effect.amplifier]),
+	};
+}
+
+/**
+ * @param {Player} player
+ * @param {InventoryProfile | undefined} profile The profile to give, or `undefined` for an empty inventory.
+ */
+function applyProfile(player, profile) {
+	const inventory = profile?.inventory ?? {
+		v: InventorySnapshot.VERSION,
+		size: 0,
+		slots: [],
+		equipment: {},
+	};
+	InventorySnapshot.fromJSON(inventory).apply(player);
+	if (!profile || profile.xp !== undefined) {
+		player.resetLevel();
+		if (profile?.xp) player.addExperience(profile.xp);
+	}
+	if (!profile || profile.effects) {
+		for (const effect of player.getEffects()) player.removeEffect(effect.typeId);
+		for (const [typeId, duration, amplifier] of profile?.effects ?? []) {
+			try {
+				player.addEffect(typeId, duration < 0 ? MAX_EFFECT_DURATION : duration, { amplifier });
+			} catch (error) {
+				console.warn(`Couldn't give back the ${typeId} effect to ${player.name}: ${error}`);
+			}
+		}
+	}
+}
+
+/**
+ * Gives players a separate inventory, armor, XP and effects in some zones or dimensions, like a creative plot
+ * world or a minigame arena. Everything is swapped when they enter or leave.
+ *
+ * Zones and dimensions are bound to named groups, sharing the same inventory. A player outside of every bound
+ * zone and dimension is in the {@link InventorySeparation.defaultGroup}. Zones win over dimensions, and the
+ * zone with the highest priority wins when they overlap.
+ *
+ * The inventories of the other groups are stored on the player, with the group the player is in, and are written
+ * right away during the swap. They are saved together with the player data, so a crash can't separate the
+ * live inventory from the stored ones. Players leaving the game keep their current group, and are moved to the
+ * right one when they spawn again.
+ *
+ * Inventories saved with {@link InventoryUtils.saveInventory} under the name of a group are picked up the first
+ * time the player enters that group.
+ *
+ * @example
+ * import { ZoneManager } from "./Zone-Manager.js";
+ * import { InventorySeparation } from "./Inventory-Separation.js";
+ *
+ * ZoneManager.cuboid("hub", "overworld", { x: -100, y: -64, z: -100 }, { x: 100, y: 320, z: 100 });
+ * ZoneManager.cuboid("plots", "overworld", { x: 1000, y: -64, z: 0 }, { x: 2000, y: 320, z: 1000 });
+ *
+ * InventorySeparation.bindZone("hub", "hub");
+ * InventorySeparation.bindZone("plots", "creative");
+ * -// Survival everywhere else, including the nether and the end.
+ *
+ * InventorySeparation.afterEvents.inventorySwap.subscribe(({ player, to }) => {
+ *     player.setGameMode(to === "creative" ? "Creative" : "Survival");
+ * });
+ *
+ * @example
+ * -// An arena inside the hub, with its own kit
+ * InventorySeparation.bindZone("arena", "arena", { priority: 1 });
+ * InventorySeparation.afterEvents.inventorySwap.subscribe(({ player, to }) => {
+ *     if (to === "arena") giveKit(player);
+ * });
+ */
+export class InventorySeparation {
+	/**
+	 * The group of players outside of every bound zone and dimension.
+	 * @type {string}
+	 */
+	static defaultGroup = "default";
+
+	/**
+	 * Emitted after the inventory of a player was swapped.
+	 * @type {{ inventorySwap: EventSignal<InventorySwapEvent> }}
+	 */
+	static afterEvents = {
+		inventorySwap: new EventSignal(),
+	};
+
+	/** @type {Map<string, { group: string, priority: number }>} */
+	static #zones = new Map();
+	/** @type {Map<string, string>} */
+	static #dimensions = new Map();
+
+	static {
+		const update = (entity) => {
+			if (entity instanceof Player && entity.isValid) InventorySeparation.update(entity);
+		};
+		ZoneManager.afterEvents.zoneEnter.subscribe(({ entity }) => update(entity));
+		ZoneManager.afterEvents.zoneLeave.subscribe(({ entity }) => update(entity));
+		world.afterEvents.playerDimensionChange.subscribe(({ player }) => update(player));
+		world.afterEvents.playerSpawn.subscribe(({ player }) => update(player));
+	}
+
+	/**
+	 * Gives the players inside a zone the inventory of a group.
+	 * @param {string} zoneId The id of a {@link ZoneManager} zone. It can be defined later.
+	 * @param {string} group The name of the inventory group.
+	 * @param {Object} [options={}]
+	 * @param {number} [options.priority=0] The zone with the highest priority wins when a player is in several.
+	 */
+	static bindZone(zoneId, group, options = {}) {
+		InventorySeparation.#zones.set(zoneId, { group, priority: options.priority ?? 0 });
+		InventorySeparation.#updateAll();
+	}
+
+	/**
+	 * Gives the players of a dimension the inventory of a group, outside of bound zones.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {string} group The name of the inventory group.
+	 */
+	static bindDimension(dimension, group) {
+		InventorySeparation.#dimensions.set(InventorySeparation.#dimensionId(dimension), group);
+		InventorySeparation.#updateAll();
+	}
+
+	/**
+	 * Removes the group of a zone. Players inside it get the inventory of the group they are in now.
+	 * @param {string} zoneId
+	 * @returns {boolean} `true` if the zone was bound.
+	 */
+	static unbindZone(zoneId) {
+		const removed = InventorySeparation.#zones.delete(zoneId);
+		if (removed) InventorySeparation.#updateAll();
+		return removed;
+	}
+
+	/**
+	 * Removes the group of a dimension.
+	 * @param {Dimension | string} dimension
+	 * @returns {boolean} `true` if the dimension was bound.
+	 */
+	static unbindDimension(dimension) {
+		const removed = InventorySeparation.#dimensions.delete(
+			InventorySeparation.#dimensionId(dimension),
+		);
+		if (removed) InventorySeparation.#updateAll();
+		return removed;
+	}
+
+	/**
+	 * Gets the group whose inventory a player has.
+	 * @param {Player} player
+	 * @returns {string}
+	 */
+	static getGroup(player) {
+		return databaseOf(player).get("current") ?? InventorySeparation.defaultGroup;
+	}
+
+	/**
+	 * Gets the group a player should be in, from where they are.
+	 * @param {Player} player
+	 * @returns {string}
+	 */
+	static resolveGroup(player) {
+		let best;
+		for (const zone of ZoneManager.getZonesAt(player.dimension, player.location)) {
+			const binding = InventorySeparation.#zones.get(zone.id);
+			if (binding && (!best || binding.priority > best.priority)) best = binding;
+		}
+		return (
+			best?.group ??
+			InventorySeparation.#dimensions.get(player.dimension.id) ??
+			InventorySeparation.defaultGroup
+		);
+	}
+
+	/**
+	 * Gets the stored state of a player for a group they are not in.
+	 * @param {Player} player
+	 * @param {string} group
+	 * @returns {{ inventory: InventorySnapshot, xp?: number, effects?: [string, number, number][] } | undefined}
+	 * `undefined` for the current group, whose state is the live one, or if the player never was in the group.
+	 */
+	static getProfile(player, group) {
+		const profile = InventorySeparation.#readProfile(player, group);
+		if (!profile) return undefined;
+		return { ...profile, inventory: InventorySnapshot.fromJSON(profile.inventory) };
+	}
+
+	/**
+	 * Moves a player to the group of where they are, if they aren't in it. Called on zone and dimension changes,
+	 * it is only needed right after a teleport to swap before the next tick.
+	 * @param {Player} player
+	 * @returns {boolean} `true` if the inventory was swapped.
+	 */
+	static update(player) {
+		// Dead players get their inventory swapped when they respawn.
+		if (!EntityUtils.isAlive(player)) return false;
+		const from = InventorySeparation.getGroup(player);
+		const to = InventorySeparation.resolveGroup(player);
+		if (from === to) return false;
+		return InventorySeparation.#swap(player, from, to);
+	}
+
+	/**
+	 * Stores the state of the current group and gives the state of the new one. The stored state and the new
+	 * group are written before the inventory changes, and the old state is given back if that fails.
+	 * @param {Player} player
+	 * @param {string} from
+	 * @param {string} to
+	 * @returns {boolean}
+	 */
+	static #swap(player, from, to) {
+		const database = databaseOf(player);
+		const outgoing = captureProfile(player);
+		const incoming = InventorySeparation.#readProfile(player, to);
+		database.set(`profile:${from}`, outgoing);
+		database.set("current", to);
+		database.save();
+
+		try {
+			applyProfile(player, incoming);
+		} catch (error) {
+			console.error(`Couldn't swap the inventory of ${player.name} to <${to}>: ${error}`);
+			applyProfile(player, outgoing);
+			database.delete(`profile:${from}`);
+			database.set("current", from);
+			database.save();
+			return false;
+		}
+		database.delete(`profile:${to}`);
+		database.save();
+		InventorySeparation.afterEvents.inventorySwap.emit({ player, from, to });
+		return true;
+	}
+
+	/**
+	 * @param {Player} player
+	 * @param {string} group
+	 * @returns {InventoryProfile | undefined}
+	 */
+	static #readProfile(player, group) {
+		const database = databaseOf(player);
+		const profile = database.get(`profile:${group}`);
+		if (profile) return profile;
+		const legacy = InventorySnapshot.load(group, player);
+		if (!legacy) return undefined;
+		const migrated = { inventory: legacy.toJSON() };
+		database.set(`profile:${group}`, migrated);
+		database.save();
+		InventorySnapshot.delete(group, player);
+		return migrated;
+	}
+
+	static #updateAll() {
+		system.run(() => {
+			for (const player of world.getPlayers()) InventorySeparation.update(player);
+		});
+	}
+
+	/**
+	 * @param {Dimension | string} dimension
+	 * @returns {string}
+	 */
+	static #dimensionId(dimension) {
+		if (dimension instanceof Dimension) return dimension.id;
+		return dimension.includes(":") ? dimension : `minecraft:${dimension}`;
+	}
+}
@@ -0,0 +1,486 @@
+import { world, Entity, ItemStack, EnchantmentType, ItemComponentTypes } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { InventoryUtils } from "./Inventory-Utils.js";
+import { MiscUtils } from "./Misc-Utils.js";
+
+/**
+ * The equipment slots saved in snapshots. The main hand is the selected inventory slot.
+ */
+const EQUIPMENT_SLOTS = ["Head", "Chest", "Legs", "Feet", "Offhand"];
+
+/**
+ * @typedef {Object} ItemData An item in the snapshot format, with short keys and defaults left out.
+ * @property {string} t The type id.
+ * @property {number} [a] The amount, if not 1.
+ * @property {string} [n] The name tag.
+ * @property {string[]} [l] The lore.
+ * @property {boolean} [k] Whether the item is kept on death.
+ * @property {string} [m] The lock mode, if not `none`.
+ * @property {string[]} [p] The blocks it can be placed on.
+ * @property {string[]} [d] The blocks it can destroy.
+ * @property {[string, number][]} [e] The enchantments and their level.
+ * @property {number} [u] The durability damage.
+ * @property {import("@minecraft/server").RGB} [c] The dye color.
+ * @property {{ title?: string, author?: string, pages: string[] }} [b] The pages of a book, and its title and author once signed.
+ * @property {[number, ItemData][]} [s] The items stored inside, like in shulker boxes and bundles, by slot.
+ * @property {Record<string, string | number | boolean | import("@minecraft/server").Vector3>} [dp] The dynamic properties.
+ */
+
+/**
+ * @typedef {Object} SnapshotData The JSON form of a snapshot.
+ * @property {number} v The format version.
+ * @property {number} size The size of the inventory.
+ * @property {[number, ItemData][]} slots The items of the inventory, by slot.
+ * @property {Record<string, ItemData>} equipment The items of the equipment, by equipment slot.
+ */
+
+/**
+ * @typedef {Object} SnapshotChange
+ * @property {number | string} slot An inventory slot, or an equipment slot like `Head`.
+ * @property {ItemData} [before] The item in the slot of the first snapshot.
+ * @property {ItemData} [after] The item in the slot of the second snapshot.
+ */
+
+/**
+ * Turns an older snapshot format into the next one, by version.
+ * @type {Record<number, (data: any) => any>}
+ */
+const MIGRATIONS = {
+	// The `inventory:<name>` and `armor:<name>` properties of InventoryUtils.saveInventory.
+	1: ({ items, armor }) => {
+		const convert = (item) => {
+			/** @type {ItemData} */
+			const data = { t: item.typeId };
+			const props = item.props ?? {};
+			if (props.amount !== undefined && props.amount !== 1) data.a = props.amount;
+			if (props.nameTag) data.n = props.nameTag;
+			if (item.lore?.length) data.l = item.lore;
+			if (props.keepOnDeath) data.k = true;
+			if (props.lockMode && props.lockMode !== "none") data.m = props.lockMode;
+			if (item.components?.enchantable?.length) {
+				data.e = item.components.enchantable.map((e) => [e.type, e.level]);
+			}
+			if (item.components?.durability) data.u = item.components.durability;
+			if (item.dynamicProperties?.length) data.dp = Object.fromEntries(item.dynamicProperties);
+			return data;
+		};
+		const equipment = {};
+		armor.forEach((item, i) => {
+			if (item) equipment[EQUIPMENT_SLOTS[i]] = convert(item);
+		});
+		return {
+			v: 2,
+			size: items.length,
+			slots: items.flatMap((item, slot) => (item ? [[slot, convert(item)]] : [])),
+			equipment,
+		};
+	},
+};
+
+/** @type {WeakMap<object, Database>} */
+const databases = new WeakMap();
+
+/**
+ * @param {import("@minecraft/server").World | Entity} storage
+ * @returns {Database}
+ */
+function databaseOf(storage) {
+	let database = databases.get(storage);
+	if (!database) {
+		database = new Database("snapshots", storage);
+		databases.set(storage, database);
+	}
+	return database;
+}
+
+/**
+ * A complete copy of the inventory and equipment of an entity, that can be saved, compared and given back.
+ *
+ * Items keep their amount, name, lore, lock mode, keep on death, placement and destroy rules, enchantments,
+ * durability, dye color, book pages, dynamic properties, and the items inside shulker boxes and bundles.
+ * Saved snapshots are split over as many dynamic properties as needed, and can be compressed.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { InventorySnapshot } from "./Inventory-Snapshot.js";
+ *
+ * -// Give the inventory back on respawn
+ * world.afterEvents.entityDie.subscribe(({ deadEntity }) => {
+ *     if (deadEntity.typeId === "minecraft:player") InventorySnapshot.capture(deadEntity).save("death", { storage: deadEntity });
+ * });
+ * world.afterEvents.playerSpawn.subscribe(({ player }) => {
+ *     InventorySnapshot.load("death", player)?.apply(player);
+ *     InventorySnapshot.delete("death", player);
+ * });
+ *
+ * @example
+ * -// What changed during a minigame
+ * const before = InventorySnapshot.capture(player);
+ * -// ...
+ * for (const { slot, before, after } of before.diff(InventorySnapshot.capture(player))) {
+ *     console.warn(`${slot}: ${before?.t ?? "empty"} -> ${after?.t ?? "empty"}`);
+ * }
+ */
+export class InventorySnapshot {
+	/**
+	 * The version of the snapshot format.
+	 * @type {number}
+	 */
+	static VERSION = 2;
+
+	/** @type {SnapshotData} */
+	#data;
+
+	/**
+	 * @param {SnapshotData} data The data of a snapshot, in the current version. Use {@link InventorySnapshot.fromJSON}
+	 * for saved data.
+	 */
+	constructor(data) {
+		this.#data = data;
+	}
+
+	/**
+	 * Copies the inventory and equipment of an entity.
+	 * @param {Entity} entity A player, or any entity with an inventory or equipment.
+	 * @returns {InventorySnapshot}
+	 */
+	static capture(entity) {
+		const container = InventoryUtils.getInventory(entity);
+		/** @type {SnapshotData} */
+		const data = {
+			v: InventorySnapshot.VERSION,
+			size: container?.size ?? 0,
+			slots: [],
+			equipment: {},
+		};
+		for (let slot = 0; slot < data.size; slot++) {
+			const item = container.getItem(slot);
+			if (item) data.slots.push([slot, InventorySnapshot.serializeItem(item)]);
+		}
+		const equippable = entity.getComponent("equippable");
+		if (equippable) {
+			for (const slot of EQUIPMENT_SLOTS) {
+				const item = equippable.getEquipment(slot);
+				if (item) data.equipment[slot] = InventorySnapshot.serializeItem(item);
+			}
+		}
+		return new InventorySnapshot(data);
+	}
+
+	/**
+	 * Creates a snapshot from its JSON form, migrating older versions.
+	 * @param {any} data
+	 * @returns {InventorySnapshot}
+	 * @throws {Error} If the version is unknown.
+	 */
+	static fromJSON(data) {
+		let version = data.v ?? 1;
+		while (version < InventorySnapshot.VERSION) {
+			const migrate = MIGRATIONS[version];
+			if (!migrate) throw new Error(`Can't migrate inventory snapshots of version ${version}.`);
+			data = migrate(data);
+			version = data.v;
+		}
+		if (version !== InventorySnapshot.VERSION) {
+			throw new Error(`Unknown inventory snapshot version: ${version}.`);
+		}
+		return new InventorySnapshot(data);
+	}
+
+	/**
+	 * Loads a saved snapshot. Inventories saved by {@link InventoryUtils.saveInventory} under the same name are
+	 * migrated, saved as a snapshot and their old properties removed.
+	 * @param {string} key The name of the snapshot.
+	 * @param {import("@minecraft/server").World | Entity} [storage=world] Where it was saved.
+	 * @returns {InventorySnapshot | undefined}
+	 */
+	static load(key, storage = world) {
+		const saved = databaseOf(storage).get(key);
+		if (saved) {
+			return InventorySnapshot.fromJSON(
+				saved.z === undefined ? saved : JSON.parse(MiscUtils.decompress(saved.z)),
+			);
+		}
+
+		const items = storage.getDynamicProperty(`inventory:${key}`);
+		const armor = storage.getDynamicProperty(`armor:${key}`);
+		if (typeof items !== "string") return undefined;
+		const snapshot = InventorySnapshot.fromJSON({
+			v: 1,
+			items: JSON.parse(items),
+			armor: typeof armor === "string" ? JSON.parse(armor) : [],
+		});
+		snapshot.save(key, { storage });
+		databaseOf(storage).save();
+		storage.setDynamicProperty(`inventory:${key}`, undefined);
+		storage.setDynamicProperty(`armor:${key}`, undefined);
+		return snapshot;
+	}
+
+	/**
+	 * Deletes a saved snapshot.
+	 * @param {string} key The name of the snapshot.
+	 * @param {import("@minecraft/server").World | Entity} [storage=world] Where it was saved.
+	 */
+	static delete(key, storage = world) {
+		databaseOf(storage).delete(key);
+	}
+
+	/**
+	 * Converts an item to the snapshot format.
+	 * @param {ItemStack} itemStack
+	 * @returns {ItemData}
+	 */
+	static serializeItem(itemStack) {
+		/** @type {ItemData} */
+		const data = { t: itemStack.typeId };
+		if (itemStack.amount !== 1) data.a = itemStack.amount;
+		if (itemStack.nameTag) data.n = itemStack.nameTag;
+		const lore = itemStack.getLore();
+		if (lore.length) data.l = lore;
+		if (itemStack.keepOnDeath) data.k = true;
+		if (itemStack.lockMode !== "none") data.m = itemStack.lockMode;
+		const canPlaceOn = itemStack.getCanPlaceOn();
+		if (canPlaceOn.length) data.p = canPlaceOn;
+		const canDestroy = itemStack.getCanDestroy();
+		if (canDestroy.length) data.d = canDestroy;
+
+		const enchantments = itemStack.getComponent(ItemComponentTypes.Enchantable)?.getEnchantments();
+		if (enchantments?.length) data.e = enchantments.map((e) => [e.type.id, e.level]);
+		const durability = itemStack.getComponent(ItemComponentTypes.Durability);
+		if (durability?.damage) data.u = durability.damage;
+		const color = itemStack.getComponent(ItemComponentTypes.Dyeable)?.color;
+		if (color) data.c = color;
+		const book = itemStack.getComponent(ItemComponentTypes.Book);
+		if (book?.pageCount) {
+			data.b = { pages: book.contents.map((page) => page ?? "") };
+			if (book.isSigned) Object.assign(data.b, { title: book.title, author: book.author });
+		}
+		const inventory = itemStack.getComponent(ItemComponentTypes.Inventory)?.container;
+		if (inventory) {
+			const stored = [];
+			for (let slot = 0; slot < inventory.size; slot++) {
+				const item = inventory.getItem(slot);
+				if (item) stored.push([slot, InventorySnapshot.serializeItem(item)]);
+			}
+			if (stored.length) data.s = stored;
+		}
+
+		const propertyIds = itemStack.getDynamicPropertyIds();
+		if (propertyIds.length) {
+			data.dp = Object.fromEntries(propertyIds.map((id) => [id, itemStack.getDynamicProperty(id)]));
+		}
+		return data;
+	}
+
+	/**
+	 * Creates an item from the snapshot format.
+	 * @param {ItemData} data
+	 * @returns {ItemStack}
+	 */
+	static deserializeItem(data) {
+		const itemStack = new ItemStack(data.t, data.a ?? 1);
+		if (data.n) itemStack.nameTag = data.n;
+		if (data.l) itemStack.setLore(data.l);
+		if (data.k) itemStack.keepOnDeath = true;
+		if (data.m) itemStack.lockMode = /** @type {any} */ (data.m);
+		if (data.p) itemStack.setCanPlaceOn(data.p);
+		if (data.d) itemStack.setCanDestroy(data.d);
+
+		if (data.e) {
+			itemStack
+				.getComponent(ItemComponentTypes.Enchantable)
+				?.addEnchantments(
+					data.e.map(([type, level]) => ({ type: new EnchantmentType(type), level })),
+				);
+		}
+		if (data.u) {
+			const durability = itemStack.getComponent(ItemComponentTypes.Durability);
+			if (durability) durability.damage = data.u;
+		}
+		if (data.c) {
+			const dyeable = itemStack.getComponent(ItemComponentTypes.Dyeable);
+			if (dyeable) dyeable.color = data.c;
+		}
+		if (data.b) {
+			const book = itemStack.getComponent(ItemComponentTypes.Book);
+			book?.setContents(data.b.pages);
+			if (data.b.title !== undefined) book?.signBook(data.b.title, data.b.author ?? "");
+		}
+		if (data.s) {
+			const inventory = itemStack.getComponent(ItemComponentTypes.Inventory)?.container;
+			for (const [slot, item] of data.s) {
+				try {
+					inventory?.setItem(slot, InventorySnapshot.deserializeItem(item));
+				} catch (error) {
+					console.warn(`Couldn't put ${item.t} back into ${data.t}: ${error}`);
+				}
+			}
+		}
+		if (data.dp) {
+			for (const id in data.dp) itemStack.setDynamicProperty(id, data.dp[id]);
+		}
+		return itemStack;
+	}
+
+	/**
+	 * The size of the inventory of the snapshot.
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this.#data.size;
+	}
+
+	/**
+	 * Gets the item of a slot.
+	 * @param {number | string} slot An inventory slot, or an equipment slot like `Head`.
+	 * @returns {ItemStack | undefined}
+	 */
+	getItem(slot) {
+		const data = this.#itemData(slot);
+		return data && InventorySnapshot.deserializeItem(data);
+	}
+
+	/**
+	 * Gives the items of the snapshot to an entity.
+	 * @param {Entity} entity
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.clear=true] Whether to empty the slots that are empty in the snapshot.
+	 */
+	apply(entity, options = {}) {
+		const clear = options.clear ?? true;
+		const container = InventoryUtils.getInventory(entity);
+		if (container) {
+			const items = new Map(this.#data.slots);
+			for (let slot = 0; slot < container.size; slot++) {
+				const item = items.get(slot);
+				if (item) container.setItem(slot, InventorySnapshot.deserializeItem(item));
+				else if (clear) container.setItem(slot, undefined);
+			}
+		}
+		const equippable = entity.getComponent("equippable");
+		if (equippable) {
+			for (const slot of EQUIPMENT_SLOTS) {
+				const item = this.#data.equipment[slot];
+				if (item) equippable.setEquipment(slot, InventorySnapshot.deserializeItem(item));
+				else if (clear) equippable.setEquipment(slot, undefined);
+			}
+		}
+	}
+
+	/**
+	 * Lists the slots whose item differs in another snapshot.
+	 * @param {InventorySnapshot} other
+	 * @returns {SnapshotChange[]}
+	 */
+	diff(other) {
+		const changes = [];
+		for (const slot of new Set([...this.#slotKeys(), ...other.#slotKeys()])) {
+			const before = this.#itemData(slot);
+			const after = other.#itemData(slot);
+			if (!MiscUtils.deepEqual(before, after)) changes.push({ slot, before, after });
+		}
+		return changes;
+	}
+
+	/**
+	 * Creates a snapshot with changes made by {@link InventorySnapshot.diff} applied.
+	 * @param {SnapshotChange[]} changes
+	 * @returns {InventorySnapshot}
+	 */
+	patch(changes) {
+		const data = this.toJSON();
+		const slots = new Map(data.slots);
+		for (const { slot, after } of changes) {
+			if (typeof slot === "number") {
+				if (after) slots.set(slot, after);
+				else slots.delete(slot);
+				data.size = Math.max(data.size, slot + 1);
+			} else if (after) {
+				data.equipment[slot] = after;
+			} else {
+				delete data.equipment[slot];
+			}
+		}
+		data.slots = [...slots].sort((a, b) => a[0] - b[0]);
+		return new InventorySnapshot(data);
+	}
+
+	/**
+	 * Creates a snapshot with the items of another snapshot added. Each item goes to the same slot if it is empty,
+	 * or else to the first empty inventory slot.
+	 * @param {InventorySnapshot} other
+	 * @returns {{ snapshot: InventorySnapshot, overflow: ItemStack[] }} The merged snapshot, and the items that didn't fit.
+	 */
+	merge(other) {
+		const data = this.toJSON();
+		const slots = new Map(data.slots);
+		const overflow = [];
+		const freeSlot = () => {
+			for (let slot = 0; slot < data.size; slot++) {
+				if (!slots.has(slot)) return slot;
+			}
+			return -1;
+		};
+		const place = (item) => {
+			const slot = freeSlot();
+			if (slot === -1) overflow.push(InventorySnapshot.deserializeItem(item));
+			else slots.set(slot, item);
+		};
+
+		for (const [slot, item] of other.#data.slots) {
+			if (slot < data.size && !slots.has(slot)) slots.set(slot, item);
+			else place(item);
+		}
+		for (const [slot, item] of Object.entries(other.#data.equipment)) {
+			if (!data.equipment[slot]) data.equipment[slot] = item;
+			else place(item);
+		}
+		data.slots = [...slots].sort((a, b) => a[0] - b[0]);
+		return { snapshot: new InventorySnapshot(data), overflow };
+	}
+
+	/**
+	 * Saves the snapshot.
+	 * @param {string} key The name of the snapshot.
+	 * @param {Object} [options={}]
+	 * @param {import("@minecraft/server").World | Entity} [options.storage=world] The world or entity holding the
+	 * dynamic properties.
+	 * @param {boolean} [options.compress=false] Whether to compress the snapshot. It is stored uncompressed if that
+	 * is smaller anyway.
+	 */
+	save(key, options = {}) {
+		const data = this.toJSON();
+		let value = data;
+		if (options.compress) {
+			const json = JSON.stringify(data);
+			const compressed = MiscUtils.compress(json);
+			if (compressed.length < json.length) value = { v: data.v, z: compressed };
+		}
+		databaseOf(options.storage ?? world).set(key, value);
+	}
+
+	/**
+	 * @returns {SnapshotData} A copy of the data of the snapshot.
+	 */
+	toJSON() {
+		return JSON.parse(JSON.stringify(this.#data));
+	}
+
+	/**
+	 * @returns {(number | string)[]}
+	 */
+	#slotKeys() {
+		return [...this.#data.slots.map(([slot]) => slot), ...Object.keys(this.#data.equipment)];
+	}
+
+	/**
+	 * @param {number | string} slot
+	 * @returns {ItemData | undefined}
+	 */
+	#itemData(slot) {
+		if (typeof slot === "string") return this.#data.equipment[slot];
+		return this.#data.slots.find(([index]) => index === slot)?.[1];
+	}
+}
@@ -0,0 +1,442 @@
+import { world, Block, Container, Entity, ItemStack, Player } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { InventorySnapshot } from "./Inventory-Snapshot.js";
+import { ItemStackUtils } from "./Itemstack-Utils.js";
+import { MiscUtils } from "./Misc-Utils.js";
+
+/**
+ * What a transaction does with items that don't fit in the container.
+ * - `Reject` cancels the whole transaction.
+ * - `Drop` spawns them at the entity or block holding the container.
+ * - `Mail` sends them to the {@link ItemMailbox} of the recipient.
+ */
+export const OverflowPolicy = Object.freeze({
+	Reject: "reject",
+	Drop: "drop",
+	Mail: "mail",
+});
+
+/**
+ * @typedef {Object} ItemFilter
+ * @property {string} [typeId] The type id of the item.
+ * @property {ItemStack} [item] An item the stack must be identical to, apart from the amount. See
+ * {@link ItemStackUtils.compareItemStacks}.
+ * @property {string} [nameTag] The name tag of the item.
+ * @property {string[] | ((lore: string[]) => boolean)} [lore] Lines the lore must contain, or a test of the lore.
+ * @property {Record<string, any>} [dynamicProperties] Values of dynamic properties, or tests of them.
+ * @property {(itemStack: ItemStack) => boolean} [where] Any other test.
+ */
+
+/**
+ * @typedef {string | ItemStack | ItemFilter | ((itemStack: ItemStack) => boolean)} ItemMatcher
+ * A type id, an item compared with {@link ItemStackUtils.compareItemStacks}, a filter or a test.
+ */
+
+/**
+ * @typedef {Container | Entity | Block} InventoryTarget A container, or an entity or block with an inventory.
+ */
+
+/**
+ * @typedef {Object} TransactionResult
+ * @property {boolean} success Whether the transaction was applied. Nothing changed otherwise.
+ * @property {"missing" | "full"} [reason] Why it failed: items to remove were missing, or items to add didn't fit
+ * with the reject policy.
+ * @property {ItemStack[]} removed The removed items.
+ * @property {ItemStack[]} overflow The items that didn't fit, dropped or mailed on success.
+ */
+
+/**
+ * @param {InventoryTarget} target
+ * @returns {Container}
+ * @throws {TypeError} If the target has no inventory.
+ */
+function containerOf(target) {
+	if (target instanceof Container) return target;
+	const container = target?.getComponent?.("inventory")?.container;
+	if (!container) throw new TypeError("The target has no inventory.");
+	return container;
+}
+
+/**
+ * Adds an item to slots, filling stacks of the same item before empty slots.
+ * @param {(ItemStack | undefined)[]} slots Modified in place.
+ * @param {ItemStack} itemStack
+ * @param {Set<number>} [changed] Receives the modified slots.
+ * @returns {number} The amount that didn't fit.
+ */
+function insert(slots, itemStack, changed) {
+	let remaining = itemStack.amount;
+	for (let slot = 0; slot < slots.length && remaining > 0; slot++) {
+		const stack = slots[slot];
+		if (!stack || stack.amount >= stack.maxAmount) continue;
+		if (!ItemStackUtils.compareItemStacks(stack, itemStack)) continue;
+		const moved = Math.min(remaining, stack.maxAmount - stack.amount);
+		stack.amount += moved;
+		remaining -= moved;
+		changed?.add(slot);
+	}
+	for (let slot = 0; slot < slots.length && remaining > 0; slot++) {
+		if (slots[slot]) continue;
+		const stack = itemStack.clone();
+		stack.amount = Math.min(remaining, itemStack.maxAmount);
+		slots[slot] = stack;
+		remaining -= stack.amount;
+		changed?.add(slot);
+	}
+	return remaining;
+}
+
+/**
+ * @param {Container} container
+ * @returns {(ItemStack | undefined)[]} Copies of the items of every slot.
+ */
+function readSlots(container) {
+	const slots = [];
+	for (let slot = 0; slot < container.size; slot++) slots.push(container.getItem(slot));
+	return slots;
+}
+
+/**
+ * @param {ItemStack} itemStack
+ * @param {number} amount
+ * @returns {ItemStack[]} Stacks of at most the max amount of the item.
+ */
+function splitStacks(itemStack, amount) {
+	const stacks = [];
+	while (amount > 0) {
+		const stack = itemStack.clone();
+		stack.amount = Math.min(amount, itemStack.maxAmount);
+		amount -= stack.amount;
+		stacks.push(stack);
+	}
+	return stacks;
+}
+
+/**
+ * Finds and counts items of any container, matching them on more than their type id.
+ *
+ * @example
+ * import { InventoryQuery } from "./Inventory-Transaction.js";
+ *
+ * -// Keys must be the exact item given by the quest, lore and enchantments included.
+ * InventoryQuery.has(player, questKey);
+ *
+ * -// Any bounty token of level 3 or more in a chest
+ * InventoryQuery.count(block, {
+ *     typeId: "minecraft:paper",
+ *     lore: ["§6Bounty token"],
+ *     dynamicProperties: { level: (level) => level >= 3 },
+ * });
+ */
+export class InventoryQuery {
+	/**
+	 * Checks if an item matches.
+	 * @param {ItemStack} itemStack
+	 * @param {ItemMatcher} matcher
+	 * @returns {boolean}
+	 */
+	static matches(itemStack, matcher) {
+		if (typeof matcher === "string") return itemStack.typeId === matcher;
+		if (matcher instanceof ItemStack) return ItemStackUtils.compareItemStacks(itemStack, matcher);
+		if (typeof matcher === "function") return matcher(itemStack);
+
+		const { typeId, item, nameTag, lore, dynamicProperties, where } = matcher;
+		if (typeId !== undefined && itemStack.typeId !== typeId) return false;
+		if (item && !ItemStackUtils.compareItemStacks(itemStack, item)) return false;
+		if (nameTag !== undefined && itemStack.nameTag !== nameTag) return false;
+		if (lore) {
+			const lines = itemStack.getLore();
+			if (typeof lore === "function" ? !lore(lines) : !lore.every((line) => lines.includes(line))) {
+				return false;
+			}
+		}
+		for (const id in dynamicProperties ?? {}) {
+			const expected = dynamicProperties[id];
+			const value = itemStack.getDynamicProperty(id);
+			if (
+				typeof expected === "function" ? !expected(value) : !MiscUtils.deepEqual(value, expected)
+			) {
+				return false;
+			}
+		}
+		return !where || where(itemStack);
+	}
+
+	/**
+	 * Lists the matching items.
+	 * @param {InventoryTarget} target
+	 * @param {ItemMatcher} matcher
+	 * @returns {{ slot: number, item: ItemStack }[]}
+	 */
+	static find(target, matcher) {
+		return readSlots(containerOf(target)).flatMap((item, slot) =>
+			item && InventoryQuery.matches(item, matcher) ? [{ slot, item }] : [],
+		);
+	}
+
+	/**
+	 * Counts the matching items.
+	 * @param {InventoryTarget} target
+	 * @param {ItemMatcher} matcher
+	 * @returns {number}
+	 */
+	static count(target, matcher) {
+		return InventoryQuery.find(target, matcher).reduce((total, { item }) => total + item.amount, 0);
+	}
+
+	/**
+	 * Checks if there are enough matching items.
+	 * @param {InventoryTarget} target
+	 * @param {ItemMatcher} matcher
+	 * @param {number} [amount=1]
+	 * @returns {boolean}
+	 */
+	static has(target, matcher, amount = 1) {
+		return InventoryQuery.count(target, matcher) >= amount;
+	}
+
+	/**
+	 * Gets how many of an item fit, in stacks of the same item and in empty slots.
+	 * @param {InventoryTarget} target
+	 * @param {ItemStack} itemStack The item, its amount is ignored.
+	 * @returns {number}
+	 */
+	static getSpaceFor(target, itemStack) {
+		let space = 0;
+		for (const stack of readSlots(containerOf(target))) {
+			if (!stack) {
+				space += itemStack.maxAmount;
+			} else if (ItemStackUtils.compareItemStacks(stack, itemStack)) {
+				space += Math.max(0, stack.maxAmount - stack.amount);
+			}
+		}
+		return space;
+	}
+
+	/**
+	 * Checks if all the items fit together.
+	 * @param {InventoryTarget} target
+	 * @param {ItemStack | ItemStack[]} items
+	 * @returns {boolean}
+	 */
+	static canFit(target, items) {
+		const slots = readSlots(containerOf(target));
+		return [items].flat().every((item) => insert(slots, item) === 0);
+	}
+}
+
+/**
+ * Removes and adds several items to a container as a whole: either every step is applied, or nothing changes.
+ *
+ * Steps run in the order they were added on a copy of the container, so removed items free space for the
+ * items added after them. The container is only written once everything succeeded, in the same tick.
+ *
+ * @example
+ * import { InventoryTransaction, OverflowPolicy } from "./Inventory-Transaction.js";
+ *
+ * -// A shop: 5 emeralds for a sword, cancelled if the emeralds are missing or the sword doesn't fit
+ * const result = new InventoryTransaction(player)
+ *     .remove("minecraft:emerald", 5)
+ *     .add(new ItemStack("minecraft:diamond_sword"))
+ *     .commit();
+ * if (!result.success) player.sendMessage(result.reason === "missing" ? "§cNot enough emeralds." : "§cInventory full.");
+ *
+ * @example
+ * -// Rewards that don't fit wait in the mailbox of the player
+ * new InventoryTransaction(player, { overflow: OverflowPolicy.Mail }).add(rewards).commit();
+ *
+ * @example
+ * -// Fill a chest, dropping the rest next to it
+ * new InventoryTransaction(block, { overflow: OverflowPolicy.Drop }).add(loot).commit();
+ */
+export class InventoryTransaction {
+	#container;
+	#target;
+	#overflow;
+	#recipient;
+	/** @type {({ type: "add", item: ItemStack } | { type: "remove", matcher: ItemMatcher, amount: number })[]} */
+	#steps = [];
+
+	/**
+	 * @param {InventoryTarget} target
+	 * @param {Object} [options={}]
+	 * @param {"reject" | "drop" | "mail"} [options.overflow="reject"] See {@link OverflowPolicy}.
+	 * @param {Player | string} [options.recipient] The player, or player id, receiving mailed items. Defaults to
+	 * the target player.
+	 * @throws {TypeError} If the target has no inventory, or if the overflow can't be dropped or mailed.
+	 */
+	constructor(target, options = {}) {
+		this.#container = containerOf(target);
+		this.#target = target;
+		this.#overflow = options.overflow ?? OverflowPolicy.Reject;
+		if (!Object.values(OverflowPolicy).includes(this.#overflow)) {
+			throw new TypeError(`Unknown overflow policy: <${this.#overflow}>.`);
+		}
+		const recipient = options.recipient ?? (target instanceof Player ? target : undefined);
+		this.#recipient = recipient instanceof Player ? recipient.id : recipient;
+		if (this.#overflow === OverflowPolicy.Mail && !this.#recipient) {
+			throw new TypeError("Mailing the overflow needs a recipient.");
+		}
+		if (this.#overflow === OverflowPolicy.Drop && target instanceof Container) {
+			throw new TypeError("Dropping the overflow needs an entity or block target.");
+		}
+	}
+
+	/**
+	 * Adds items.
+	 * @param {ItemStack | ItemStack[]} items
+	 * @returns {this}
+	 */
+	add(items) {
+		for (const item of [items].flat()) this.#steps.push({ type: "add", item: item.clone() });
+		return this;
+	}
+
+	/**
+	 * Removes matching items, from the first slots.
+	 * @param {ItemMatcher} matcher
+	 * @param {number} [amount=1] The amount to remove, `Infinity` for all of them.
+	 * @returns {this}
+	 * @throws {RangeError} If the amount isn't positive.
+	 */
+	remove(matcher, amount = 1) {
+		if (!(amount > 0))
+			throw new RangeError(`The amount to remove must be positive, received ${amount}.`);
+		this.#steps.push({ type: "remove", matcher, amount });
+		return this;
+	}
+
+	/**
+	 * Checks the transaction without applying it.
+	 * @returns {TransactionResult} The result {@link InventoryTransaction.commit} would have, without the overflow
+	 * being dropped or mailed.
+	 */
+	preview() {
+		const { result } = this.#run();
+		return result;
+	}
+
+	/**
+	 * Applies the transaction, or nothing if a step fails.
+	 * @returns {TransactionResult}
+	 * @throws {Error} If the container is no longer valid.
+	 */
+	commit() {
+		if (!this.#container.isValid)
+			throw new Error("The container of the transaction is no longer valid.");
+		const { result, slots, changed } = this.#run();
+		if (!result.success) return result;
+
+		for (const slot of changed) this.#container.setItem(slot, slots[slot]);
+		if (!result.overflow.length) return result;
+		if (this.#overflow === OverflowPolicy.Mail) {
+			ItemMailbox.send(this.#recipient, result.overflow);
+		} else {
+			const target = /** @type {Entity | Block} */ (this.#target);
+			const location = target instanceof Block ? target.center() : target.location;
+			for (const item of result.overflow) target.dimension.spawnItem(item, location);
+		}
+		return result;
+	}
+
+	#run() {
+		const slots = readSlots(this.#container);
+		/** @type {Set<number>} */
+		const changed = new Set();
+		/** @type {TransactionResult} */
+		const result = { success: true, removed: [], overflow: [] };
+		const fail = (reason) => ({
+			result: {
+				success: false,
+				reason,
+				removed: [],
+				overflow: reason === "full" ? result.overflow : [],
+			},
+			slots,
+			changed,
+		});
+
+		for (const step of this.#steps) {
+			if (step.type === "remove") {
+				let remaining = step.amount;
+				for (let slot = 0; slot < slots.length && remaining > 0; slot++) {
+					const stack = slots[slot];
+					if (!stack || !InventoryQuery.matches(stack, step.matcher)) continue;
+					const taken = Math.min(remaining, stack.amount);
+					const removed = stack.clone();
+					removed.amount = taken;
+					result.removed.push(removed);
+					if (taken === stack.amount) slots[slot] = undefined;
+					else stack.amount -= taken;
+					remaining -= taken;
+					changed.add(slot);
+				}
+				if (remaining > 0 && remaining !== Infinity) return fail("missing");
+			} else {
+				const left = insert(slots, step.item, changed);
+				if (left > 0) result.overflow.push(...splitStacks(step.item, left));
+			}
+		}
+		if (result.overflow.length && this.#overflow === OverflowPolicy.Reject) return fail("full");
+		return { result, slots, changed };
+	}
+}
+
+/**
+ * Items waiting for a player, like transaction overflow sent while their inventory was full or they were offline.
+ * They are given on spawn, as much as fits, the rest staying in the mailbox.
+ */
+export class ItemMailbox {
+	static #database = new Database("item_mail");
+
+	static {
+		world.afterEvents.playerSpawn.subscribe(({ player }) => {
+			if (!ItemMailbox.#database.has(player.id)) return;
+			const received = ItemMailbox.claim(player);
+			if (received) player.sendMessage(`You received ${received} items from your mailbox.`);
+		});
+	}
+
+	/**
+	 * Sends items to a player.
+	 * @param {Player | string} player The player, or player id.
+	 * @param {ItemStack[]} items
+	 */
+	static send(player, items) {
+		const id = player instanceof Player ? player.id : player;
+		const mail = ItemMailbox.#database.get(id) ?? [];
+		mail.push(...items.map((item) => InventorySnapshot.serializeItem(item)));
+		ItemMailbox.#database.set(id, mail);
+	}
+
+	/**
+	 * Lists the items waiting for a player.
+	 * @param {Player | string} player The player, or player id.
+	 * @returns {ItemStack[]}
+	 */
+	static get(player) {
+		const id = player instanceof Player ? player.id : player;
+		return (ItemMailbox.#database.get(id) ?? []).map((item) =>
+			InventorySnapshot.deserializeItem(item),
+		);
+	}
+
+	/**
+	 * Gives a player the items of their mailbox that fit in their inventory.
+	 * @param {Player} player
+	 * @returns {number} The amount of items given.
+	 */
+	static claim(player) {
+		const container = containerOf(player);
+		const kept = [];
+		let given = 0;
+		for (const item of ItemMailbox.get(player)) {
+			const leftover = container.addItem(item);
+			given += item.amount - (leftover?.amount ?? 0);
+			if (leftover) kept.push(InventorySnapshot.serializeItem(leftover));
+		}
+		if (kept.length) ItemMailbox.#database.set(player.id, kept);
+		else ItemMailbox.#database.delete(player.id);
+		return given;
+	}
+}
@@ -1,5 +1,5 @@
 import { Player, EntityInventoryComponent, ItemStack, EnchantmentType } from "@minecraft/server";
-import { ItemStackUtils } from "./itemstack-utilities.js";
+import { ItemStackUtils } from "./Itemstack-Utils.js";
 
 export class InventoryUtils {
 
@@ -36,6 +36,7 @@ export class InventoryUtils {
 	 * @param {string} typeId - typeId of the item to check for
 	 * @param {number} count - The required quantity of the item.
 	 * @returns {boolean} - True if the player has the amount of specified item, false otherwise.
+	 * @see {@link InventoryQuery.has} to match name tags, lore, enchantments or dynamic properties.
 	 *
 	 * @example
 	 * import { world } from "@minecraft/server";
@@ -59,7 +60,7 @@ export class InventoryUtils {
 	}
 
 	/**
-	 * Gives an item to a player. If the inventory is full, it will drop the item at the player's location.
+	 * Gives an item to a player, filling stacks of the same item first. What doesn't fit is dropped at the player's location.
 	 *
 	 * @param {Player} player - Player
 	 * @param {string} itemId - typeId of the Item
@@ -90,11 +91,8 @@ export class InventoryUtils {
 		if (data.enchantments) {
 			ItemStackUtils.applyEnchantments(itemStack, data.enchantments);
 		}
-		if (container.emptySlotsCount >= 1) {
-			container.addItem(itemStack);
-		} else {
-			player.dimension.spawnItem(itemStack, player.location);
-		}
+		const leftover = container.addItem(itemStack);
+		if (leftover) player.dimension.spawnItem(leftover, player.location);
 	}
 
 	/**
@@ -103,6 +101,7 @@ export class InventoryUtils {
 	 * @param {Player} player - The player.
 	 * @param {string} itemId - The typeId of the item to remove.
 	 * @param {number} [amount=0] - The number of items to remove. (Clears all if no amount provided)
+	 * @see {@link InventoryTransaction.remove} to match more than the type id, or to only remove if there are enough.
 	 *
 	 * @example
 	 * -// Remove 5 apples
@@ -154,6 +153,8 @@ export class InventoryUtils {
 	 * @param {string} [invName=player.name] Identifier of the dynamic property
 	 * @param {Player} storage The player to set the dynamic property on
 	 * @returns {{items: string[], wornArmor: string[]}}
+	 * @deprecated Use {@link InventorySnapshot}, which also saves dye colors, books, placement rules and container
+	 * contents. {@link InventorySnapshot.load} migrates inventories saved with this method.
 	 * @example
 	 * import { world } from "@minecraft/server"
 	 *
@@ -237,6 +238,7 @@ export class InventoryUtils {
 	 * @param {string} [invName=player.name] Identifier of the dynamic property to load the items from
 	 * @param {Player} storage The player to get the dynamic property from
 	 * @returns {void}
+	 * @deprecated Use {@link InventorySnapshot.load}.
 	 * @example
 	 * import { world } from "@minecraft/server"
 	 *
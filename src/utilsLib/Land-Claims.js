@@ -0,0 +1,440 @@
+import { world, system, Player, Dimension } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { MiscUtils } from "./Misc-Utils.js";
+import Chunk from "./Chunk.js";
+
+/**
+ * The roles a player can have in a claim, from the least to the most trusted.
+ */
+export const ClaimRole = {
+	Visitor: 0,
+	Member: 1,
+	Trusted: 2,
+	Owner: 3,
+};
+
+/**
+ * The protection flags of a claim.
+ *
+ * `break`, `place`, `interact`, `containers` and `mobDamage` hold the lowest {@link ClaimRole} allowed to do it.
+ * `pvp` and `explosions` hold whether it is allowed in the claim at all.
+ */
+export const ClaimFlag = {
+	/** Breaking blocks. */
+	Break: "break",
+	/** Placing blocks. */
+	Place: "place",
+	/** Using blocks like doors and buttons, and interacting with entities. */
+	Interact: "interact",
+	/** Opening blocks with an inventory, like chests and furnaces. */
+	Containers: "containers",
+	/** Players hurting other players. */
+	Pvp: "pvp",
+	/** Players hurting mobs. */
+	MobDamage: "mobDamage",
+	/** Explosions destroying blocks. */
+	Explosions: "explosions",
+};
+
+/**
+ * Flags of new claims.
+ */
+const DEFAULT_FLAGS = {
+	break: ClaimRole.Member,
+	place: ClaimRole.Member,
+	interact: ClaimRole.Member,
+	containers: ClaimRole.Trusted,
+	mobDamage: ClaimRole.Member,
+	pvp: false,
+	explosions: false,
+};
+
+/**
+ * Players with this tag ignore every claim.
+ */
+const BYPASS_TAG = "claims:bypass";
+
+/**
+ * @typedef {Object} Claim
+ * @property {string} id
+ * @property {string} dimension The dimension id.
+ * @property {{ x: number, z: number }} min The lowest corner block. Claims span the whole height.
+ * @property {{ x: number, z: number }} max The highest corner block.
+ * @property {string} owner The owner id.
+ * @property {string} ownerName The owner name, when the claim was created.
+ * @property {string[]} members Ids of the members.
+ * @property {string[]} trusted Ids of the trusted players.
+ * @property {{ break: number, place: number, interact: number, containers: number, mobDamage: number, pvp: boolean, explosions: boolean }} flags
+ */
+
+/**
+ * Land claims protecting areas owned by players.
+ *
+ * Each claim has an owner, members and trusted players, and flags telling which {@link ClaimRole} can break,
+ * place, interact, open containers and hurt mobs, and whether PvP and explosions are allowed.
+ * Claims are saved to world dynamic properties, loaded back on `worldLoad`, and enforced with `world.beforeEvents`.
+ * They are aligned to chunks by default and indexed by chunk, so finding the claim at a location is cheap.
+ *
+ * Players with the `claims:bypass` tag ignore every claim.
+ *
+ * @remarks There is no before event for damage, so PvP and mob damage are undone by healing the victim right after
+ * the hit. A hit killing at once can't be undone.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { LandClaims, ClaimRole, ClaimFlag } from "./Land-Claims.js";
+ *
+ * -// Claim the chunk the player stands in
+ * const claim = LandClaims.claimChunk(player);
+ *
+ * LandClaims.setRole(claim.id, friend, ClaimRole.Trusted);
+ * LandClaims.setFlag(claim.id, ClaimFlag.Interact, ClaimRole.Visitor);
+ * LandClaims.setFlag(claim.id, ClaimFlag.Pvp, true);
+ *
+ * @example
+ * -// Protect the spawn, owned by the server
+ * const server = { id: "server", name: "the server" };
+ * LandClaims.create(server, world.getDimension("overworld"), { x: -64, z: -64 }, { x: 63, z: 63 }, {
+ *     id: "spawn",
+ *     flags: { interact: ClaimRole.Visitor },
+ * });
+ */
+export class LandClaims {
+	static #database = new Database("claims");
+	/** @type {Map<string, Claim>} */
+	static #claims = new Map();
+	/** @type {Map<string, Set<Claim>>} Claims overlapping each chunk, by `<dimension>|<chunk x>|<chunk z>`. */
+	static #chunks = new Map();
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => LandClaims.#load());
+
+		world.beforeEvents.playerBreakBlock.subscribe((event) => {
+			LandClaims.#enforce(event, event.player, ClaimFlag.Break, event.block);
+		});
+		world.beforeEvents.playerPlaceBlock.subscribe((event) => {
+			LandClaims.#enforce(event, event.player, ClaimFlag.Place, event.block);
+		});
+		world.beforeEvents.playerInteractWithBlock.subscribe((event) => {
+			const flag = event.block.getComponent("inventory")
+				? ClaimFlag.Containers
+				: ClaimFlag.Interact;
+			LandClaims.#enforce(event, event.player, flag, event.block);
+		});
+		world.beforeEvents.playerInteractWithEntity.subscribe((event) => {
+			LandClaims.#enforce(event, event.player, ClaimFlag.Interact, event.target);
+		});
+		world.beforeEvents.explosion.subscribe((event) => {
+			const blocks = event.getImpactedBlocks();
+			const allowed = blocks.filter(
+				(block) => LandClaims.getAt(block.dimension, block.location)?.flags.explosions ?? true,
+			);
+			if (allowed.length !== blocks.length) event.setImpactedBlocks(allowed);
+		});
+		world.afterEvents.entityHurt.subscribe((event) => LandClaims.#undoDamage(event));
+	}
+
+	/**
+	 * Creates a claim. The area is extended to whole chunks unless `align` is `false`.
+	 * @param {Player | { id: string, name: string }} owner The owner. Its name is shown to players denied by the claim.
+	 * @param {Dimension} dimension The dimension of the claim.
+	 * @param {{ x: number, z: number }} from A corner of the area.
+	 * @param {{ x: number, z: number }} to The opposite corner of the area.
+	 * @param {Object} [options={}]
+	 * @param {string} [options.id] The unique id of the claim, a random one by default.
+	 * @param {boolean} [options.align=true] Whether to extend the area to whole chunks.
+	 * @param {Partial<Claim["flags"]>} [options.flags] Flags overriding the defaults.
+	 * @returns {Claim}
+	 * @throws {Error} If the id is taken, or the area overlaps another claim.
+	 */
+	static create(owner, dimension, from, to, options = {}) {
+		const id = options.id ?? MiscUtils.generateUUID();
+		if (LandClaims.#claims.has(id)) throw new Error(`A claim with the id <${id}> already exists.`);
+
+		let min = { x: Math.floor(Math.min(from.x, to.x)), z: Math.floor(Math.min(from.z, to.z)) };
+		let max = { x: Math.floor(Math.max(from.x, to.x)), z: Math.floor(Math.max(from.z, to.z)) };
+		if (options.align ?? true) {
+			const minChunk = new Chunk(min.x, min.z, dimension);
+			const maxChunk = new Chunk(max.x, max.z, dimension);
+			min = { x: minChunk.minX, z: minChunk.minZ };
+			max = { x: maxChunk.maxX, z: maxChunk.maxZ };
+		}
+
+		/** @type {Claim} */
+		const claim = {
+			id,
+			dimension: dimension.id,
+			min,
+			max,
+			owner: owner.id,
+			ownerName: owner.name,
+			members: [],
+			trusted: [],
+			flags: { ...DEFAULT_FLAGS, ...options.flags },
+		};
+		const overlapping = LandClaims.#overlapping(claim);
+		if (overlapping) {
+			throw new Error(
+				`The area overlaps the claim of ${overlapping.ownerName} <${overlapping.id}>.`,
+			);
+		}
+		LandClaims.#claims.set(id, claim);
+		LandClaims.#index(claim);
+		LandClaims.#database.set(id, claim);
+		return claim;
+	}
+
+	/**
+	 * Claims the chunk a player stands in, for this player.
+	 * @param {Player} player
+	 * @param {Object} [options] See {@link create}.
+	 * @returns {Claim}
+	 * @throws {Error} If the chunk overlaps another claim.
+	 */
+	static claimChunk(player, options) {
+		const { location, dimension } = player;
+		return LandClaims.create(player, dimension, location, location, options);
+	}
+
+	/**
+	 * Removes a claim.
+	 * @param {string} id The id of the claim.
+	 * @returns {boolean} `true` if the claim existed.
+	 */
+	static remove(id) {
+		const claim = LandClaims.#claims.get(id);
+		if (!claim) return false;
+		LandClaims.#unindex(claim);
+		LandClaims.#claims.delete(id);
+		LandClaims.#database.delete(id);
+		return true;
+	}
+
+	/**
+	 * Gets a claim.
+	 * @remarks Change it through the {@link LandClaims} methods, so the change gets saved.
+	 * @param {string} id The id of the claim.
+	 * @returns {Claim | undefined}
+	 */
+	static get(id) {
+		return LandClaims.#claims.get(id);
+	}
+
+	/**
+	 * Gets the claim at a location.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {import("@minecraft/server").Vector3 | { x: number, z: number }} location
+	 * @returns {Claim | undefined}
+	 */
+	static getAt(dimension, location) {
+		const dimensionId = dimension instanceof Dimension ? dimension.id : dimension;
+		const x = Math.floor(location.x);
+		const z = Math.floor(location.z);
+		const key = `${dimensionId}|${Math.floor(x / 16)}|${Math.floor(z / 16)}`;
+		for (const claim of LandClaims.#chunks.get(key) ?? []) {
+			if (x >= claim.min.x && x <= claim.max.x && z >= claim.min.z && z <= claim.max.z)
+				return claim;
+		}
+		return undefined;
+	}
+
+	/**
+	 * Lists the claims.
+	 * @param {Player | string} [owner] Only list the claims of this player, or player id.
+	 * @returns {Claim[]}
+	 */
+	static list(owner) {
+		const claims = [...LandClaims.#claims.values()];
+		if (owner === undefined) return claims;
+		const ownerId = owner instanceof Player ? owner.id : owner;
+		return claims.filter((claim) => claim.owner === ownerId);
+	}
+
+	/**
+	 * Gets the role of a player in a claim.
+	 * @param {Claim} claim
+	 * @param {Player | string} player The player, or its id.
+	 * @returns {number} One of the {@link ClaimRole} values.
+	 */
+	static getRole(claim, player) {
+		const id = player instanceof Player ? player.id : player;
+		if (claim.owner === id) return ClaimRole.Owner;
+		if (claim.trusted.includes(id)) return ClaimRole.Trusted;
+		if (claim.members.includes(id)) return ClaimRole.Member;
+		return ClaimRole.Visitor;
+	}
+
+	/**
+	 * Sets the role of a player in a claim. {@link ClaimRole.Visitor} removes the player from the claim.
+	 * @param {string} id The id of the claim.
+	 * @param {Player | string} player The player, or its id.
+	 * @param {number} role {@link ClaimRole.Visitor}, {@link ClaimRole.Member} or {@link ClaimRole.Trusted}.
+	 * @throws {Error} If the claim doesn't exist.
+	 * @throws {RangeError} If the role is not one of the allowed values, or the player is the owner.
+	 */
+	static setRole(id, player, role) {
+		const claim = LandClaims.#require(id);
+		const playerId = player instanceof Player ? player.id : player;
+		if (role !== ClaimRole.Visitor && role !== ClaimRole.Member && role !== ClaimRole.Trusted) {
+			throw new RangeError(`Invalid claim role: ${role}.`);
+		}
+		if (claim.owner === playerId) throw new RangeError("The role of the owner can't be changed.");
+
+		claim.members = claim.members.filter((member) => member !== playerId);
+		claim.trusted = claim.trusted.filter((trusted) => trusted !== playerId);
+		if (role === ClaimRole.Member) claim.members.push(playerId);
+		if (role === ClaimRole.Trusted) claim.trusted.push(playerId);
+		LandClaims.#database.set(id, claim);
+	}
+
+	/**
+	 * Sets a flag of a claim.
+	 * @param {string} id The id of the claim.
+	 * @param {string} flag One of the {@link ClaimFlag} values.
+	 * @param {number | boolean} value The lowest {@link ClaimRole} allowed, or whether PvP and explosions are allowed.
+	 * @throws {Error} If the claim doesn't exist.
+	 * @throws {TypeError} If the flag is unknown, or the value has the wrong type.
+	 */
+	static setFlag(id, flag, value) {
+		const claim = LandClaims.#require(id);
+		if (!(flag in DEFAULT_FLAGS)) throw new TypeError(`Unknown claim flag: <${flag}>.`);
+		if (typeof value !== typeof DEFAULT_FLAGS[flag]) {
+			throw new TypeError(
+				`Claim flag <${flag}> takes a ${typeof DEFAULT_FLAGS[flag]}, received ${typeof value}.`,
+			);
+		}
+		claim.flags[flag] = value;
+		LandClaims.#database.set(id, claim);
+	}
+
+	/**
+	 * Checks if a player may do something at a location.
+	 * @param {Player} player
+	 * @param {string} flag One of the {@link ClaimFlag} values.
+	 * @param {Dimension} dimension
+	 * @param {import("@minecraft/server").Vector3} location
+	 * @returns {boolean}
+	 */
+	static can(player, flag, dimension, location) {
+		const claim = LandClaims.getAt(dimension, location);
+		return !claim || LandClaims.#allows(claim, player, flag);
+	}
+
+	/**
+	 * @param {Claim} claim
+	 * @param {Player} player
+	 * @param {string} flag
+	 * @returns {boolean}
+	 */
+	static #allows(claim, player, flag) {
+		if (player.hasTag(BYPASS_TAG)) return true;
+		const value = claim.flags[flag];
+		if (typeof value === "boolean") return value;
+		return LandClaims.getRole(claim, player) >= value;
+	}
+
+	/**
+	 * Cancels a before event if the player may not do it where it happens, and tells the player why.
+	 * @param {{ cancel: boolean }} event
+	 * @param {Player} player
+	 * @param {string} flag
+	 * @param {{ dimension: Dimension, location: import("@minecraft/server").Vector3 }} target
+	 */
+	static #enforce(event, player, flag, target) {
+		const claim = LandClaims.getAt(target.dimension, target.location);
+		if (!claim || LandClaims.#allows(claim, player, flag)) return;
+		event.cancel = true;
+		system.run(() => {
+			if (!player.isValid) return;
+			player.onScreenDisplay.setActionBar(`§cThis land is claimed by ${claim.ownerName}.`);
+		});
+	}
+
+	/**
+	 * Heals back the damage a player dealt where PvP or mob damage is not allowed.
+	 * @param {import("@minecraft/server").EntityHurtAfterEvent} event
+	 */
+	static #undoDamage({ hurtEntity, damage, damageSource }) {
+		const attacker = damageSource.damagingEntity;
+		if (!(attacker instanceof Player) || attacker === hurtEntity || !hurtEntity.isValid) return;
+		const flag = hurtEntity instanceof Player ? ClaimFlag.Pvp : ClaimFlag.MobDamage;
+		// PvP is denied if either player stands in a claim without it.
+		const claims = [LandClaims.getAt(hurtEntity.dimension, hurtEntity.location)];
+		if (flag === ClaimFlag.Pvp)
+			claims.push(LandClaims.getAt(attacker.dimension, attacker.location));
+		if (claims.every((claim) => !claim || LandClaims.#allows(claim, attacker, flag))) return;
+
+		const health = hurtEntity.getComponent("health");
+		if (!health || health.currentValue <= 0) return;
+		health.setCurrentValue(Math.min(health.effectiveMax, health.currentValue + damage));
+		const owner = claims.find(Boolean).ownerName;
+		attacker.onScreenDisplay.setActionBar(`§cThis land is claimed by ${owner}.`);
+	}
+
+	static #require(id) {
+		const claim = LandClaims.#claims.get(id);
+		if (!claim) throw new Error(`No claim with the id <${id}> exists.`);
+		return claim;
+	}
+
+	/**
+	 * Calls a function with the index key of every chunk overlapped by a claim.
+	 * @param {Claim} claim
+	 * @param {(key: string) => void} callback
+	 */
+	static #forEachChunk(claim, callback) {
+		for (let x = Math.floor(claim.min.x / 16); x <= Math.floor(claim.max.x / 16); x++) {
+			for (let z = Math.floor(claim.min.z / 16); z <= Math.floor(claim.max.z / 16); z++) {
+				callback(`${claim.dimension}|${x}|${z}`);
+			}
+		}
+	}
+
+	static #index(claim) {
+		LandClaims.#forEachChunk(claim, (key) => {
+			let chunk = LandClaims.#chunks.get(key);
+			if (!chunk) LandClaims.#chunks.set(key, (chunk = new Set()));
+			chunk.add(claim);
+		});
+	}
+
+	static #unindex(claim) {
+		LandClaims.#forEachChunk(claim, (key) => {
+			const chunk = LandClaims.#chunks.get(key);
+			if (!chunk) return;
+			chunk.delete(claim);
+			if (!chunk.size) LandClaims.#chunks.delete(key);
+		});
+	}
+
+	/**
+	 * Finds a claim overlapping the area of another claim.
+	 * @param {Claim} claim
+	 * @returns {Claim | undefined}
+	 */
+	static #overlapping(claim) {
+		let found;
+		LandClaims.#forEachChunk(claim, (key) => {
+			for (const other of LandClaims.#chunks.get(key) ?? []) {
+				if (
+					other.min.x <= claim.max.x &&
+					other.max.x >= claim.min.x &&
+					other.min.z <= claim.max.z &&
+					other.max.z >= claim.min.z
+				) {
+					found ??= other;
+				}
+			}
+		});
+		return found;
+	}
+
+	static #load() {
+		for (const [id, claim] of LandClaims.#database.entries()) {
+			// Claims created before the world loaded are newer than the saved ones.
+			if (LandClaims.#claims.has(id)) continue;
+			LandClaims.#claims.set(id, claim);
+			LandClaims.#index(claim);
+		}
+	}
+}
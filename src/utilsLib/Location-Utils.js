@@ -1,5 +1,5 @@
-import { Vec3 } from "Vec3-Utils.js";
-import { Dimension } from "@minecraft/server";
+import { Vec3 } from "./Vec3-Utils.js";
+import { Dimension, StructureRotation } from "@minecraft/server";
 
 export class LocationUtils {
 
@@ -96,17 +96,17 @@ export class LocationUtils {
 			z: bounds.max.z - bounds.min.z
 		};
 
-		let minPos = Vec3.sub(placementPos, rotatedOffset);
+		let minPos = Vec3.subtract(placementPos, rotatedOffset);
 
 		switch (rotation) {
 			case StructureRotation.Rotate90:
-				minPos = Vec3.sub(minPos, { x: structureSize.z, y: 0, z: 0 });
+				minPos = Vec3.subtract(minPos, { x: structureSize.z, y: 0, z: 0 });
 				break;
 			case StructureRotation.Rotate180:
-				minPos = Vec3.sub(minPos, { x: structureSize.x, y: 0, z: structureSize.z });
+				minPos = Vec3.subtract(minPos, { x: structureSize.x, y: 0, z: structureSize.z });
 				break;
 			case StructureRotation.Rotate270:
-				minPos = Vec3.sub(minPos, { x: 0, y: 0, z: structureSize.x });
+				minPos = Vec3.subtract(minPos, { x: 0, y: 0, z: structureSize.x });
 				break;
 		}
 
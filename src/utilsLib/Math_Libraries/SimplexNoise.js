@@ -245,4 +245,6 @@ function openSimplexNoise(clientSeed) {
         },
     }
     return API;
-}
\ No newline at end of file
+}
+
+export { openSimplexNoise };
@@ -0,0 +1,571 @@
+const BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Special codes of {@link MiscUtils.compress}, the first code of a sequence, and the last code before the
+ * dictionary is cleared. Codes stay below 16 bits.
+ */
+const LZW_CLEAR = 256;
+const LZW_END = 257;
+const LZW_FIRST_CODE = 258;
+const LZW_MAX_CODE = 65000;
+
+export class MiscUtils {
+	/**
+	 * Generates a random RFC 4122 version 4 UUID.
+	 * @returns {string}
+	 * @example
+	 * MiscUtils.generateUUID(); // "3b241101-e2bb-4255-8caf-4136c566a962"
+	 */
+	static generateUUID() {
+		return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+			const r = (Math.random() * 16) | 0;
+			return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+		});
+	}
+
+	/**
+	 * Computes a 32-bit FNV-1a hash of a string. Useful for short, stable ids of long strings.
+	 * @param {string} string
+	 * @returns {number} Unsigned 32-bit hash.
+	 */
+	static hash(string) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < string.length; i++) {
+			hash ^= string.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+		return hash >>> 0;
+	}
+
+	/**
+	 * Checks if two JSON-like values are deeply equal.
+	 * @param {any} a
+	 * @param {any} b
+	 * @returns {boolean}
+	 * @example
+	 * MiscUtils.deepEqual({ x: 1, tags: ["a"] }, { x: 1, tags: ["a"] }); // true
+	 */
+	static deepEqual(a, b) {
+		if (a === b) return true;
+		if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+		if (Array.isArray(a) !== Array.isArray(b)) return false;
+		const keysA = Object.keys(a);
+		const keysB = Object.keys(b);
+		if (keysA.length !== keysB.length) return false;
+		return keysA.every(
+			(key) => Object.prototype.hasOwnProperty.call(b, key) && MiscUtils.deepEqual(a[key], b[key]),
+		);
+	}
+
+	/**
+	 * Encodes bytes into a base64 string, safe to store in a dynamic property.
+	 * @param {Uint8Array} bytes
+	 * @returns {string}
+	 */
+	static toBase64(bytes) {
+		let result = "";
+		for (let i = 0; i < bytes.length; i += 3) {
+			const a = bytes[i];
+			const b = bytes[i + 1];
+			const c = bytes[i + 2];
+			result += BASE64_CHARS[a >> 2];
+			result += BASE64_CHARS[((a & 0x3) << 4) | ((b ?? 0) >> 4)];
+			result += b === undefined ? "=" : BASE64_CHARS[((b & 0xf) << 2) | ((c ?? 0) >> 6)];
+			result += c === undefined ? "=" : BASE64_CHARS[c & 0x3f];
+		}
+		return result;
+	}
+
+	/**
+	 * Decodes a base64 string into bytes.
+	 * @param {string} string
+	 * @returns {Uint8Array}
+	 * @throws {TypeError} If the string contains characters outside of the base64 alphabet.
+	 */
+	static fromBase64(string) {
+		const clean = string.replace(/=+$/, "");
+		const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+		let buffer = 0;
+		let bits = 0;
+		let index = 0;
+		for (const char of clean) {
+			const value = BASE64_CHARS.indexOf(char);
+			if (value === -1) throw new TypeError(`Invalid base64 character: ${char}`);
+			buffer = (buffer << 6) | value;
+			bits += 6;
+			if (bits >= 8) {
+				bits -= 8;
+				bytes[index++] = (buffer >> bits) & 0xff;
+			}
+		}
+		return bytes;
+	}
+
+	/**
+	 * Encodes a string into UTF-8 bytes.
+	 * @param {string} string
+	 * @returns {Uint8Array}
+	 */
+	static encodeUTF8(string) {
+		const bytes = [];
+		for (const char of string) {
+			const code = char.codePointAt(0);
+			if (code < 0x80) bytes.push(code);
+			else if (code < 0x800) bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+			else if (code < 0x10000)
+				bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+			else
+				bytes.push(
+					0xf0 | (code >> 18),
+					0x80 | ((code >> 12) & 0x3f),
+					0x80 | ((code >> 6) & 0x3f),
+					0x80 | (code & 0x3f),
+				);
+		}
+		return new Uint8Array(bytes);
+	}
+
+	/**
+	 * Decodes UTF-8 bytes into a string.
+	 * @param {Uint8Array} bytes
+	 * @returns {string}
+	 */
+	static decodeUTF8(bytes) {
+		let result = "";
+		for (let i = 0; i < bytes.length; ) {
+			const byte = bytes[i++];
+			let code;
+			if (byte < 0x80) code = byte;
+			else if (byte < 0xe0) code = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+			else if (byte < 0xf0)
+				code = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+			else
+				code =
+					((byte & 0x07) << 18) |
+					((bytes[i++] & 0x3f) << 12) |
+					((bytes[i++] & 0x3f) << 6) |
+					(bytes[i++] & 0x3f);
+			result += String.fromCodePoint(code);
+		}
+		return result;
+	}
+
+	/**
+	 * Compresses a string with LZW into a base64 string, safe to store in a dynamic property.
+	 * Repetitive text like JSON usually shrinks to a third of its size.
+	 * @param {string} string
+	 * @returns {string}
+	 * @example
+	 * const packed = MiscUtils.compress(JSON.stringify(data));
+	 * const data = JSON.parse(MiscUtils.decompress(packed));
+	 */
+	static compress(string) {
+		const bytes = MiscUtils.encodeUTF8(string);
+		if (!bytes.length) return "";
+		const output = [];
+		let buffer = 0;
+		let bits = 0;
+		/** @type {Map<number, number>} Codes of the known sequences, by `prefix code * 256 + next byte`. */
+		let codes = new Map();
+		let next = LZW_FIRST_CODE;
+		// The decoder adds its entries one code late, its next code decides the width of each code.
+		let decoderNext = LZW_FIRST_CODE;
+		let first = true;
+		const emit = (code, isData = true) => {
+			buffer |= code << bits;
+			bits += 32 - Math.clz32(decoderNext);
+			while (bits >= 8) {
+				output.push(buffer & 0xff);
+				buffer >>>= 8;
+				bits -= 8;
+			}
+			if (isData && !first) decoderNext++;
+			first = false;
+		};
+
+		let prefix = bytes[0];
+		for (let i = 1; i < bytes.length; i++) {
+			const key = prefix * 256 + bytes[i];
+			const code = codes.get(key);
+			if (code !== undefined) {
+				prefix = code;
+				continue;
+			}
+			emit(prefix);
+			if (next < LZW_MAX_CODE) {
+				codes.set(key, next++);
+			} else {
+				emit(LZW_CLEAR, false);
+				codes = new Map();
+				next = decoderNext = LZW_FIRST_CODE;
+				first = true;
+			}
+			prefix = bytes[i];
+		}
+		emit(prefix);
+		emit(LZW_END, false);
+		if (bits > 0) output.push(buffer & 0xff);
+		return MiscUtils.toBase64(new Uint8Array(output));
+	}
+
+	/**
+	 * Decompresses a string made by {@link MiscUtils.compress}.
+	 * @param {string} string
+	 * @returns {string}
+	 * @throws {TypeError} If the string is not valid compressed data.
+	 */
+	static decompress(string) {
+		if (!string) return "";
+		const input = MiscUtils.fromBase64(string);
+		const output = [];
+		const prefixes = new Int32Array(LZW_MAX_CODE + 1);
+		const suffixes = new Uint8Array(LZW_MAX_CODE + 1);
+		const firstBytes = new Uint8Array(LZW_MAX_CODE + 1);
+		for (let i = 0; i < 256; i++) firstBytes[i] = i;
+		let next = LZW_FIRST_CODE;
+		let previous = -1;
+		let buffer = 0;
+		let bits = 0;
+		let offset = 0;
+
+		const write = (code) => {
+			const sequence = [];
+			while (code >= 256) {
+				sequence.push(suffixes[code]);
+				code = prefixes[code];
+			}
+			sequence.push(code);
+			for (let i = sequence.length - 1; i >= 0; i--) output.push(sequence[i]);
+		};
+
+		while (true) {
+			const width = 32 - Math.clz32(next);
+			while (bits < width) {
+				if (offset >= input.length) throw new TypeError("The compressed data is truncated.");
+				buffer |= input[offset++] << bits;
+				bits += 8;
+			}
+			const code = buffer & ((1 << width) - 1);
+			buffer >>>= width;
+			bits -= width;
+
+			if (code === LZW_END) break;
+			if (code === LZW_CLEAR) {
+				next = LZW_FIRST_CODE;
+				previous = -1;
+				continue;
+			}
+			if (previous === -1) {
+				if (code >= 256) throw new TypeError("The compressed data is corrupted.");
+				write(code);
+				previous = code;
+				continue;
+			}
+			if (code > next) throw new TypeError("The compressed data is corrupted.");
+			prefixes[next] = previous;
+			// A code can refer to the entry being added, which ends with its own first byte.
+			suffixes[next] = firstBytes[code === next ? previous : code];
+			firstBytes[next] = firstBytes[previous];
+			next++;
+			write(code);
+			previous = code;
+		}
+		return MiscUtils.decodeUTF8(new Uint8Array(output));
+	}
+}
+
+/**
+ * A growable binary buffer with typed read and write cursors, for packing data tightly into dynamic properties.
+ * Numbers are stored little-endian.
+ *
+ * @example
+ * const buffer = new MemoryBuffer();
+ * buffer.writeString(player.name).writeInt32(player.level).writeFloat64(Date.now());
+ * player.setDynamicProperty("stats", buffer.toBase64());
+ *
+ * const saved = MemoryBuffer.fromBase64(player.getDynamicProperty("stats"));
+ * const name = saved.readString();
+ * const level = saved.readInt32();
+ * const lastSeen = saved.readFloat64();
+ */
+export class MemoryBuffer {
+	#bytes;
+	#view;
+	#length = 0;
+	/** Position of the read cursor. */
+	readOffset = 0;
+
+	/**
+	 * @param {number | Uint8Array} [source=64] Initial capacity, or bytes to read from.
+	 */
+	constructor(source = 64) {
+		if (source instanceof Uint8Array) {
+			this.#bytes = new Uint8Array(source);
+			this.#length = source.length;
+		} else {
+			this.#bytes = new Uint8Array(Math.max(1, source));
+		}
+		this.#view = new DataView(this.#bytes.buffer);
+	}
+
+	/**
+	 * Creates a buffer from a base64 string made by {@link MemoryBuffer.toBase64}.
+	 * @param {string} string
+	 * @returns {MemoryBuffer}
+	 */
+	static fromBase64(string) {
+		return new MemoryBuffer(MiscUtils.fromBase64(string));
+	}
+
+	/**
+	 * The amount of bytes written, which is also the position of the write cursor.
+	 * @type {number}
+	 */
+	get length() {
+		return this.#length;
+	}
+
+	/**
+	 * The amount of bytes left to read.
+	 * @type {number}
+	 */
+	get remaining() {
+		return this.#length - this.readOffset;
+	}
+
+	/**
+	 * Moves the read cursor.
+	 * @param {number} offset
+	 * @returns {this}
+	 */
+	seek(offset) {
+		if (offset < 0 || offset > this.#length)
+			throw new RangeError(`Offset ${offset} is outside of the buffer.`);
+		this.readOffset = offset;
+		return this;
+	}
+
+	/**
+	 * Empties the buffer, keeping its capacity.
+	 * @returns {this}
+	 */
+	clear() {
+		this.#length = 0;
+		this.readOffset = 0;
+		return this;
+	}
+
+	/** @returns {this} */
+	writeUint8(value) {
+		this.#reserve(1).setUint8(this.#length++, value);
+		return this;
+	}
+
+	/** @returns {this} */
+	writeInt8(value) {
+		this.#reserve(1).setInt8(this.#length++, value);
+		return this;
+	}
+
+	/** @returns {this} */
+	writeBoolean(value) {
+		return this.writeUint8(value ? 1 : 0);
+	}
+
+	/** @returns {this} */
+	writeUint16(value) {
+		this.#reserve(2).setUint16(this.#length, value, true);
+		this.#length += 2;
+		return this;
+	}
+
+	/** @returns {this} */
+	writeInt16(value) {
+		this.#reserve(2).setInt16(this.#length, value, true);
+		this.#length += 2;
+		return this;
+	}
+
+	/** @returns {this} */
+	writeUint32(value) {
+		this.#reserve(4).setUint32(this.#length, value, true);
+		this.#length += 4;
+		return this;
+	}
+
+	/** @returns {this} */
+	writeInt32(value) {
+		this.#reserve(4).setInt32(this.#length, value, true);
+		this.#length += 4;
+		return this;
+	}
+
+	/** @returns {this} */
+	writeFloat32(value) {
+		this.#reserve(4).setFloat32(this.#length, value, true);
+		this.#length += 4;
+		return this;
+	}
+
+	/** @returns {this} */
+	writeFloat64(value) {
+		this.#reserve(8).setFloat64(this.#length, value, true);
+		this.#length += 8;
+		return this;
+	}
+
+	/**
+	 * Writes an unsigned integer using 1 byte per 7 bits (LEB128), small values take a single byte.
+	 * @param {number} value Integer between 0 and `Number.MAX_SAFE_INTEGER`.
+	 * @returns {this}
+	 */
+	writeVarUint(value) {
+		do {
+			let byte = value % 128;
+			value = Math.floor(value / 128);
+			if (value > 0) byte |= 0x80;
+			this.writeUint8(byte);
+		} while (value > 0);
+		return this;
+	}
+
+	/**
+	 * Writes raw bytes, prefixed with their length.
+	 * @param {Uint8Array} bytes
+	 * @returns {this}
+	 */
+	writeBytes(bytes) {
+		this.writeVarUint(bytes.length);
+		this.#reserve(bytes.length);
+		this.#bytes.set(bytes, this.#length);
+		this.#length += bytes.length;
+		return this;
+	}
+
+	/**
+	 * Writes a UTF-8 string, prefixed with its length.
+	 * @param {string} value
+	 * @returns {this}
+	 */
+	writeString(value) {
+		return this.writeBytes(MiscUtils.encodeUTF8(value));
+	}
+
+	/** @returns {number} */
+	readUint8() {
+		return this.#view.getUint8(this.#advance(1));
+	}
+
+	/** @returns {number} */
+	readInt8() {
+		return this.#view.getInt8(this.#advance(1));
+	}
+
+	/** @returns {boolean} */
+	readBoolean() {
+		return this.readUint8() !== 0;
+	}
+
+	/** @returns {number} */
+	readUint16() {
+		return this.#view.getUint16(this.#advance(2), true);
+	}
+
+	/** @returns {number} */
+	readInt16() {
+		return this.#view.getInt16(this.#advance(2), true);
+	}
+
+	/** @returns {number} */
+	readUint32() {
+		return this.#view.getUint32(this.#advance(4), true);
+	}
+
+	/** @returns {number} */
+	readInt32() {
+		return this.#view.getInt32(this.#advance(4), true);
+	}
+
+	/** @returns {number} */
+	readFloat32() {
+		return this.#view.getFloat32(this.#advance(4), true);
+	}
+
+	/** @returns {number} */
+	readFloat64() {
+		return this.#view.getFloat64(this.#advance(8), true);
+	}
+
+	/** @returns {number} */
+	readVarUint() {
+		let value = 0;
+		let multiplier = 1;
+		let byte;
+		do {
+			byte = this.readUint8();
+			value += (byte & 0x7f) * multiplier;
+			multiplier *= 128;
+		} while (byte & 0x80);
+		return value;
+	}
+
+	/** @returns {Uint8Array} */
+	readBytes() {
+		const length = this.readVarUint();
+		const start = this.#advance(length);
+		return this.#bytes.slice(start, start + length);
+	}
+
+	/** @returns {string} */
+	readString() {
+		return MiscUtils.decodeUTF8(this.readBytes());
+	}
+
+	/**
+	 * Copies the written bytes.
+	 * @returns {Uint8Array}
+	 */
+	toUint8Array() {
+		return this.#bytes.slice(0, this.#length);
+	}
+
+	/**
+	 * Encodes the written bytes as base64, ready to be stored in a dynamic property.
+	 * @returns {string}
+	 */
+	toBase64() {
+		return MiscUtils.toBase64(this.toUint8Array());
+	}
+
+	/**
+	 * Makes room for `size` more bytes, doubling the capacity as needed.
+	 * @returns {DataView}
+	 */
+	#reserve(size) {
+		const required = this.#length + size;
+		if (required > this.#bytes.length) {
+			let capacity = this.#bytes.length * 2;
+			while (capacity < required) capacity *= 2;
+			const bytes = new Uint8Array(capacity);
+			bytes.set(this.#bytes.subarray(0, this.#length));
+			this.#bytes = bytes;
+			this.#view = new DataView(bytes.buffer);
+		}
+		return this.#view;
+	}
+
+	/**
+	 * Moves the read cursor forward and returns its previous position.
+	 * @throws {RangeError} If there are not enough bytes left.
+	 */
+	#advance(size) {
+		const offset = this.readOffset;
+		if (offset + size > this.#length) {
+			throw new RangeError(
+				`Cannot read ${size} bytes at offset ${offset}, buffer length is ${this.#length}.`,
+			);
+		}
+		this.readOffset += size;
+		return offset;
+	}
+}
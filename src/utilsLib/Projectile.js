@@ -1 +1,386 @@
+import { world, system, Entity, Player, EntityComponentTypes } from "@minecraft/server";
+import { Vec3 } from "./Math_Libraries/Vector3.js";
 
+/**
+ * Default physics of a projectile, matching the `minecraft:projectile` component defaults.
+ * `gravity` is subtracted from the vertical velocity every tick and `airInertia` multiplies the velocity every tick (`1 - drag`).
+ */
+const DEFAULT_PHYSICS = { gravity: 0.05, airInertia: 0.99 };
+
+/**
+ * Gravity and drag aware projectile math. Velocities are in blocks per tick, the unit used by `EntityProjectileComponent.shoot`.
+ */
+export class Trajectory {
+	/**
+	 * Reads the physics of a projectile entity.
+	 * @param {Entity} projectile A projectile entity.
+	 * @returns {{ gravity: number, airInertia: number }}
+	 */
+	static physicsOf(projectile) {
+		const component = projectile.getComponent(EntityComponentTypes.Projectile);
+		if (!component) return { ...DEFAULT_PHYSICS };
+		return { gravity: component.gravity, airInertia: component.airInertia };
+	}
+
+	/**
+	 * Predicts the path of a projectile, one point per tick.
+	 * @param {import("@minecraft/server").Vector3} origin The launch location.
+	 * @param {import("@minecraft/server").Vector3} velocity The launch velocity.
+	 * @param {Object} [options={}]
+	 * @param {number} [options.gravity=0.05] Vertical velocity lost per tick.
+	 * @param {number} [options.airInertia=0.99] Velocity multiplier applied per tick.
+	 * @param {number} [options.maxTicks=100] Maximum amount of ticks to simulate.
+	 * @param {import("@minecraft/server").Dimension} [options.dimension] If given, the path stops at the first solid block.
+	 * @returns {Vec3[]} The predicted locations, starting at `origin`.
+	 * @example
+	 * const path = Trajectory.predict(player.getHeadLocation(), Vec3.multiply(player.getViewDirection(), 3));
+	 * console.warn(`The arrow lands at ${path.at(-1)}`);
+	 */
+	static predict(origin, velocity, options = {}) {
+		const { gravity, airInertia } = { ...DEFAULT_PHYSICS, ...options };
+		const { maxTicks = 100, dimension } = options;
+		let position = Vec3.from(origin);
+		let motion = Vec3.from(velocity);
+		const points = [position];
+		for (let tick = 0; tick < maxTicks; tick++) {
+			position = Vec3.add(position, motion);
+			motion = Vec3.multiply(motion, airInertia);
+			motion.y -= gravity;
+			if (dimension && Trajectory.#isObstructed(dimension, position)) break;
+			points.push(position);
+		}
+		return points;
+	}
+
+	/**
+	 * Finds the launch pitches hitting a target with a given launch speed.
+	 * @param {import("@minecraft/server").Vector3} origin The launch location.
+	 * @param {import("@minecraft/server").Vector3} target The location to hit.
+	 * @param {number} speed The launch speed, in blocks per tick.
+	 * @param {Object} [options={}]
+	 * @param {number} [options.gravity=0.05] Vertical velocity lost per tick.
+	 * @param {number} [options.airInertia=0.99] Velocity multiplier applied per tick.
+	 * @param {number} [options.maxTicks=200] Maximum flight time considered.
+	 * @returns {number[]} Pitches in degrees above the horizon, flattest arc first. Empty if the target is out of range.
+	 */
+	static solveLaunchAngles(origin, target, speed, options = {}) {
+		const distance = Math.hypot(target.x - origin.x, target.z - origin.z);
+		const height = target.y - origin.y;
+		const heightAt = (pitch) => Trajectory.#heightAtDistance(pitch, speed, distance, options);
+
+		// Scan the pitch range for sign changes of the miss, then refine each one by bisection.
+		const angles = [];
+		let previousPitch = -89;
+		let previousMiss = heightAt(previousPitch) - height;
+		for (let pitch = -88; pitch <= 89; pitch++) {
+			const miss = heightAt(pitch) - height;
+			if (
+				Number.isFinite(miss) &&
+				Number.isFinite(previousMiss) &&
+				Math.sign(miss) !== Math.sign(previousMiss)
+			) {
+				let low = previousPitch;
+				let high = pitch;
+				for (let i = 0; i < 24; i++) {
+					const middle = (low + high) / 2;
+					const middleMiss = heightAt(middle) - height;
+					if (Math.sign(middleMiss) === Math.sign(previousMiss)) low = middle;
+					else high = middle;
+				}
+				angles.push((low + high) / 2);
+			}
+			previousPitch = pitch;
+			previousMiss = miss;
+		}
+		return angles;
+	}
+
+	/**
+	 * Gets the launch velocity needed to hit a target.
+	 * @param {import("@minecraft/server").Vector3} origin The launch location.
+	 * @param {import("@minecraft/server").Vector3} target The location to hit.
+	 * @param {number} speed The launch speed, in blocks per tick.
+	 * @param {Object} [options={}] Same physics options as {@link Trajectory.solveLaunchAngles}.
+	 * @param {"low" | "high"} [options.arc="low"] Use the flattest or the highest arc.
+	 * @returns {Vec3 | undefined} The velocity, or `undefined` if the target can't be reached at this speed.
+	 * @example
+	 * const velocity = Trajectory.aimAt(turret.location, target.getHeadLocation(), 2.5);
+	 * if (velocity) Projectile.shoot("minecraft:arrow", turret, velocity);
+	 */
+	static aimAt(origin, target, speed, options = {}) {
+		const angles = Trajectory.solveLaunchAngles(origin, target, speed, options);
+		if (!angles.length) return undefined;
+		const pitch = (options.arc === "high" ? angles.at(-1) : angles[0]) * (Math.PI / 180);
+		const yaw = Math.atan2(target.z - origin.z, target.x - origin.x);
+		return Vec3(
+			Math.cos(pitch) * Math.cos(yaw) * speed,
+			Math.sin(pitch) * speed,
+			Math.cos(pitch) * Math.sin(yaw) * speed,
+		);
+	}
+
+	/**
+	 * Shows the predicted path of a projectile to a single player with particles.
+	 * Call it every few ticks while the player is aiming to keep the preview visible.
+	 * @param {Player} player The player that sees the preview.
+	 * @param {import("@minecraft/server").Vector3} origin The launch location.
+	 * @param {import("@minecraft/server").Vector3} velocity The launch velocity.
+	 * @param {Object} [options={}] Same physics options as {@link Trajectory.predict}.
+	 * @param {string} [options.particle="minecraft:basic_flame_particle"] Particle spawned on the path.
+	 * @param {number} [options.spacing=2] Spawn a particle every `spacing` ticks of flight.
+	 * @example
+	 * system.runInterval(() => {
+	 *     for (const player of world.getPlayers()) {
+	 *         if (PlayerUtils.getMainhand(player)?.typeId !== "minecraft:bow") continue;
+	 *         const velocity = Vec3.multiply(player.getViewDirection(), 3);
+	 *         Trajectory.preview(player, player.getHeadLocation(), velocity, { dimension: player.dimension });
+	 *     }
+	 * }, 4);
+	 */
+	static preview(player, origin, velocity, options = {}) {
+		const { particle = "minecraft:basic_flame_particle", spacing = 2 } = options;
+		const points = Trajectory.predict(origin, velocity, options);
+		for (let i = spacing; i < points.length; i += spacing) {
+			try {
+				player.spawnParticle(particle, points[i]);
+			} catch {
+				// The point is in an unloaded chunk, the rest of the path is hidden too.
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Simulates a launch and returns the height reached when the horizontal distance is covered.
+	 * @returns {number} `NaN` if the projectile never covers the distance.
+	 */
+	static #heightAtDistance(pitch, speed, distance, options) {
+		const { gravity, airInertia } = { ...DEFAULT_PHYSICS, ...options };
+		const { maxTicks = 200 } = options;
+		const radians = pitch * (Math.PI / 180);
+		let horizontalSpeed = Math.cos(radians) * speed;
+		let verticalSpeed = Math.sin(radians) * speed;
+		let travelled = 0;
+		let height = 0;
+		for (let tick = 0; tick < maxTicks; tick++) {
+			const nextTravelled = travelled + horizontalSpeed;
+			const nextHeight = height + verticalSpeed;
+			if (nextTravelled >= distance) {
+				const t = horizontalSpeed > 0 ? (distance - travelled) / horizontalSpeed : 0;
+				return height + (nextHeight - height) * t;
+			}
+			travelled = nextTravelled;
+			height = nextHeight;
+			horizontalSpeed *= airInertia;
+			verticalSpeed = verticalSpeed * airInertia - gravity;
+		}
+		return NaN;
+	}
+
+	static #isObstructed(dimension, location) {
+		try {
+			const block = dimension.getBlock(location);
+			return !block || !(block.isAir || block.isLiquid);
+		} catch {
+			return true;
+		}
+	}
+}
+
+/** @type {Map<Entity, Projectile>} */
+const tracked = new Map();
+let tickRunId;
+
+function tickProjectiles() {
+	for (const projectile of tracked.values()) projectile.tick();
+	if (!tracked.size) {
+		system.clearRun(tickRunId);
+		tickRunId = undefined;
+	}
+}
+
+world.afterEvents.projectileHitEntity.subscribe((event) => {
+	const { projectile, source, location } = event;
+	tracked.get(projectile)?.hit({ source, location, entity: event.getEntityHit()?.entity });
+});
+
+world.afterEvents.projectileHitBlock.subscribe((event) => {
+	const { projectile, source, location } = event;
+	tracked.get(projectile)?.hit({ source, location, block: event.getBlockHit()?.block });
+});
+
+/**
+ * @typedef {Object} ProjectileHitEvent
+ * @property {Projectile} projectile The tracked projectile.
+ * @property {Entity | undefined} source The entity that shot the projectile.
+ * @property {import("@minecraft/server").Vector3} location Where the hit happened.
+ * @property {Entity} [entity] The entity that was hit.
+ * @property {import("@minecraft/server").Block} [block] The block that was hit.
+ */
+
+/**
+ * @typedef {Object} ProjectileOptions
+ * @property {number} [lifetime] Ticks before the projectile expires and is removed.
+ * @property {Entity | import("@minecraft/server").Vector3 | (() => import("@minecraft/server").Vector3 | undefined)} [target]
+ * Homing target. An entity or a location makes the projectile home in, a function makes it guided (e.g. towards where the shooter looks).
+ * @property {number} [turnRate=0.2] How strongly the projectile steers towards its target each tick, from `0` (never) to `1` (instantly).
+ * @property {number} [speed] Speed kept while homing. Defaults to the current speed of the projectile.
+ * @property {(event: ProjectileHitEvent) => void} [onHit] Called when the projectile hits an entity or a block.
+ * @property {(projectile: Projectile) => void} [onExpire] Called when the lifetime runs out.
+ */
+
+/**
+ * A projectile entity driven by a shared tick loop, with a lifetime, hit/expire hooks and optional homing.
+ *
+ * @example
+ * -// Homing arrow that explodes on impact
+ * Projectile.shoot("minecraft:arrow", player, Vec3.multiply(player.getViewDirection(), 2), {
+ *     target: PlayerUtils.getEntityLookingAt(player, 64),
+ *     lifetime: 100,
+ *     onHit: ({ location, projectile }) => projectile.entity.dimension.createExplosion(location, 2),
+ * });
+ *
+ * @example
+ * -// Guided missile following the crosshair of its shooter
+ * Projectile.shoot("minecraft:snowball", player, Vec3.multiply(player.getViewDirection(), 1.5), {
+ *     target: () => PlayerUtils.getBlockLookingAt(player, 100)?.center(),
+ *     turnRate: 0.35,
+ *     speed: 1.5,
+ * });
+ */
+export class Projectile {
+	/** @type {Entity} */
+	entity;
+	/** @type {Entity | undefined} */
+	source;
+	/** Ticks since the projectile started being tracked. */
+	age = 0;
+	/** @type {ProjectileOptions} */
+	options;
+
+	/**
+	 * Starts tracking an already spawned projectile entity.
+	 * @param {Entity} entity The projectile entity.
+	 * @param {ProjectileOptions} [options={}]
+	 * @param {Entity} [source] The entity that shot the projectile.
+	 */
+	constructor(entity, options = {}, source = undefined) {
+		if (!(entity instanceof Entity) || !entity.isValid) {
+			throw new TypeError("Cannot track an invalid projectile entity.");
+		}
+		this.entity = entity;
+		this.options = options;
+		this.source = source ?? entity.getComponent(EntityComponentTypes.Projectile)?.owner;
+		tracked.set(entity, this);
+		tickRunId ??= system.runInterval(tickProjectiles);
+	}
+
+	/**
+	 * Spawns and shoots a projectile, then tracks it.
+	 * @param {string} typeId The projectile typeId, e.g. "minecraft:arrow".
+	 * @param {Entity} source The shooter. The projectile spawns in front of its head.
+	 * @param {import("@minecraft/server").Vector3} velocity The launch velocity, in blocks per tick.
+	 * @param {ProjectileOptions} [options={}]
+	 * @returns {Projectile}
+	 * @throws {RangeError} If the velocity is zero, as it gives no direction to shoot in.
+	 */
+	static shoot(typeId, source, velocity, options = {}) {
+		if (!(Vec3.magnitude(velocity) > 0)) {
+			throw new RangeError("The velocity of a shot projectile can't be zero.");
+		}
+		const head = source.getHeadLocation();
+		const spawnAt = Vec3.add(head, Vec3.normalize(velocity));
+		const entity = source.dimension.spawnEntity(typeId, spawnAt);
+		const component = entity.getComponent(EntityComponentTypes.Projectile);
+		if (component) {
+			component.owner = source;
+			component.shoot(velocity);
+		} else {
+			entity.applyImpulse(velocity);
+		}
+		return new Projectile(entity, options, source);
+	}
+
+	/**
+	 * Gets the tracked projectile of an entity.
+	 * @param {Entity} entity
+	 * @returns {Projectile | undefined}
+	 */
+	static get(entity) {
+		return tracked.get(entity);
+	}
+
+	/**
+	 * Whether the projectile is still tracked.
+	 * @type {boolean}
+	 */
+	get isActive() {
+		return tracked.get(this.entity) === this;
+	}
+
+	/**
+	 * Stops tracking the projectile. The entity is left as is.
+	 */
+	release() {
+		if (this.isActive) tracked.delete(this.entity);
+	}
+
+	/**
+	 * Advances the projectile by one tick. Called by the shared tick loop.
+	 */
+	tick() {
+		if (!this.entity.isValid) return this.release();
+		this.age++;
+		const { lifetime, target } = this.options;
+		if (lifetime !== undefined && this.age >= lifetime) {
+			this.release();
+			Projectile.#safeCall(this.options.onExpire, this);
+			if (this.entity.isValid) this.entity.remove();
+			return;
+		}
+		if (target) this.#steer(target);
+	}
+
+	/**
+	 * Handles a hit of the projectile. Called by the hit events.
+	 * @param {Omit<ProjectileHitEvent, "projectile">} event
+	 */
+	hit(event) {
+		this.release();
+		Projectile.#safeCall(this.options.onHit, { ...event, projectile: this });
+	}
+
+	#steer(target) {
+		const destination =
+			typeof target === "function"
+				? target()
+				: target instanceof Entity
+					? target.isValid
+						? target.getHeadLocation()
+						: undefined
+					: target;
+		if (!destination) return;
+
+		const velocity = this.entity.getVelocity();
+		const speed = this.options.speed ?? Vec3.magnitude(velocity);
+		if (!speed) return;
+		const toTarget = Vec3.subtract(destination, this.entity.location);
+		if (!Vec3.magnitude(toTarget)) return;
+
+		const turnRate = this.options.turnRate ?? 0.2;
+		const heading = Vec3.lerp(Vec3.normalize(velocity), Vec3.normalize(toTarget), turnRate);
+		// Heading straight away from the target cancels out, keep flying until the next tick.
+		if (!Vec3.magnitude(heading)) return;
+		const steered = Vec3.multiply(Vec3.normalize(heading), speed);
+		this.entity.clearVelocity();
+		this.entity.applyImpulse(steered);
+	}
+
+	static #safeCall(callback, argument) {
+		try {
+			callback?.(argument);
+		} catch (e) {
+			console.error("Projectile callback failed:", e);
+		}
+	}
+}
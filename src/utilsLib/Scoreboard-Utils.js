@@ -1,4 +1,5 @@
-import { system, world, DisplaySlotId, Player } from "@minecraft/server";
+import { system, world, DisplaySlotId, Player, ScoreboardIdentityType } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
 
 /**
  * Easier scoreboard manipulation
@@ -19,6 +20,148 @@ export class ScoreboardUtils {
 	}
 }
 
+/**
+ * @typedef {Object} RegisteredPlayer
+ * @property {string} id The player id.
+ * @property {string} name The last known name of the player.
+ * @property {number} [identity] The id of the scoreboard identity of the player, once they had a score.
+ * @property {number} lastSeen When the player last joined, in milliseconds since the epoch.
+ */
+
+/**
+ * Links players to their name and scoreboard identity, so scores of offline players can be found by name.
+ *
+ * Players are registered when they join, and their name is updated when it changed.
+ * A player gets a scoreboard identity with their first score, it is registered as soon as it exists.
+ *
+ * @example
+ * const steve = IdentityRegistry.getByName("Steve");
+ * if (steve) console.warn(`Steve was last seen ${new Date(steve.lastSeen).toDateString()}.`);
+ */
+export class IdentityRegistry {
+	static #database = new Database("identities");
+	/** @type {Map<string, string>} Player ids, by lowercase name. */
+	static #names = new Map();
+	/** @type {Map<number, string>} Player ids, by scoreboard identity id. */
+	static #identities = new Map();
+	/** @type {Set<Player>} Online players without a scoreboard identity yet. */
+	static #pending = new Set();
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => {
+			IdentityRegistry.#load();
+			for (const player of world.getAllPlayers()) IdentityRegistry.#register(player);
+		});
+		world.afterEvents.playerSpawn.subscribe(({ player, initialSpawn }) => {
+			if (initialSpawn) IdentityRegistry.#register(player);
+		});
+		world.afterEvents.playerLeave.subscribe(({ playerId }) => {
+			for (const player of IdentityRegistry.#pending) {
+				if (player.id === playerId) IdentityRegistry.#pending.delete(player);
+			}
+		});
+		system.runInterval(() => {
+			for (const player of IdentityRegistry.#pending) {
+				if (player.isValid && player.scoreboardIdentity) IdentityRegistry.#register(player);
+			}
+		}, 20);
+	}
+
+	/**
+	 * Gets a registered player by id.
+	 * @param {string} id
+	 * @returns {RegisteredPlayer | undefined}
+	 */
+	static getById(id) {
+		const entry = IdentityRegistry.#database.get(id);
+		return entry && { id, ...entry };
+	}
+
+	/**
+	 * Gets a registered player by their last known name, ignoring case.
+	 * @param {string} name
+	 * @returns {RegisteredPlayer | undefined}
+	 */
+	static getByName(name) {
+		const id = IdentityRegistry.#names.get(name.toLowerCase());
+		return id && IdentityRegistry.getById(id);
+	}
+
+	/**
+	 * Gets a registered player by the id of their scoreboard identity.
+	 * @param {number} identity
+	 * @returns {RegisteredPlayer | undefined}
+	 */
+	static getByIdentity(identity) {
+		const id = IdentityRegistry.#identities.get(identity);
+		return id && IdentityRegistry.getById(id);
+	}
+
+	/**
+	 * Lists every registered player.
+	 * @returns {RegisteredPlayer[]}
+	 */
+	static list() {
+		return IdentityRegistry.#database.keys().map((id) => IdentityRegistry.getById(id));
+	}
+
+	/**
+	 * Gets the scoreboard identity of a player, online or not.
+	 * @param {Player | string} player The player, or the name of a registered player.
+	 * @returns {import("@minecraft/server").ScoreboardIdentity | undefined}
+	 */
+	static getIdentity(player) {
+		if (player instanceof Player) return player.scoreboardIdentity;
+		const identity = IdentityRegistry.getByName(player)?.identity;
+		if (identity === undefined) return undefined;
+		return world.scoreboard.getParticipants().find((participant) => participant.id === identity);
+	}
+
+	/**
+	 * @param {Player} player
+	 */
+	static #register(player) {
+		const previous = IdentityRegistry.getById(player.id);
+		const identity = player.scoreboardIdentity?.id ?? previous?.identity;
+		if (previous && previous.name.toLowerCase() !== player.name.toLowerCase()) {
+			if (IdentityRegistry.#names.get(previous.name.toLowerCase()) === player.id) {
+				IdentityRegistry.#names.delete(previous.name.toLowerCase());
+			}
+		}
+		IdentityRegistry.#names.set(player.name.toLowerCase(), player.id);
+		if (identity !== undefined) IdentityRegistry.#identities.set(identity, player.id);
+		IdentityRegistry.#database.set(player.id, { name: player.name, identity, lastSeen: Date.now() });
+
+		if (player.scoreboardIdentity) IdentityRegistry.#pending.delete(player);
+		else IdentityRegistry.#pending.add(player);
+	}
+
+	/**
+	 * Indexes the registered players, and imports the `Name:<player id>:<identity>` properties
+	 * written by older versions.
+	 */
+	static #load() {
+		for (const key of world.getDynamicPropertyIds()) {
+			if (!key.startsWith("Name:")) continue;
+			const [, id, identity] = key.match(/^Name:([^:]*):(.*)$/) ?? [];
+			const name = world.getDynamicProperty(key);
+			world.setDynamicProperty(key, undefined);
+			if (!id || typeof name !== "string" || IdentityRegistry.#database.has(id)) continue;
+			let identityId;
+			try {
+				identityId = JSON.parse(identity)?.id;
+			} catch {}
+			IdentityRegistry.#database.set(id, { name, identity: identityId, lastSeen: 0 });
+		}
+
+		const entries = IdentityRegistry.list().sort((a, b) => a.lastSeen - b.lastSeen);
+		for (const entry of entries) {
+			IdentityRegistry.#names.set(entry.name.toLowerCase(), entry.id);
+			if (entry.identity !== undefined) IdentityRegistry.#identities.set(entry.identity, entry.id);
+		}
+	}
+}
+
 /**
  * A advanced custom scoreboard class used to help Creators manage their scoreboards easily.
  *
@@ -147,142 +290,75 @@ export class CustomScoreboard {
 	/**
 	 * Gets the specified player's score from the scoreboard without the player having to be online.
 	 * @param {string} plrName - The name of the player
-	 * @returns {number} The score or 0, or an error if the player does not exist or the objective does not exist.
+	 * @returns {number} The score or 0, or null if the objective does not exist.
 	 */
 	getScoreOffline(plrName) {
 		if (!this.objective) {
 			console.warn(`Objective ${this.objectiveName} does not exist.`);
 			return null;
 		}
-		//    world.setDynamicProperty(`Name:${player.id}:${JSON.stringify(player.scoreboardIdentity)}`, player.name);
-
-		const dynamicIds = Object.keys(world.getDynamicPropertyIds());
-
-		const foundEntry = dynamicIds
-			.filter((entry) => entry.startsWith("Name:"))
-			.find((entry) => {
-				const id = entry.split(":")[1];
-
-				const identityStart = id.indexOf("{");
-				if (identityStart === -1) return false;
-
-				let identity;
-				try {
-					const identityJSON = id.substring(identityStart);
-					const parsedIdentity = JSON.parse(identityJSON);
-					identity = parsedIdentity.id;
-				} catch {
-					return false;
-				}
-
-				const playerName = world.getDynamicProperty(`Name:${id}:{"id":${identity}}`);
-
-				const data = this.objective.getScores().find((scoreEntry) => {
-					scoreEntry.participant.id === id && playerName === plrName;
-				});
-
-				return !!data; //Just Boolean() but a better shortcut
-			});
-
-		let score = 0;
-		if (foundEntry) {
-			const id = foundEntry.split(":")[1];
-			const identityJSON = id.substring(id.indexOf("{"));
-			const parsedIdentity = JSON.parse(identityJSON);
-			const identity = parsedIdentity.id;
-
-			const playerName = world.getDynamicProperty(`Name:${id}:{"id":${identity}}`);
-
-			const data = this.objective.getScores().find((scoreEntry) => {
-				scoreEntry.participant.id === id && playerName === plrName;
-			});
-
-			if (data) score = data.score;
-		}
-
-		return score;
+		const identity = IdentityRegistry.getIdentity(plrName);
+		if (!identity) return 0;
+		return this.objective.getScore(identity) ?? 0;
 	}
 	/**
 	 *
-	 * @returns This returns a mapped array of all the player names on the scoreboard.
+	 * @returns This returns a mapped array of all the player names on the scoreboard, including offline players.
 	 * - Example: NeoTheCool1585,NeoTheCool1585(2)
 	 */
 	listPlayers() {
-		const names = [];
-
-		const dynamicIds = world.getDynamicPropertyIds();
-		const scoreParticipantIds = new Set(
-			this.objective.getScores().map((score) => score.participant.id),
-		);
-
-		for (const id of dynamicIds) {
-			if (!id.startsWith("Name:")) continue;
-
-			const identityStart = id.indexOf("{");
-			if (identityStart === -1) continue;
-
-			let identity;
-			try {
-				const identityJson = id.substring(identityStart);
-				const parsedIdentity = JSON.parse(identityJson);
-				identity = parsedIdentity.id;
-			} catch {
-				continue;
-			}
-
-			if (!scoreParticipantIds.has(identity)) continue;
-
-			const playerName = world.getDynamicProperty(id);
-			if (playerName) {
-				names.push(playerName);
-			}
-		}
-
-		return names;
+		return this.grabEveryValueAndName().map((entry) => entry.name);
 	}
 	/**
 	 *
-	 * @returns Return every single player name and their coresponding score on the scoreboard.
-	 * - Example: { name: 'NeoTheCool1585', 'NeoTheCool1585(2)', score: 100, 120 }
+	 * @returns Return every single player name and their coresponding score on the scoreboard, including offline players.
+	 * - Example: [{ id: '-4294967295', name: 'NeoTheCool1585', score: 100 }]
 	 */
 	grabEveryValueAndName() {
 		const results = [];
-		const dynamicIds = world.getDynamicPropertyIds();
-
-		//Preprocess scores into a Map for fast lookup
-		const scoreMap = new Map();
-		for (const scoreEntry of this.objective.getScores()) {
-			scoreMap.set(scoreEntry.participant.id, scoreEntry.score);
-		}
-
-		for (const id of dynamicIds) {
-			if (!id.startsWith("Name:")) continue;
-
-			const parts = id.split(":");
-			if (parts.length < 2) continue;
-
-			const identityStart = id.indexOf("{");
-			if (identityStart === -1) continue;
-
-			let identity;
-			try {
-				const identityJSON = id.substring(identityStart);
-				const parsedIdentity = JSON.parse(identityJSON);
-				identity = parsedIdentity.id;
-			} catch {
-				continue;
-			}
-
-			const score = scoreMap.get(identity);
-			if (score === undefined) continue;
-
-			const playerName = world.getDynamicProperty(id);
-			results.push({ name: playerName, score });
+		for (const { participant, score } of this.objective.getScores()) {
+			if (participant.type !== ScoreboardIdentityType.Player) continue;
+			const registered = IdentityRegistry.getByIdentity(participant.id);
+			if (!registered) continue;
+			results.push({ id: registered.id, name: registered.name, score });
 		}
-
 		return results;
 	}
 	/**
+	 * Gets the objective and every score in it, with the names of players, including offline players.
+	 * @returns {{ id: string, displayName: string, scores: { name: string, type: string, playerId?: string, score: number }[] }}
+	 */
+	toJSON() {
+		return {
+			id: this.objective.id,
+			displayName: this.objective.displayName,
+			scores: this.objective.getScores().map(({ participant, score }) => {
+				const registered =
+					participant.type === ScoreboardIdentityType.Player
+						? IdentityRegistry.getByIdentity(participant.id)
+						: undefined;
+				return registered
+					? { name: registered.name, type: participant.type, playerId: registered.id, score }
+					: { name: participant.displayName, type: participant.type, score };
+			}),
+		};
+	}
+	/**
+	 * Exports objectives and their scores to JSON, with the names of players, including offline players.
+	 * @param {string[]} [objectiveIds] The objectives to export, all of them if not specified.
+	 * @returns {string} A JSON array of objectives, see {@link CustomScoreboard.toJSON}.
+	 *
+	 * @example
+	 * console.warn(CustomScoreboard.exportObjectives(["money", "kills"]));
+	 */
+	static exportObjectives(objectiveIds) {
+		const ids = objectiveIds ?? world.scoreboard.getObjectives().map((objective) => objective.id);
+		const objectives = ids
+			.map((id) => new CustomScoreboard(id))
+			.filter((scoreboard) => scoreboard.objective);
+		return JSON.stringify(objectives);
+	}
+	/**
      * 
      * @param {number} amount - The top amount of players you would like to recieve. 
      * @returns An array of the top players with their scores and names.
@@ -305,19 +381,6 @@ export const getScore = (player, objective) => {
 	return new CustomScoreboard(objective).getScore(player);
 };
 
-system.runInterval(() => {
-	for (const player of world.getAllPlayers()) {
-		const joined = world.getDynamicProperty(`Name:${player.id}:${player.scoreboardIdentity}`);
-		if (joined == undefined || joined !== player.name) {
-			world.setDynamicProperty(
-				`Name:${player.id}:${JSON.stringify(player.scoreboardIdentity)}`,
-				player.name,
-			);
-		}
-	}
-});
-
-
 /**
  * @description Creates a proxy object to manage the target's scores in the Minecraft scoreboard.
  * @example
@@ -340,9 +403,9 @@ system.runInterval(() => {
  * @author `Remember M9`  26/07/2025
  */
 export const scores = (() => {
-    const sb = mc.world.scoreboard, map = new Map(), getObjective = o =>
+    const map = new Map(), getObjective = o =>
         (map.get(typeof o !== "symbol" ? o : (o = o.description)))?.isValid ? map.get(o)
-            : map.set(o, sb.getObjective(o) ?? sb.addObjective(o, o)).get(o);
+            : map.set(o, world.scoreboard.getObjective(o) ?? world.scoreboard.addObjective(o, o)).get(o);
     /**
      * @returns {{[objective:string]:number}} A proxy object that allows checking, getting, setting, and deleting target's score.
      * @param {Player|Entity|string} target - The target whose score is to be managed.
@@ -350,7 +413,7 @@ export const scores = (() => {
     return target => {
         const identity = map.get(target)?.isValid ? map.get(target)
             : (map.set(target, typeof target == "string"
-                ? sb.getParticipants().findLast(p => p.type !== "Player" && p.displayName === target)
+                ? world.scoreboard.getParticipants().findLast(p => p.type !== "Player" && p.displayName === target)
                 : target.scoreboardIdentity).get(target));
         return new Proxy(Object.create(null), {
             has: (_, obj) => getObjective(obj).hasParticipant(identity ?? (target || "")),
@@ -0,0 +1,279 @@
+import { world } from "@minecraft/server";
+import { TaskScheduler } from "./TickScheduler.js";
+import { Database } from "./Databases/Database.js";
+
+/**
+ * What to do with a real-time task that came due while the world was offline.
+ */
+export const MissedTaskPolicy = {
+	/** Run the task once when the world loads, the handler receives how many runs were missed. */
+	Run: "run",
+	/** Drop the missed runs, repeating tasks continue at their next future run. */
+	Skip: "skip",
+};
+
+/**
+ * Dynamic property holding the amount of ticks the registry has been running, across reloads.
+ */
+const CLOCK_PROPERTY = "taskRegistry:clock";
+
+/**
+ * Ticks between two saves of the registry clock.
+ */
+const CLOCK_SAVE_RATE = 20;
+
+/**
+ * @typedef {Object} TaskRecord
+ * @property {string} key Key of the handler to run.
+ * @property {any} data JSON data passed to the handler.
+ * @property {boolean} realTime Whether the task follows the real-world clock instead of game ticks.
+ * @property {number} due Registry tick, or epoch milliseconds for real-time tasks, of the next run.
+ * @property {number} [interval] Ticks, or milliseconds for real-time tasks, between runs of a repeating task.
+ * @property {string} missed One of the {@link MissedTaskPolicy} values.
+ * @property {number} runs The amount of times the task has run.
+ */
+
+/**
+ * @typedef {Object} TaskInfo
+ * @property {string} name
+ * @property {string} key
+ * @property {any} data
+ * @property {boolean} realTime
+ * @property {number} remaining Ticks, or milliseconds for real-time tasks, until the next run.
+ * @property {number} [interval]
+ * @property {string} missed
+ * @property {number} runs
+ */
+
+/**
+ * @callback TaskHandler
+ * @param {any} data The data the task was scheduled with.
+ * @param {{ name: string, runs: number, missed: number }} info The task name, how many times it ran before, and how many runs were missed while the world was offline.
+ */
+
+/**
+ * A registry of named tasks that survive world reloads.
+ *
+ * Tasks are saved to world dynamic properties and point to a handler by key, since closures can't be saved.
+ * Define the handlers when your script loads, the saved tasks are picked back up on `worldLoad`.
+ *
+ * Tick tasks count ticks the world was running, so they pause while it is offline.
+ * Real-time tasks follow the real-world clock, and runs that came due while the world was offline
+ * are handled according to their {@link MissedTaskPolicy}.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { TaskRegistry } from "./TaskRegistry.js";
+ *
+ * TaskRegistry.define("unban", ({ playerId }) => bans.delete(playerId));
+ * TaskRegistry.define("despawnCrate", ({ id }) => world.getEntity(id)?.remove());
+ *
+ * -// Real-world time, runs on load if the world was offline when it came due
+ * TaskRegistry.schedule(`unban:${player.id}`, "unban", {
+ *     data: { playerId: player.id },
+ *     after: 3 * 24 * 60 * 60 * 1000,
+ * });
+ *
+ * -// Game ticks, 10 minutes of the world running
+ * TaskRegistry.schedule(`crate:${crate.id}`, "despawnCrate", { data: { id: crate.id }, ticks: 12000 });
+ *
+ * TaskRegistry.cancel(`unban:${player.id}`);
+ */
+export class TaskRegistry {
+	/** @type {Map<string, TaskHandler>} */
+	static #handlers = new Map();
+	/** @type {Map<string, TaskRecord>} */
+	static #tasks = new Map();
+	/** @type {Map<string, number>} Missed run counts of the tasks rehydrated on load. */
+	static #missed = new Map();
+	/** @type {Set<string>} Tasks already warned about for having no handler. */
+	static #warned = new Set();
+	static #database = new Database("tasks");
+	static #clock = 0;
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => TaskRegistry.#load());
+	}
+
+	/**
+	 * Registers the handler run by tasks scheduled with `key`.
+	 * @param {string} key The handler key.
+	 * @param {TaskHandler} handler The function to run.
+	 * @throws {Error} If a handler is already defined for the key.
+	 */
+	static define(key, handler) {
+		if (TaskRegistry.#handlers.has(key)) {
+			throw new Error(`A task handler is already defined for <${key}>.`);
+		}
+		TaskRegistry.#handlers.set(key, handler);
+	}
+
+	/**
+	 * Schedules a named task, replacing any task with the same name.
+	 * @param {string} name The unique name of the task.
+	 * @param {string} key The key of the handler to run.
+	 * @param {Object} options When to run the task. Pass one of `ticks`, `after` or `at`.
+	 * @param {number} [options.ticks] Game ticks until the task runs.
+	 * @param {number} [options.after] Real-world milliseconds until the task runs.
+	 * @param {Date | number} [options.at] Real-world date, or epoch milliseconds, to run the task at.
+	 * @param {number} [options.interval] Repeats the task, in ticks for tick tasks and milliseconds for real-time tasks.
+	 * @param {any} [options.data] JSON serializable data passed to the handler.
+	 * @param {string} [options.missed=MissedTaskPolicy.Run] What to do with runs missed while the world was offline.
+	 * @returns {TaskInfo}
+	 * @throws {TypeError} If none or several of `ticks`, `after` and `at` are given.
+	 */
+	static schedule(name, key, options) {
+		const { ticks, after, at, interval, data, missed = MissedTaskPolicy.Run } = options;
+		if ([ticks, after, at].filter((value) => value !== undefined).length !== 1) {
+			throw new TypeError(`Task <${name}> needs exactly one of ticks, after or at.`);
+		}
+		if (interval !== undefined && !(interval > 0)) {
+			throw new RangeError(`Task <${name}> interval must be positive, received ${interval}.`);
+		}
+		const realTime = ticks === undefined;
+		const due = realTime
+			? at !== undefined
+				? Number(at)
+				: Date.now() + after
+			: TaskRegistry.#clock + Math.max(1, ticks);
+
+		/** @type {TaskRecord} */
+		const record = { key, data, realTime, due, interval, missed, runs: 0 };
+		TaskRegistry.#tasks.set(name, record);
+		TaskRegistry.#missed.delete(name);
+		TaskRegistry.#warned.delete(name);
+		TaskRegistry.#database.set(name, record);
+		return TaskRegistry.#info(name, record);
+	}
+
+	/**
+	 * Cancels a task.
+	 * @param {string} name The name of the task.
+	 * @returns {boolean} `true` if the task existed.
+	 */
+	static cancel(name) {
+		if (!TaskRegistry.#tasks.delete(name)) return false;
+		TaskRegistry.#missed.delete(name);
+		TaskRegistry.#database.delete(name);
+		return true;
+	}
+
+	/**
+	 * Checks if a task is scheduled.
+	 * @param {string} name The name of the task.
+	 * @returns {boolean}
+	 */
+	static has(name) {
+		return TaskRegistry.#tasks.has(name);
+	}
+
+	/**
+	 * Gets the state of a task.
+	 * @param {string} name The name of the task.
+	 * @returns {TaskInfo | undefined}
+	 */
+	static inspect(name) {
+		const record = TaskRegistry.#tasks.get(name);
+		return record && TaskRegistry.#info(name, record);
+	}
+
+	/**
+	 * Lists the scheduled tasks.
+	 * @param {string} [key] Only list the tasks running this handler.
+	 * @returns {TaskInfo[]}
+	 */
+	static list(key) {
+		const list = [];
+		for (const [name, record] of TaskRegistry.#tasks) {
+			if (key === undefined || record.key === key) list.push(TaskRegistry.#info(name, record));
+		}
+		return list;
+	}
+
+	static #info(name, record) {
+		const now = record.realTime ? Date.now() : TaskRegistry.#clock;
+		const { key, data, realTime, interval, missed, runs } = record;
+		return {
+			name,
+			key,
+			data,
+			realTime,
+			remaining: Math.max(0, record.due - now),
+			interval,
+			missed,
+			runs,
+		};
+	}
+
+	static #load() {
+		TaskRegistry.#clock = world.getDynamicProperty(CLOCK_PROPERTY) ?? 0;
+		// Tick tasks scheduled before the world loaded counted from 0, move them onto the saved clock.
+		for (const [name, record] of TaskRegistry.#tasks) {
+			if (record.realTime) continue;
+			record.due += TaskRegistry.#clock;
+			TaskRegistry.#database.set(name, record);
+		}
+		const now = Date.now();
+		for (const [name, record] of TaskRegistry.#database.entries()) {
+			// Tasks scheduled before the world loaded are newer than the saved ones.
+			if (TaskRegistry.#tasks.has(name)) continue;
+			TaskRegistry.#tasks.set(name, record);
+			if (!record.realTime || record.due > now) continue;
+
+			const missed = record.interval ? Math.floor((now - record.due) / record.interval) + 1 : 1;
+			if (record.missed !== MissedTaskPolicy.Skip) {
+				TaskRegistry.#missed.set(name, missed);
+			} else if (record.interval) {
+				record.due += missed * record.interval;
+				TaskRegistry.#database.set(name, record);
+			} else {
+				TaskRegistry.cancel(name);
+			}
+		}
+		TaskScheduler.runInterval(() => TaskRegistry.#tick(), 1);
+	}
+
+	static #tick() {
+		if (++TaskRegistry.#clock % CLOCK_SAVE_RATE === 0) {
+			world.setDynamicProperty(CLOCK_PROPERTY, TaskRegistry.#clock);
+		}
+		const now = Date.now();
+		for (const [name, record] of TaskRegistry.#tasks) {
+			if (record.due > (record.realTime ? now : TaskRegistry.#clock)) continue;
+			TaskRegistry.#run(name, record, now);
+		}
+	}
+
+	static #run(name, record, now) {
+		const handler = TaskRegistry.#handlers.get(record.key);
+		if (!handler) {
+			if (!TaskRegistry.#warned.has(name)) {
+				TaskRegistry.#warned.add(name);
+				console.warn(`Task <${name}> is due but no handler is defined for <${record.key}>.`);
+			}
+			return;
+		}
+		const missed = TaskRegistry.#missed.get(name) ?? 0;
+		const runs = record.runs;
+		TaskRegistry.#missed.delete(name);
+
+		if (record.interval) {
+			// Repeating tasks move to their next future run, so a lag spike doesn't run them in a burst.
+			const current = record.realTime ? now : TaskRegistry.#clock;
+			record.due +=
+				Math.max(1, Math.ceil((current - record.due) / record.interval)) * record.interval;
+			record.runs++;
+			TaskRegistry.#database.set(name, record);
+		} else {
+			TaskRegistry.cancel(name);
+		}
+
+		try {
+			handler(record.data, { name, runs, missed });
+		} catch (e) {
+			console.error(`Task <${name}> failed:`, e);
+			// The handler may have scheduled a new task under the same name.
+			if (TaskRegistry.#tasks.get(name) === record) TaskRegistry.cancel(name);
+		}
+	}
+}
@@ -1,4 +1,4 @@
-import { system } from "@minecraft/server";
+import { system, world } from "@minecraft/server";
 
 /**
  * Enums for task statuses.
@@ -12,6 +12,100 @@ export const TaskStatus = {
   Aborted: "aborted",
 };
 
+/**
+ * Shortcuts accepted in place of a cron expression.
+ */
+const cronMacros = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+/**
+ * Bounds and value names of the five cron fields: minute, hour, day of month, month, day of week.
+ */
+const cronFields = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  {
+    min: 1,
+    max: 12,
+    names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+  },
+  { min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+/**
+ * Parses a single cron field into the set of values it matches.
+ * @param {string} text The field, e.g. `*`, `5`, `1-5`, `mon-fri`, `*\/15` or `0,30`.
+ * @param {{ min: number, max: number, names?: string[] }} field The bounds of the field.
+ * @returns {Set<number>}
+ */
+function parseCronField(text, { min, max, names }) {
+  const toNumber = (value) => {
+    const index = names?.indexOf(value.toLowerCase()) ?? -1;
+    const number = index === -1 ? Number(value) : index + (min === 0 ? 0 : 1);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`Invalid cron value <${value}>, expected ${min}-${max}.`);
+    }
+    return number;
+  };
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step <${stepText}>.`);
+    let [start, end] = range === "*" ? [min, max] : range.split("-").map(toNumber);
+    if (end === undefined) end = stepText === undefined ? start : max;
+    if (start > end) throw new Error(`Invalid cron range <${range}>.`);
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a 5 field cron expression (`minute hour day-of-month month day-of-week`).
+ * @param {string} expression The cron expression or one of the `@daily` style macros.
+ * @returns {(date: Date, utc: boolean) => boolean} Checks if a date matches the expression.
+ * @throws {Error} If the expression is invalid.
+ */
+function parseCron(expression) {
+  const parts = (cronMacros[expression.trim()] ?? expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression <${expression}>, expected 5 fields.`);
+  }
+  const [minutes, hours, days, months, weekDays] = parts.map((part, i) =>
+    parseCronField(part, cronFields[i])
+  );
+  if (weekDays.delete(7)) weekDays.add(0);
+  // Like standard cron, a day matches either field when both day fields are restricted.
+  const anyDay = parts[2] !== "*" && parts[4] !== "*";
+
+  return (date, utc) => {
+    const dayMatch = utc ? days.has(date.getUTCDate()) : days.has(date.getDate());
+    const weekDayMatch = weekDays.has(utc ? date.getUTCDay() : date.getDay());
+    return (
+      minutes.has(utc ? date.getUTCMinutes() : date.getMinutes()) &&
+      hours.has(utc ? date.getUTCHours() : date.getHours()) &&
+      months.has((utc ? date.getUTCMonth() : date.getMonth()) + 1) &&
+      (anyDay ? dayMatch || weekDayMatch : dayMatch && weekDayMatch)
+    );
+  };
+}
+
+/**
+ * @typedef {Object} TaskOptions
+ * @property {number} [maxRuns] Completes the task after it ran this many times. Defaults to no limit for intervals.
+ * @property {number} [jitter] Randomly shifts each delay by up to this many ticks, earlier or later.
+ * @property {() => boolean} [trigger] Condition checked every tick that replaces the tick delay, the task runs each tick it returns `true`.
+ * It is also called while the task is paused, so time-based triggers skip what they missed.
+ */
+
 /**
  * TaskScheduler schedules and manages tasks allowing to pause, resume, or abort tasks.
  *
@@ -34,6 +128,18 @@ export const TaskStatus = {
  * }, 30).onComplete(() => {
  *   console.warn("The task has completed successfully");
  * });
+ *
+ * TaskScheduler.runInterval(() => {
+ *   console.warn("Runs 5 times, every 100 ticks give or take 20");
+ * }, 100, { maxRuns: 5, jitter: 20 });
+ *
+ * TaskScheduler.runAtTimeOfDay(() => {
+ *   world.sendMessage("Good morning!");
+ * }, TimeOfDay.Sunrise);
+ *
+ * TaskScheduler.runCron(() => {
+ *   world.sendMessage("Daily reset");
+ * }, "0 4 * * *"); // Every day at 04:00, server time
  * 
  */
 export class TaskScheduler {
@@ -45,39 +151,118 @@ export class TaskScheduler {
   #status = TaskStatus.Pending;
   #paused = false;
   #completeCallbacks = [];
+  #maxRuns;
+  #jitter;
+  #trigger;
+  #runs = 0;
 
-  constructor(callback, delay, isInterval) {
+  /**
+   * @param {() => void} callback Function to run.
+   * @param {number} delay Number of ticks before each run.
+   * @param {boolean} isInterval Whether the task repeats.
+   * @param {TaskOptions} [options={}]
+   */
+  constructor(callback, delay, isInterval, options = {}) {
     this.#callback = callback;
     this.#delay = Math.max(1, delay);
     this.#isInterval = Boolean(isInterval);
-    this.#ticksRemaining = this.#delay;
-    this.#status = TaskStatus.Running;
-
-    if (this.#isInterval) {
-      this.#id = system.runInterval(() => this.#tick(), 1);
-    } else {
-      this.#id = system.runTimeout(() => this.#executeOnce(), this.#delay);
+    this.#maxRuns = this.#isInterval ? options.maxRuns ?? Infinity : 1;
+    this.#jitter = Math.max(0, Math.floor(options.jitter ?? 0));
+    this.#trigger = options.trigger;
+    if (!(this.#maxRuns >= 1)) {
+      throw new RangeError(`maxRuns must be at least 1, received ${options.maxRuns}.`);
     }
+    this.#ticksRemaining = this.#nextDelay();
+    this.#status = TaskStatus.Running;
+    this.#id = system.runInterval(() => this.#tick(), 1);
   }
 
   /**
    * Creates a repeating task that runs every `delay` ticks.
    * @param {() => void} callback Function to run each time.
    * @param {number} delay Number of ticks between runs.
+   * @param {TaskOptions} [options] Run limit and jitter of the task.
    * @returns {TaskScheduler} A TaskScheduler instance.
    */
-  static runInterval(callback, delay = 1) {
-    return new TaskScheduler(callback, delay, true);
+  static runInterval(callback, delay = 1, options = {}) {
+    return new TaskScheduler(callback, delay, true, options);
   }
 
   /**
    * Creates a task that runs once after `delay` ticks.
    * @param {() => void} callback Function to run once.
    * @param {number} delay Number of ticks to wait.
+   * @param {TaskOptions} [options] Jitter of the task.
    * @returns {TaskScheduler} A TaskScheduler instance.
    */
-  static runTimeout(callback, delay = 1) {
-    return new TaskScheduler(callback, delay, false);
+  static runTimeout(callback, delay = 1, options = {}) {
+    return new TaskScheduler(callback, delay, false, options);
+  }
+
+  /**
+   * Creates a task that runs once when `system.currentTick` reaches `tick`.
+   * If that tick has already passed, the task runs on the next tick.
+   * @param {() => void} callback Function to run once.
+   * @param {number} tick The tick to run at.
+   * @returns {TaskScheduler} A TaskScheduler instance.
+   */
+  static runAtTick(callback, tick) {
+    return new TaskScheduler(callback, 1, false, { trigger: () => system.currentTick >= tick });
+  }
+
+  /**
+   * Creates a repeating task that runs each time the world time of day reaches `time`,
+   * including when it is skipped over by sleeping or `/time set`.
+   * @param {() => void} callback Function to run each time.
+   * @param {number} time The time of day, from 0 to 23999. See the `TimeOfDay` constants in World-Utils.js.
+   * @param {TaskOptions} [options] Run limit of the task.
+   * @returns {TaskScheduler} A TaskScheduler instance.
+   * @throws {RangeError} If the time is outside of a day.
+   */
+  static runAtTimeOfDay(callback, time, options = {}) {
+    if (!(time >= 0 && time < 24000)) {
+      throw new RangeError(`Time of day must be between 0 and 23999, received ${time}.`);
+    }
+    let last;
+    const trigger = () => {
+      const now = world.getTimeOfDay();
+      const previous = last ?? now;
+      last = now;
+      if (previous < now) return previous < time && time <= now;
+      // The day wrapped around since the last tick.
+      if (previous > now) return time > previous || time <= now;
+      return false;
+    };
+    return new TaskScheduler(callback, 1, true, { ...options, trigger });
+  }
+
+  /**
+   * Creates a repeating task that runs on the real-world clock, following a cron expression.
+   *
+   * The expression has 5 fields: `minute hour day-of-month month day-of-week`, each accepting
+   * `*`, values, ranges (`1-5`), lists (`0,30`), steps (`*\/15`) and month or day names (`mon-fri`).
+   * The macros `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` are accepted too.
+   * @param {() => void} callback Function to run each time.
+   * @param {string} expression The cron expression.
+   * @param {TaskOptions & { utc?: boolean }} [options] Run limit of the task, and whether to use UTC instead of the server time zone.
+   * @returns {TaskScheduler} A TaskScheduler instance.
+   * @throws {Error} If the expression is invalid.
+   */
+  static runCron(callback, expression, options = {}) {
+    const matches = parseCron(expression);
+    const utc = Boolean(options.utc);
+    let lastMinute;
+    const trigger = () => {
+      const minute = Math.floor(Date.now() / 60000);
+      const previous = lastMinute ?? minute;
+      lastMinute = minute;
+      // Minutes skipped by a lag spike still count, up to an hour back, but only run once.
+      for (let m = Math.max(previous + 1, minute - 59); m <= minute; m++) {
+        if (matches(new Date(m * 60000), utc)) return true;
+      }
+      return false;
+    };
+    return new TaskScheduler(callback, 1, true, { ...options, trigger });
   }
 
  /**
@@ -88,6 +273,14 @@ export class TaskScheduler {
     return this.#status;
   }
 
+  /**
+   * The number of times the task has run.
+   * @returns {number}
+   */
+  get runCount() {
+    return this.#runs;
+  }
+
   /**
    * Pauses the task if it is currently running.
    * @throws {Error} If the task is already paused or not running.
@@ -148,39 +341,53 @@ export class TaskScheduler {
   }
 
   /**
-   * Internal tick loop for interval tasks.
+   * Internal tick loop shared by every kind of task.
    * @private
    */
   #tick() {
-    if (this.#paused || this.#status !== TaskStatus.Running) return;
-    if (--this.#ticksRemaining <= 0) {
-      try {
-        this.#callback();
-        this.#ticksRemaining = this.#delay;
-      } catch (e) {
-        console.error("Interval task failed:", e);
-        this.#status = TaskStatus.Failed;
-        this.abort();
-      }
+    if (this.#status === TaskStatus.Paused) {
+      this.#trigger?.();
+      return;
     }
-  }
-
-  /**
-   * Execution path for one-time tasks.
-   * @private
-   */
-  #executeOnce() {
-    if (this.#paused || this.#status !== TaskStatus.Running) return;
+    if (this.#status !== TaskStatus.Running || !this.#isDue()) return;
+    this.#runs++;
     try {
       this.#callback();
-      this.#status = TaskStatus.Completed;
-      this.#runOnComplete();
     } catch (e) {
-      console.error("Timeout task failed:", e);
+      console.error(`${this.#isInterval ? "Interval" : "Timeout"} task failed:`, e);
       this.#status = TaskStatus.Failed;
-    } finally {
       this.abort();
+      return;
     }
+    // The callback may have aborted the task itself.
+    if (this.#id === undefined) return;
+    if (this.#runs >= this.#maxRuns) {
+      this.#status = TaskStatus.Completed;
+      this.abort();
+      this.#runOnComplete();
+    }
+  }
+
+  /**
+   * Checks if the task should run this tick.
+   * @private
+   * @returns {boolean}
+   */
+  #isDue() {
+    if (this.#trigger) return this.#trigger();
+    if (--this.#ticksRemaining > 0) return false;
+    this.#ticksRemaining = this.#nextDelay();
+    return true;
+  }
+
+  /**
+   * Picks the amount of ticks until the next run, applying the jitter.
+   * @private
+   * @returns {number}
+   */
+  #nextDelay() {
+    const offset = Math.floor(Math.random() * (this.#jitter * 2 + 1)) - this.#jitter;
+    return Math.max(1, this.#delay + offset);
   }
 
   /**
@@ -0,0 +1,560 @@
+import { world, Player, ItemStack } from "@minecraft/server";
+import { Database } from "./Databases/Database.js";
+import { EventSignal } from "./Custom-Events.js";
+import { InventoryUtils } from "./Inventory-Utils.js";
+import { ItemStackUtils } from "./Itemstack-Utils.js";
+import { MiscUtils } from "./Misc-Utils.js";
+
+/**
+ * The states of a trade session.
+ */
+export const TradeState = Object.freeze({
+	Open: "open",
+	Completed: "completed",
+	Cancelled: "cancelled",
+});
+
+/**
+ * @typedef {Object} TradeOffer
+ * @property {ItemStack[]} items Copies of the offered items.
+ * @property {number} currency The offered currency.
+ * @property {boolean} confirmed Whether the player confirmed the trade as it is.
+ */
+
+/**
+ * @typedef {Object} TradeLogEntry
+ * @property {string} id The id of the trade session.
+ * @property {number} time When the trade ended, in milliseconds since the epoch.
+ * @property {"completed" | "cancelled"} state
+ * @property {string} [reason] Why the trade was cancelled.
+ * @property {string} [currency] The scoreboard objective of the currency.
+ * @property {{ id: string, name: string, items: { typeId: string, amount: number, nameTag?: string }[], currency: number }[]} parties
+ */
+
+/**
+ * @typedef {Object} TradeEndEvent
+ * @property {TradeSession} session
+ * @property {boolean} completed Whether the items were exchanged.
+ * @property {string} [reason] Why the trade was cancelled.
+ */
+
+/**
+ * @typedef {Object} Party
+ * @property {string} id
+ * @property {string} name
+ * @property {Player} player
+ * @property {ItemStack[]} items The items in escrow.
+ * @property {number} currency The currency in escrow.
+ * @property {boolean} confirmed
+ */
+
+/**
+ * Open trades and refunds of players who left, and the trade log. They hold items taken from players, so they
+ * are saved right away instead of in the background.
+ */
+const database = new Database("trades");
+/** @type {Map<string, TradeSession>} Open sessions, by player id. */
+const sessions = new Map();
+
+/**
+ * Gives items to a player, dropping at their feet what doesn't fit in the inventory.
+ * @param {Player} player
+ * @param {ItemStack[]} items
+ */
+function giveItems(player, items) {
+	const container = InventoryUtils.getInventory(player);
+	for (const item of items) {
+		const leftover = container.addItem(item);
+		if (leftover) player.dimension.spawnItem(leftover, player.location);
+	}
+}
+
+/**
+ * Gives escrowed items and currency back, right away if the player is online, or when they join again.
+ * @param {string} playerId
+ * @param {Player | undefined} player The player, if online.
+ * @param {{ items: ItemStack[], currency: number, objective?: string }} escrow
+ */
+function refund(playerId, player, escrow) {
+	if (player) {
+		giveItems(player, escrow.items);
+		if (escrow.currency > 0) {
+			world.scoreboard.getObjective(escrow.objective)?.addScore(player, escrow.currency);
+		}
+		return;
+	}
+	if (!escrow.items.length && !escrow.currency) return;
+	const pending = database.get(`refund:${playerId}`) ?? [];
+	pending.push({
+		items: escrow.items.map((item) => ItemStackUtils.stringifyItem(item)),
+		currency: escrow.currency,
+		objective: escrow.objective,
+	});
+	database.set(`refund:${playerId}`, pending);
+	database.save();
+}
+
+/**
+ * Forgets an ended trade and writes it to the log.
+ * @param {TradeSession} session
+ * @param {TradeLogEntry} entry
+ */
+function close(session, entry) {
+	for (const player of session.players) sessions.delete(player.id);
+	database.delete(`escrow:${session.id}`);
+	const log = database.get("log") ?? [];
+	log.push(entry);
+	if (log.length > Trading.maxLogEntries) log.splice(0, log.length - Trading.maxLogEntries);
+	database.set("log", log);
+	database.save();
+}
+
+/**
+ * A trade between two players, created with {@link Trading.open}.
+ *
+ * Offered items and currency are moved out of the player inventory and scores into an escrow,
+ * so they can't be dropped, moved or spent while the other player decides.
+ * Any change to an offer clears both confirmations, and the exchange happens once both players confirmed.
+ * Cancelling the trade gives everything in escrow back.
+ */
+export class TradeSession {
+	#id = MiscUtils.generateUUID();
+	#state = TradeState.Open;
+	#objective;
+	/** @type {Party[]} */
+	#parties;
+
+	/**
+	 * @param {Player} player
+	 * @param {Player} otherPlayer
+	 * @param {string} [objective] The scoreboard objective of the currency.
+	 * @hideconstructor
+	 */
+	constructor(player, otherPlayer, objective) {
+		this.#objective = objective;
+		this.#parties = [player, otherPlayer].map((p) => ({
+			id: p.id,
+			name: p.name,
+			player: p,
+			items: [],
+			currency: 0,
+			confirmed: false,
+		}));
+	}
+
+	/**
+	 * The unique id of the trade, also used in the trade log.
+	 * @type {string}
+	 * @readonly
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @type {"open" | "completed" | "cancelled"}
+	 * @readonly
+	 */
+	get state() {
+		return this.#state;
+	}
+
+	/**
+	 * The scoreboard objective of the currency, if the trade allows currency.
+	 * @type {string | undefined}
+	 * @readonly
+	 */
+	get currency() {
+		return this.#objective;
+	}
+
+	/**
+	 * The two players of the trade.
+	 * @type {Player[]}
+	 * @readonly
+	 */
+	get players() {
+		return this.#parties.map((party) => party.player);
+	}
+
+	/**
+	 * Gets the other player of the trade.
+	 * @param {Player} player
+	 * @returns {Player}
+	 */
+	getPartner(player) {
+		return this.#otherParty(this.#party(player)).player;
+	}
+
+	/**
+	 * Gets what a player offers.
+	 * @param {Player} player
+	 * @returns {TradeOffer}
+	 */
+	getOffer(player) {
+		const party = this.#party(player);
+		return {
+			items: party.items.map((item) => item.clone()),
+			currency: party.currency,
+			confirmed: party.confirmed,
+		};
+	}
+
+	/**
+	 * Offers items from the player inventory. Every stack matching the item, compared with
+	 * {@link ItemStackUtils.compareItemStacks}, counts toward its amount.
+	 * @param {Player} player
+	 * @param {ItemStack} itemStack The item and amount to offer.
+	 * @throws {Error} If the trade is not open, or the player doesn't have enough of the item.
+	 *
+	 * @example
+	 * -// Offer the item held in the main hand
+	 * session.offerItem(player, InventoryUtils.getInventory(player).getItem(player.selectedSlotIndex));
+	 */
+	offerItem(player, itemStack) {
+		const party = this.#editableParty(player);
+		const container = InventoryUtils.getInventory(player);
+		const slots = [];
+		let found = 0;
+		for (let i = 0; i < container.size && found < itemStack.amount; i++) {
+			const item = container.getItem(i);
+			if (!item || !ItemStackUtils.compareItemStacks(item, itemStack)) continue;
+			slots.push(i);
+			found += item.amount;
+		}
+		if (found < itemStack.amount) {
+			throw new Error(`You don't have ${itemStack.amount} ${itemStack.typeId}.`);
+		}
+
+		let remaining = itemStack.amount;
+		for (const slot of slots) {
+			const item = container.getItem(slot);
+			const taken = Math.min(item.amount, remaining);
+			remaining -= taken;
+			const escrowed = item.clone();
+			escrowed.amount = taken;
+			party.items.push(escrowed);
+			if (taken === item.amount) {
+				container.setItem(slot, undefined);
+			} else {
+				item.amount -= taken;
+				container.setItem(slot, item);
+			}
+		}
+		this.#changed(party);
+	}
+
+	/**
+	 * Takes an offered item back into the player inventory.
+	 * @param {Player} player
+	 * @param {number} index The index of the item in {@link TradeOffer.items}.
+	 * @throws {Error} If the trade is not open.
+	 * @throws {RangeError} If there is no offered item at the index.
+	 */
+	withdrawItem(player, index) {
+		const party = this.#editableParty(player);
+		if (!party.items[index])
+			throw new RangeError(`There is no offered item at the index ${index}.`);
+		const [item] = party.items.splice(index, 1);
+		giveItems(player, [item]);
+		this.#changed(party);
+	}
+
+	/**
+	 * Sets the amount of currency a player offers, taking it from or giving it back to their score.
+	 * @param {Player} player
+	 * @param {number} amount
+	 * @throws {Error} If the trade is not open or has no currency, or the player can't afford the amount.
+	 * @throws {RangeError} If the amount is not a positive integer.
+	 */
+	offerCurrency(player, amount) {
+		const party = this.#editableParty(player);
+		if (!Number.isInteger(amount) || amount < 0) {
+			throw new RangeError(`The amount must be a positive integer, got <${amount}>.`);
+		}
+		const objective = this.#getObjective();
+		const difference = amount - party.currency;
+		if (difference > 0 && (objective.getScore(player) ?? 0) < difference) {
+			throw new Error(`You can't afford to offer ${amount}.`);
+		}
+		objective.addScore(player, -difference);
+		party.currency = amount;
+		this.#changed(party);
+	}
+
+	/**
+	 * Confirms the trade as it is for a player. The exchange happens once both players confirmed.
+	 * @param {Player} player
+	 * @returns {boolean} Whether the trade completed.
+	 * @throws {Error} If the trade is not open.
+	 */
+	confirm(player) {
+		const party = this.#editableParty(player);
+		party.confirmed = true;
+		Trading.afterEvents.tradeChange.emit({ session: this, player });
+		if (!this.#parties.every((p) => p.confirmed)) return false;
+		return this.#complete();
+	}
+
+	/**
+	 * Cancels the trade and gives back everything in escrow. Players who left get it back when they join again.
+	 * @param {string} [reason="Trade cancelled."]
+	 */
+	cancel(reason = "Trade cancelled.") {
+		if (this.#state !== TradeState.Open) return;
+		for (const party of this.#parties) {
+			refund(party.id, party.player.isValid ? party.player : undefined, {
+				items: party.items,
+				currency: party.currency,
+				objective: this.#objective,
+			});
+		}
+		this.#end(TradeState.Cancelled, reason);
+	}
+
+	/**
+	 * The escrow as saved in the database, to give it back if the world closes during the trade.
+	 * @returns {{ objective?: string, parties: { id: string, name: string, items: string[], currency: number }[] }}
+	 */
+	toJSON() {
+		return {
+			objective: this.#objective,
+			parties: this.#parties.map((party) => ({
+				id: party.id,
+				name: party.name,
+				items: party.items.map((item) => ItemStackUtils.stringifyItem(item)),
+				currency: party.currency,
+			})),
+		};
+	}
+
+	#complete() {
+		if (this.#parties.some((party) => !party.player.isValid)) {
+			this.cancel("A player left the trade.");
+			return false;
+		}
+		if (this.#parties.some((party) => party.currency > 0) && !this.#findObjective()) {
+			this.cancel("The trade currency doesn't exist anymore.");
+			return false;
+		}
+		for (const party of this.#parties) {
+			const receiver = this.#otherParty(party).player;
+			giveItems(receiver, party.items);
+			if (party.currency > 0) this.#findObjective().addScore(receiver, party.currency);
+		}
+		this.#end(TradeState.Completed);
+		return true;
+	}
+
+	/**
+	 * @param {"completed" | "cancelled"} state
+	 * @param {string} [reason]
+	 */
+	#end(state, reason) {
+		this.#state = state;
+		close(this, {
+			id: this.#id,
+			time: Date.now(),
+			state,
+			reason,
+			currency: this.#objective,
+			parties: this.#parties.map((party) => ({
+				id: party.id,
+				name: party.name,
+				items: party.items.map((item) => ({
+					typeId: item.typeId,
+					amount: item.amount,
+					nameTag: item.nameTag,
+				})),
+				currency: party.currency,
+			})),
+		});
+		for (const party of this.#parties) party.items = [];
+		Trading.afterEvents.tradeEnd.emit({
+			session: this,
+			completed: state === TradeState.Completed,
+			reason,
+		});
+	}
+
+	/**
+	 * @param {Party} party
+	 */
+	#changed(party) {
+		for (const p of this.#parties) p.confirmed = false;
+		database.set(`escrow:${this.#id}`, this.toJSON());
+		database.save();
+		Trading.afterEvents.tradeChange.emit({ session: this, player: party.player });
+	}
+
+	/**
+	 * @param {Player} player
+	 * @returns {Party}
+	 */
+	#party(player) {
+		const party = this.#parties.find((p) => p.id === player.id);
+		if (!party) throw new Error(`${player.name} is not part of this trade.`);
+		return party;
+	}
+
+	/**
+	 * @param {Player} player
+	 * @returns {Party}
+	 */
+	#editableParty(player) {
+		if (this.#state !== TradeState.Open) throw new Error(`The trade is ${this.#state}.`);
+		return this.#party(player);
+	}
+
+	/**
+	 * @param {Party} party
+	 * @returns {Party}
+	 */
+	#otherParty(party) {
+		return this.#parties[0] === party ? this.#parties[1] : this.#parties[0];
+	}
+
+	#findObjective() {
+		return this.#objective === undefined
+			? undefined
+			: world.scoreboard.getObjective(this.#objective);
+	}
+
+	#getObjective() {
+		if (this.#objective === undefined) throw new Error("This trade has no currency.");
+		const objective = this.#findObjective();
+		if (!objective) throw new Error(`The currency objective <${this.#objective}> doesn't exist.`);
+		return objective;
+	}
+}
+
+/**
+ * Trades between players, with escrow and a persisted trade log.
+ *
+ * Open trades are saved to world dynamic properties. If the world closes during a trade,
+ * or a player leaves, the escrow is given back, when the player joins again if needed.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { Trading } from "./Trade-Manager.js";
+ *
+ * const session = Trading.open(steve, alex, { currency: "money" });
+ * session.offerItem(steve, new ItemStack("minecraft:diamond", 5));
+ * session.offerCurrency(alex, 250);
+ * session.confirm(steve);
+ * session.confirm(alex); -// Both confirmed, the items and money are exchanged
+ *
+ * Trading.afterEvents.tradeEnd.subscribe(({ session, completed, reason }) => {
+ *     if (!completed) session.players.forEach((p) => p.isValid && p.sendMessage(reason));
+ * });
+ */
+export class Trading {
+	/**
+	 * Events of the trades.
+	 * - `tradeChange` when an offer changes or a player confirms.
+	 * - `tradeEnd` when a trade completes or is cancelled.
+	 * @type {{ tradeChange: EventSignal<{ session: TradeSession, player: Player }>, tradeEnd: EventSignal<TradeEndEvent> }}
+	 */
+	static afterEvents = {
+		tradeChange: new EventSignal(),
+		tradeEnd: new EventSignal(),
+	};
+
+	/**
+	 * The maximum amount of entries kept in the trade log. The oldest are removed first.
+	 * @type {number}
+	 */
+	static maxLogEntries = 500;
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => Trading.#recover());
+		world.afterEvents.playerSpawn.subscribe(({ player }) => Trading.#deliverRefund(player));
+		world.afterEvents.playerLeave.subscribe(({ playerId }) => {
+			sessions.get(playerId)?.cancel("A player left the trade.");
+		});
+	}
+
+	/**
+	 * Opens a trade between two players.
+	 * @param {Player} player
+	 * @param {Player} otherPlayer
+	 * @param {Object} [options={}]
+	 * @param {string} [options.currency] The scoreboard objective players can offer score of.
+	 * @returns {TradeSession}
+	 * @throws {Error} If the players are the same, or one of them is already trading.
+	 */
+	static open(player, otherPlayer, options = {}) {
+		if (player.id === otherPlayer.id) throw new Error("A player can't trade with themselves.");
+		for (const p of [player, otherPlayer]) {
+			if (sessions.has(p.id)) throw new Error(`${p.name} is already trading.`);
+		}
+		const session = new TradeSession(player, otherPlayer, options.currency);
+		sessions.set(player.id, session);
+		sessions.set(otherPlayer.id, session);
+		database.set(`escrow:${session.id}`, session.toJSON());
+		database.save();
+		return session;
+	}
+
+	/**
+	 * Gets the open trade of a player.
+	 * @param {Player} player
+	 * @returns {TradeSession | undefined}
+	 */
+	static getSession(player) {
+		return sessions.get(player.id);
+	}
+
+	/**
+	 * Gets the trade log, newest first.
+	 * @param {Object} [options={}]
+	 * @param {Player | string} [options.player] Only the trades of this player or player id.
+	 * @param {number} [options.limit=Infinity] The maximum amount of entries.
+	 * @returns {TradeLogEntry[]}
+	 */
+	static getLog(options = {}) {
+		const playerId = options.player instanceof Player ? options.player.id : options.player;
+		const entries = /** @type {TradeLogEntry[]} */ (database.get("log") ?? []);
+		return entries
+			.filter((entry) => !playerId || entry.parties.some((party) => party.id === playerId))
+			.reverse()
+			.slice(0, options.limit ?? Infinity);
+	}
+
+	/**
+	 * Turns the escrow of trades left open when the world closed into refunds.
+	 */
+	static #recover() {
+		for (const key of database.keys()) {
+			if (!key.startsWith("escrow:")) continue;
+			const escrow = database.get(key);
+			for (const party of escrow.parties) {
+				refund(party.id, undefined, {
+					items: party.items.map((item) => ItemStackUtils.parseItem(item)),
+					currency: party.currency,
+					objective: escrow.objective,
+				});
+			}
+			database.delete(key);
+		}
+		database.save();
+	}
+
+	/**
+	 * @param {Player} player
+	 */
+	static #deliverRefund(player) {
+		const pending = database.get(`refund:${player.id}`);
+		if (!pending) return;
+		database.delete(`refund:${player.id}`);
+		database.save();
+		for (const escrow of pending) {
+			refund(player.id, player, {
+				items: escrow.items.map((item) => ItemStackUtils.parseItem(item)),
+				currency: escrow.currency,
+				objective: escrow.objective,
+			});
+		}
+		player.sendMessage("You got back the items of a cancelled trade.");
+	}
+}
@@ -0,0 +1,24 @@
+import { Vec3 } from "./Math_Libraries/Vector3.js";
+
+export { Vec3 };
+
+/** Unit vectors of the six block directions, as plain `Vector3` objects. */
+export const VECTOR3_UP = Vec3(0, 1, 0);
+export const VECTOR3_DOWN = Vec3(0, -1, 0);
+export const VECTOR3_NORTH = Vec3(0, 0, -1);
+export const VECTOR3_SOUTH = Vec3(0, 0, 1);
+export const VECTOR3_EAST = Vec3(1, 0, 0);
+export const VECTOR3_WEST = Vec3(-1, 0, 0);
+export const VECTOR3_ZERO = Vec3(0, 0, 0);
+export const VECTOR3_ONE = Vec3(1, 1, 1);
+
+/**
+ * Creates a {@link Vec3}, same as calling `Vec3(x, y, z)`.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {Vec3}
+ */
+export function Vector3Builder(x, y, z) {
+	return Vec3(x, y, z);
+}
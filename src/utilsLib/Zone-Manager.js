@@ -0,0 +1,412 @@
+import { world, Dimension } from "@minecraft/server";
+import { TaskScheduler } from "./TickScheduler.js";
+import { Database } from "./Databases/Database.js";
+import { EventSignal } from "./Custom-Events.js";
+import { LocationUtils } from "./Location-Utils.js";
+import { Vec3 } from "./Vec3-Utils.js";
+
+/**
+ * The shapes a zone can have.
+ */
+export const ZoneShape = {
+	/** A box of whole blocks. */
+	Cuboid: "cuboid",
+	/** A ball around a center. */
+	Sphere: "sphere",
+	/** An upright cylinder, standing on its center. */
+	Cylinder: "cylinder",
+};
+
+/**
+ * Width, in blocks, of the cells of the spatial index.
+ */
+const CELL_SIZE = 16;
+
+/**
+ * Zones covering more cells than this are checked for every location instead of being indexed.
+ */
+const MAX_INDEXED_CELLS = 256;
+
+/**
+ * @typedef {Object} Zone
+ * @property {string} id
+ * @property {string} shape One of the {@link ZoneShape} values.
+ * @property {string} dimension The dimension id.
+ * @property {import("@minecraft/server").Vector3} min The lowest corner of the bounding box.
+ * @property {import("@minecraft/server").Vector3} max The highest corner of the bounding box.
+ * @property {import("@minecraft/server").Vector3} [center] Center of a sphere, bottom center of a cylinder.
+ * @property {number} [radius] Radius of a sphere or cylinder.
+ * @property {boolean} entities Whether entities other than players trigger the zone events.
+ * @property {any} data JSON data attached to the zone.
+ */
+
+/**
+ * @typedef {Object} ZoneOptions
+ * @property {boolean} [entities=false] Whether entities other than players trigger the zone events.
+ * @property {any} [data] JSON serializable data attached to the zone.
+ */
+
+/**
+ * @typedef {Object} ZoneEvent
+ * @property {Zone} zone
+ * @property {import("@minecraft/server").Entity} entity The player or entity. It is invalid if it left the world.
+ */
+
+/**
+ * Persistent areas firing events when players, and optionally entities, enter, stay in or leave them.
+ *
+ * Zones are saved to world dynamic properties by id and are loaded back on `worldLoad`.
+ * They are checked every tick through a spatial index, so only the zones around each player are tested.
+ *
+ * @example
+ * import { world } from "@minecraft/server";
+ * import { ZoneManager } from "./Zone-Manager.js";
+ *
+ * ZoneManager.cuboid("spawn", "overworld", { x: -50, y: -64, z: -50 }, { x: 50, y: 320, z: 50 });
+ * ZoneManager.sphere("arena", "overworld", { x: 200, y: 70, z: 0 }, 30, { data: { pvp: true } });
+ *
+ * ZoneManager.afterEvents.zoneEnter.subscribe(({ zone, entity }) => {
+ *     if (zone.id === "arena") entity.sendMessage("§cPvP is enabled here!");
+ * });
+ * ZoneManager.afterEvents.zoneLeave.subscribe(({ zone, entity }) => {
+ *     if (zone.id === "spawn") entity.sendMessage("You left the spawn.");
+ * });
+ *
+ * @example
+ * -// Entities too, like mobs walking into a trap
+ * ZoneManager.cylinder("trap", world.getDimension("overworld"), { x: 0, y: 60, z: 0 }, 3, 2, { entities: true });
+ * ZoneManager.afterEvents.zoneStay.subscribe(({ zone, entity }) => {
+ *     if (zone.id === "trap") entity.addEffect("slowness", 20);
+ * });
+ */
+export class ZoneManager {
+	/**
+	 * Zone events. `zoneStay` is emitted every tick for each zone an entity is in, starting the tick after `zoneEnter`.
+	 * @type {{ zoneEnter: EventSignal<ZoneEvent>, zoneStay: EventSignal<ZoneEvent>, zoneLeave: EventSignal<ZoneEvent> }}
+	 */
+	static afterEvents = {
+		zoneEnter: new EventSignal(),
+		zoneStay: new EventSignal(),
+		zoneLeave: new EventSignal(),
+	};
+
+	static #database = new Database("zones");
+	/** @type {Map<string, Zone>} */
+	static #zones = new Map();
+	/** @type {Map<string, Set<Zone>>} Indexed zones by `<dimension>|<cell x>|<cell z>`. */
+	static #cells = new Map();
+	/** @type {Set<Zone>} Zones too large to be indexed. */
+	static #large = new Set();
+	/** @type {Map<string, { entity: import("@minecraft/server").Entity, zones: Map<string, Zone> }>} Zones of each entity during the last tick, by zone id. */
+	static #occupants = new Map();
+
+	static {
+		world.afterEvents.worldLoad.subscribe(() => ZoneManager.#load());
+	}
+
+	/**
+	 * Creates or replaces a box zone, covering the blocks from `from` to `to` included.
+	 * @param {string} id The unique id of the zone.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {import("@minecraft/server").Vector3} from A corner block.
+	 * @param {import("@minecraft/server").Vector3} to The opposite corner block.
+	 * @param {ZoneOptions} [options]
+	 * @returns {Zone}
+	 */
+	static cuboid(id, dimension, from, to, options = {}) {
+		const [min, max] = Vec3.sort(Vec3.floor(from), Vec3.floor(to));
+		return ZoneManager.#define({
+			id,
+			shape: ZoneShape.Cuboid,
+			dimension: ZoneManager.#dimensionId(dimension),
+			min,
+			max: Vec3.add(max, { x: 1, y: 1, z: 1 }),
+			entities: options.entities ?? false,
+			data: options.data,
+		});
+	}
+
+	/**
+	 * Creates or replaces a spherical zone.
+	 * @param {string} id The unique id of the zone.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {import("@minecraft/server").Vector3} center
+	 * @param {number} radius
+	 * @param {ZoneOptions} [options]
+	 * @returns {Zone}
+	 * @throws {RangeError} If the radius is not positive.
+	 */
+	static sphere(id, dimension, center, radius, options = {}) {
+		if (!(radius > 0))
+			throw new RangeError(`Zone <${id}> radius must be positive, received ${radius}.`);
+		const extent = { x: radius, y: radius, z: radius };
+		return ZoneManager.#define({
+			id,
+			shape: ZoneShape.Sphere,
+			dimension: ZoneManager.#dimensionId(dimension),
+			min: Vec3.subtract(center, extent),
+			max: Vec3.add(center, extent),
+			center: Vec3.from(center),
+			radius,
+			entities: options.entities ?? false,
+			data: options.data,
+		});
+	}
+
+	/**
+	 * Creates or replaces an upright cylindrical zone.
+	 * @param {string} id The unique id of the zone.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {import("@minecraft/server").Vector3} center The center of the bottom face.
+	 * @param {number} radius
+	 * @param {number} height
+	 * @param {ZoneOptions} [options]
+	 * @returns {Zone}
+	 * @throws {RangeError} If the radius or height is not positive.
+	 */
+	static cylinder(id, dimension, center, radius, height, options = {}) {
+		if (!(radius > 0))
+			throw new RangeError(`Zone <${id}> radius must be positive, received ${radius}.`);
+		if (!(height > 0))
+			throw new RangeError(`Zone <${id}> height must be positive, received ${height}.`);
+		return ZoneManager.#define({
+			id,
+			shape: ZoneShape.Cylinder,
+			dimension: ZoneManager.#dimensionId(dimension),
+			min: Vec3.subtract(center, { x: radius, y: 0, z: radius }),
+			max: Vec3.add(center, { x: radius, y: height, z: radius }),
+			center: Vec3.from(center),
+			radius,
+			entities: options.entities ?? false,
+			data: options.data,
+		});
+	}
+
+	/**
+	 * Removes a zone. Entities inside it get a `zoneLeave` event on the next tick.
+	 * @param {string} id The id of the zone.
+	 * @returns {boolean} `true` if the zone existed.
+	 */
+	static remove(id) {
+		const zone = ZoneManager.#zones.get(id);
+		if (!zone) return false;
+		ZoneManager.#unindex(zone);
+		ZoneManager.#zones.delete(id);
+		ZoneManager.#database.delete(id);
+		return true;
+	}
+
+	/**
+	 * Checks if a zone exists.
+	 * @param {string} id The id of the zone.
+	 * @returns {boolean}
+	 */
+	static has(id) {
+		return ZoneManager.#zones.has(id);
+	}
+
+	/**
+	 * Gets a zone.
+	 * @remarks The zone must not be mutated, define it again to change it.
+	 * @param {string} id The id of the zone.
+	 * @returns {Zone | undefined}
+	 */
+	static get(id) {
+		return ZoneManager.#zones.get(id);
+	}
+
+	/**
+	 * Lists the zones.
+	 * @param {Dimension | string} [dimension] Only list the zones of this dimension.
+	 * @returns {Zone[]}
+	 */
+	static list(dimension) {
+		const zones = [...ZoneManager.#zones.values()];
+		if (dimension === undefined) return zones;
+		const dimensionId = ZoneManager.#dimensionId(dimension);
+		return zones.filter((zone) => zone.dimension === dimensionId);
+	}
+
+	/**
+	 * Checks if a location is inside a zone.
+	 * @param {Zone} zone
+	 * @param {import("@minecraft/server").Vector3} location
+	 * @returns {boolean}
+	 */
+	static contains(zone, location) {
+		if (!LocationUtils.isInsideBox(location, zone.min, zone.max)) return false;
+		const { center, radius } = zone;
+		switch (zone.shape) {
+			case ZoneShape.Sphere:
+				return Vec3.distance(location, center) <= radius;
+			case ZoneShape.Cylinder:
+				return (location.x - center.x) ** 2 + (location.z - center.z) ** 2 <= radius ** 2;
+			default:
+				return true;
+		}
+	}
+
+	/**
+	 * Gets the zones containing a location.
+	 * @param {Dimension | string} dimension The dimension, or its id.
+	 * @param {import("@minecraft/server").Vector3} location
+	 * @returns {Zone[]}
+	 */
+	static getZonesAt(dimension, location) {
+		return ZoneManager.#zonesAt(ZoneManager.#dimensionId(dimension), location);
+	}
+
+	/**
+	 * Gets the players and entities that were inside a zone during the last tick.
+	 * @param {string} id The id of the zone.
+	 * @returns {import("@minecraft/server").Entity[]}
+	 */
+	static getOccupants(id) {
+		const occupants = [];
+		for (const { entity, zones } of ZoneManager.#occupants.values()) {
+			if (zones.has(id) && entity.isValid) occupants.push(entity);
+		}
+		return occupants;
+	}
+
+	/**
+	 * @param {Zone} zone
+	 * @returns {Zone}
+	 */
+	static #define(zone) {
+		const previous = ZoneManager.#zones.get(zone.id);
+		if (previous) ZoneManager.#unindex(previous);
+		ZoneManager.#zones.set(zone.id, zone);
+		ZoneManager.#index(zone);
+		ZoneManager.#database.set(zone.id, zone);
+		return zone;
+	}
+
+	/**
+	 * @param {Dimension | string} dimension
+	 * @returns {string}
+	 */
+	static #dimensionId(dimension) {
+		if (dimension instanceof Dimension) return dimension.id;
+		return dimension.includes(":") ? dimension : `minecraft:${dimension}`;
+	}
+
+	/**
+	 * Calls a function with the index key of every cell overlapped by a zone.
+	 * @param {Zone} zone
+	 * @param {(key: string) => void} callback
+	 * @returns {boolean} `false` if the zone is too large to be indexed, the callback isn't called then.
+	 */
+	static #forEachCell(zone, callback) {
+		const minX = Math.floor(zone.min.x / CELL_SIZE);
+		const minZ = Math.floor(zone.min.z / CELL_SIZE);
+		const maxX = Math.floor(zone.max.x / CELL_SIZE);
+		const maxZ = Math.floor(zone.max.z / CELL_SIZE);
+		if ((maxX - minX + 1) * (maxZ - minZ + 1) > MAX_INDEXED_CELLS) return false;
+		for (let x = minX; x <= maxX; x++) {
+			for (let z = minZ; z <= maxZ; z++) callback(`${zone.dimension}|${x}|${z}`);
+		}
+		return true;
+	}
+
+	static #index(zone) {
+		const indexed = ZoneManager.#forEachCell(zone, (key) => {
+			let cell = ZoneManager.#cells.get(key);
+			if (!cell) ZoneManager.#cells.set(key, (cell = new Set()));
+			cell.add(zone);
+		});
+		if (!indexed) ZoneManager.#large.add(zone);
+	}
+
+	static #unindex(zone) {
+		ZoneManager.#large.delete(zone);
+		ZoneManager.#forEachCell(zone, (key) => {
+			const cell = ZoneManager.#cells.get(key);
+			if (!cell) return;
+			cell.delete(zone);
+			if (!cell.size) ZoneManager.#cells.delete(key);
+		});
+	}
+
+	/**
+	 * @param {string} dimensionId
+	 * @param {import("@minecraft/server").Vector3} location
+	 * @returns {Zone[]}
+	 */
+	static #zonesAt(dimensionId, location) {
+		const zones = [];
+		const cellX = Math.floor(location.x / CELL_SIZE);
+		const cellZ = Math.floor(location.z / CELL_SIZE);
+		for (const zone of ZoneManager.#cells.get(`${dimensionId}|${cellX}|${cellZ}`) ?? []) {
+			if (ZoneManager.contains(zone, location)) zones.push(zone);
+		}
+		for (const zone of ZoneManager.#large) {
+			if (zone.dimension === dimensionId && ZoneManager.contains(zone, location)) zones.push(zone);
+		}
+		return zones;
+	}
+
+	static #load() {
+		for (const [id, zone] of ZoneManager.#database.entries()) {
+			// Zones defined before the world loaded are newer than the saved ones.
+			if (ZoneManager.#zones.has(id)) continue;
+			ZoneManager.#zones.set(id, zone);
+			ZoneManager.#index(zone);
+		}
+		TaskScheduler.runInterval(() => ZoneManager.#tick(), 1);
+	}
+
+	static #tick() {
+		/** @type {Map<string, { entity: import("@minecraft/server").Entity, zones: Map<string, Zone> }>} */
+		const current = new Map();
+		for (const player of world.getPlayers()) {
+			const zones = ZoneManager.#zonesAt(player.dimension.id, player.location);
+			if (zones.length) {
+				current.set(player.id, {
+					entity: player,
+					zones: new Map(zones.map((zone) => [zone.id, zone])),
+				});
+			}
+		}
+		for (const zone of ZoneManager.#zones.values()) {
+			if (zone.entities) ZoneManager.#collectEntities(zone, current);
+		}
+
+		const { zoneEnter, zoneStay, zoneLeave } = ZoneManager.afterEvents;
+		// Zones are compared by id, so redefining a zone doesn't make its occupants leave and enter again.
+		for (const [id, { entity, zones }] of ZoneManager.#occupants) {
+			const now = current.get(id)?.zones;
+			for (const [zoneId, zone] of zones) {
+				if (now?.has(zoneId)) continue;
+				zoneLeave.emit({ zone: ZoneManager.#zones.get(zoneId) ?? zone, entity });
+			}
+		}
+		for (const [id, { entity, zones }] of current) {
+			const before = ZoneManager.#occupants.get(id)?.zones;
+			for (const [zoneId, zone] of zones) {
+				if (before?.has(zoneId)) zoneStay.emit({ zone, entity });
+				else zoneEnter.emit({ zone, entity });
+			}
+		}
+		ZoneManager.#occupants = current;
+	}
+
+	/**
+	 * Adds the non-player entities inside a zone to the current occupants.
+	 * @param {Zone} zone
+	 * @param {Map<string, { entity: import("@minecraft/server").Entity, zones: Map<string, Zone> }>} current
+	 */
+	static #collectEntities(zone, current) {
+		const entities = world.getDimension(zone.dimension).getEntities({
+			location: zone.min,
+			volume: Vec3.subtract(zone.max, zone.min),
+			excludeTypes: ["minecraft:player"],
+		});
+		for (const entity of entities) {
+			if (!ZoneManager.contains(zone, entity.location)) continue;
+			let occupant = current.get(entity.id);
+			if (!occupant) current.set(entity.id, (occupant = { entity, zones: new Map() }));
+			occupant.zones.set(zone.id, zone);
+		}
+	}
+}
@@ -312,14 +312,18 @@ export class Utility {
 	 * @param {Player} player
 	 * @param {string} State
 	 * @param {string|number} value
+	 * @param {import("./Edit-Session.js").EditSession} [session] records the change so it can be undone
 	 * @author Gamer99
 	 * @description changes the block state of the block the player is looking at
 	 */
-	static ChangeBlockState(player, State, value) {
+	static ChangeBlockState(player, State, value, session) {
 		const block = player.getBlockFromViewDirection().block;
-		block.setPermutation(
-			BlockPermutation.resolve(`${block.typeId}`).withState(`${State}`, `${value}`),
-		);
+		const change = () =>
+			block.setPermutation(
+				BlockPermutation.resolve(`${block.typeId}`).withState(`${State}`, `${value}`),
+			);
+		if (session) session.record(block, change);
+		else change();
 	}
 	/**
 	 *
@@ -2,7 +2,7 @@ import { system } from '@minecraft/server';
 
 /**
  * EXAMPLE USAGE:
- * 
+ *
  * const generator = function* () {
  *     for (let i = 0; i <= 10; i++) {
  *         yield i / 10; // progress
@@ -14,124 +14,308 @@ import { system } from '@minecraft/server';
  *     .then(result => console.log("Result:", result))
  *     .catch(err => console.error(err))
  *     .finally(() => console.log("Job finished!"));
+ *
+ * // JobPromise chains like a Promise, so jobs can be composed and awaited
+ * const count = await new JobPromise(countBlocks).then(blocks => blocks.length);
  */
 
 export default class JobPromise {
     /**
      * @param {Generator|Function} generator The generator function to run.
      * @param {(progress:any)=>void} [onProgress] Optional progress callback.
+     * @param {Object} [options] Optional job options.
+     * @param {JobPool} [options.pool] Runs the job in a pool instead of its own `system.runJob`.
+     * @param {number} [options.priority=0] Priority of the job in its pool, higher priorities run first.
+     * @param {{ aborted: boolean, reason?: any }} [options.signal] Cancels the job once aborted, see {@link JobAbortController}.
      */
-    constructor(generator, onProgress) {
+    constructor(generator, onProgress, options = {}) {
         this.generator = typeof generator === 'function' ? generator() : generator;
         this.onProgress = onProgress;
-        this.thenCallbacks = [];
-        this.catchCallbacks = [];
-        this.finallyCallbacks = [];
+        this.priority = options.priority ?? 0;
+        this.signal = options.signal;
+        /** The last value yielded by the generator. */
+        this.progress = undefined;
+        this.settled = false;
+        this.promise = new Promise((resolve, reject) => {
+            this._resolvePromise = resolve;
+            this._rejectPromise = reject;
+        });
 
-        this._startJob();
+        if (options.pool) options.pool._enqueue(this);
+        else this._startJob();
     }
 
-    then(callback) {
-        this.thenCallbacks.push(callback);
-        return this;
+    /**
+     * @param {(value:any)=>any} [onFulfilled]
+     * @param {(error:any)=>any} [onRejected]
+     * @returns {Promise<any>} A promise resolving to the callback result, like `Promise.prototype.then`.
+     */
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
     }
 
-    catch(callback) {
-        this.catchCallbacks.push(callback);
-        return this;
+    /**
+     * @param {(error:any)=>any} onRejected
+     * @returns {Promise<any>}
+     */
+    catch(onRejected) {
+        return this.promise.catch(onRejected);
+    }
+
+    /**
+     * @param {()=>void} onFinally
+     * @returns {Promise<any>}
+     */
+    finally(onFinally) {
+        return this.promise.finally(onFinally);
     }
 
-    finally(callback) {
-        this.finallyCallbacks.push(callback);
-        return this;
+    /**
+     * Stops the job and rejects it.
+     * @param {any} [reason] The rejection reason.
+     * @returns {boolean} `false` if the job had already finished.
+     */
+    cancel(reason = new Error('Job was cancelled.')) {
+        if (this.settled) return false;
+        if (this._jobId !== undefined) system.clearJob(this._jobId);
+        try {
+            this.generator.return();
+        } catch (err) {
+            console.error('Job cleanup failed:', err);
+        }
+        this._reject(reason);
+        return true;
     }
 
     _resolve(value) {
-        this.thenCallbacks.forEach(cb => cb(value));
-        this.finallyCallbacks.forEach(cb => cb());
+        if (this.settled) return;
+        this.settled = true;
+        this._resolvePromise(value);
     }
 
     _reject(error) {
-        this.catchCallbacks.forEach(cb => cb(error));
-        this.finallyCallbacks.forEach(cb => cb());
+        if (this.settled) return;
+        this.settled = true;
+        this._rejectPromise(error);
+    }
+
+    /**
+     * Advances the generator by one step.
+     * @returns {boolean} `true` once the job is finished.
+     */
+    _step() {
+        if (this.settled) return true;
+        if (this.signal?.aborted) {
+            this.cancel(this.signal.reason ?? new Error('Job was aborted.'));
+            return true;
+        }
+        try {
+            const { done, value } = this.generator.next();
+            if (done) {
+                this._resolve(value);
+                return true;
+            }
+            this.progress = value;
+            if (this.onProgress && system.currentTick !== this._lastTick) {
+                this._lastTick = system.currentTick;
+                this.onProgress(value);
+            }
+            return false;
+        } catch (err) {
+            this._reject(err);
+            return true;
+        }
     }
 
     _startJob() {
-        const generator = this.generator;
-        const onProgress = this.onProgress;
-
-        const runGenerator = () =>
-            new Promise((resolve, reject) => {
-                if (system.runJob) {
-                    const marker = Symbol("runJobStatus");
-                    system[marker] = false;
-
-                    system.runJob(
-                        (function* () {
-                            let lastTick = 0;
-                            try {
-                                while (true) {
-                                    const { done, value } = generator.next();
-                                    if (done) {
-                                        resolve(value);
-                                        system[marker] = true;
-                                        return;
-                                    } else {
-                                        if (onProgress && system.currentTick !== lastTick) {
-                                            onProgress(value);
-                                            lastTick = system.currentTick;
-                                        }
-                                        yield;
-                                    }
-                                }
-                            } catch (err) {
-                                reject(err);
-                                system[marker] = true;
-                                return;
-                            }
-                        })()
-                    );
-
-                    (async () => {
-                        while (!system[marker]) await system.waitTicks(1);
-                        delete system[marker];
-                    })();
-
-                } else {
-                    console.warn(
-                        'system.runJob is not available. Running job in an inefficient way.'
-                    );
-                    const run = () => {
-                        const startTime = Date.now();
-                        let sentProgress = false;
-                        while (true) {
-                            try {
-                                const { done, value } = generator.next();
-                                if (done) {
-                                    resolve(value);
-                                    return;
-                                } else {
-                                    if (onProgress && !sentProgress) {
-                                        onProgress(value);
-                                        sentProgress = true;
-                                    }
-                                    if (Date.now() - startTime > 4) {
-                                        system.runTimeout(run, 1);
-                                        return;
-                                    }
-                                }
-                            } catch (err) {
-                                reject(err);
-                                return;
-                            }
-                        }
-                    };
-                    run();
+        if (system.runJob) {
+            const job = this;
+            this._jobId = system.runJob(
+                (function* () {
+                    while (!job._step()) yield;
+                    job._jobId = undefined;
+                })()
+            );
+        } else {
+            console.warn(
+                'system.runJob is not available. Running job in an inefficient way.'
+            );
+            const run = () => {
+                const startTime = Date.now();
+                while (!this._step()) {
+                    if (Date.now() - startTime > 4) {
+                        system.runTimeout(run, 1);
+                        return;
+                    }
+                }
+            };
+            run();
+        }
+    }
+}
+
+/**
+ * A minimal abort controller for cancelling jobs, since `AbortController` doesn't exist in the Script API.
+ * Jobs accept any object with an `aborted` flag, so a standard `AbortSignal` works as well.
+ *
+ * EXAMPLE USAGE:
+ *
+ * const controller = new JobAbortController();
+ * pool.add(generator, { signal: controller.signal }).catch(reason => console.warn(reason));
+ * controller.abort("No longer needed");
+ */
+export class JobAbortController {
+    signal = { aborted: false, reason: undefined };
+
+    /**
+     * Aborts every job using this controller's signal.
+     * @param {any} [reason] The rejection reason of the aborted jobs.
+     */
+    abort(reason = new Error('Job was aborted.')) {
+        if (this.signal.aborted) return;
+        this.signal.aborted = true;
+        this.signal.reason = reason;
+    }
+}
+
+/**
+ * Runs many generator jobs together, sharing a time budget each tick.
+ *
+ * Waiting jobs start by priority, then in the order they were added. Every tick, running jobs are stepped
+ * in turns, highest priority first, until the budget is used up.
+ *
+ * EXAMPLE USAGE:
+ *
+ * const pool = new JobPool({ budget: 5, concurrency: 2, onProgress: p => console.log(`${(p * 100) | 0}%`) });
+ *
+ * const light = pool.add(lightingGenerator, { priority: 1 });
+ * const [a, b] = await Promise.all([pool.add(buildA), pool.add(buildB)]);
+ */
+export class JobPool {
+    #budget;
+    #concurrency;
+    #onProgress;
+    /** @type {JobPromise[]} */
+    #queue = [];
+    /** @type {JobPromise[]} */
+    #active = [];
+    #total = 0;
+    #finished = 0;
+    #runId;
+
+    /**
+     * @param {Object} [options] Optional pool options.
+     * @param {number} [options.budget=4] Milliseconds the pool may spend running jobs each tick.
+     * @param {number} [options.concurrency=Infinity] Maximum amount of jobs running at once, the others wait in queue.
+     * @param {(progress:number)=>void} [options.onProgress] Called each tick with the overall progress of the pool, from 0 to 1.
+     */
+    constructor(options = {}) {
+        this.#budget = Math.max(0, options.budget ?? 4);
+        this.#concurrency = options.concurrency ?? Infinity;
+        this.#onProgress = options.onProgress;
+        if (!(this.#concurrency >= 1)) {
+            throw new RangeError(`Pool concurrency must be at least 1, received ${options.concurrency}.`);
+        }
+    }
+
+    /**
+     * Adds a job to the pool.
+     * @param {Generator|Function} generator The generator function to run.
+     * @param {Object} [options] Optional job options.
+     * @param {number} [options.priority=0] Higher priorities start and run first.
+     * @param {{ aborted: boolean, reason?: any }} [options.signal] Cancels the job once aborted.
+     * @param {(progress:any)=>void} [options.onProgress] Optional progress callback.
+     * @returns {JobPromise}
+     */
+    add(generator, options = {}) {
+        return new JobPromise(generator, options.onProgress, {
+            pool: this,
+            priority: options.priority,
+            signal: options.signal,
+        });
+    }
+
+    /**
+     * The amount of jobs waiting to start.
+     * @type {number}
+     */
+    get pending() {
+        return this.#queue.length;
+    }
+
+    /**
+     * The amount of jobs currently running.
+     * @type {number}
+     */
+    get running() {
+        return this.#active.length;
+    }
+
+    /**
+     * The overall progress of the jobs added since the pool was last idle, from 0 to 1.
+     * Running jobs count the last number they yielded, clamped between 0 and 1.
+     * @type {number}
+     */
+    get progress() {
+        if (!this.#total) return 1;
+        let sum = this.#finished;
+        for (const job of this.#active) {
+            if (typeof job.progress === 'number') sum += Math.min(1, Math.max(0, job.progress));
+        }
+        return sum / this.#total;
+    }
+
+    /**
+     * Cancels every waiting and running job.
+     * @param {any} [reason] The rejection reason of the jobs.
+     */
+    cancelAll(reason = new Error('Job pool was cancelled.')) {
+        for (const job of [...this.#active, ...this.#queue]) job.cancel(reason);
+    }
+
+    /**
+     * Queues a job, used by {@link JobPromise}.
+     * @private
+     * @param {JobPromise} job
+     */
+    _enqueue(job) {
+        let index = this.#queue.findIndex(queued => queued.priority < job.priority);
+        if (index === -1) index = this.#queue.length;
+        this.#queue.splice(index, 0, job);
+        this.#total++;
+        this.#runId ??= system.runInterval(() => this.#tick());
+    }
+
+    #tick() {
+        const start = Date.now();
+        do {
+            this.#fill();
+            for (let i = 0; i < this.#active.length; i++) {
+                if (this.#active[i]._step()) {
+                    this.#active.splice(i--, 1);
+                    this.#finished++;
                 }
-            });
+                if (Date.now() - start >= this.#budget) break;
+            }
+        } while ((this.#active.length || this.#queue.length) && Date.now() - start < this.#budget);
 
-        runGenerator()
-            .then(value => this._resolve(value))
-            .catch(error => this._reject(error));
+        this.#onProgress?.(this.progress);
+        if (!this.#active.length && !this.#queue.length) {
+            system.clearRun(this.#runId);
+            this.#runId = undefined;
+            this.#total = 0;
+            this.#finished = 0;
+        }
+    }
+
+    /**
+     * Starts waiting jobs up to the concurrency limit.
+     */
+    #fill() {
+        if (!this.#queue.length || this.#active.length >= this.#concurrency) return;
+        while (this.#active.length < this.#concurrency && this.#queue.length) {
+            this.#active.push(this.#queue.shift());
+        }
+        this.#active.sort((a, b) => b.priority - a.priority);
     }
 }
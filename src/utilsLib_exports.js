@@ -1,19 +1,56 @@
-import { ArrayUtils } from "./utilsLib/Array-Utils"
-import { BlockUtils } from "./utilsLib/Block-Utils"
-import { CustomEvents } from "./utilsLib/Custom-Events"
-import { DimensionUtils } from "./utilsLib/Dimension-Utils"
-import { DirectionUtils } from "./utilsLib/Direction-Utils"
-import { EntityUtils } from "./utilsLib/Entity-Utils"
-import { InventoryUtils } from "./utilsLib/Inventory-Utils"
-import { ItemStackUtils } from "./utilsLib/Itemstack-Utils"
-import { LocationUtils } from "./utilsLib/Location-Utils"
-import { MathHelper, AngleUtils, Random, NumberRange } from "./utilsLib/Math-Utils"
-import { MemoryBuffer, MiscUtils } from "./utilsLib/Misc-Utils"
-import { NumberUtils } from "./utilsLib/Number-Utils"
-import { ObjectUtils } from "./utilsLib/Object-Utils"
-import { PlayerUtils } from "./utilsLib/Player-Utils"
-import { ScoreboardUtils, CustomScoreboard } from "./utilsLib/Scoreboard-Utils"
-import { StringUtils } from "./utilsLib/String-Utils"
-import { TimeUtils } from "./utilsLib/Time-Utils"
-import { Vec3 } from "./utilsLib/Vec3-Utils"
-import { } from "./utilsLib/World-Utils"
+export { ArrayUtils } from "./utilsLib/Array-Utils"
+export { BlockUtils } from "./utilsLib/Block-Utils"
+export { BlockEditor } from "./utilsLib/Block-Editor"
+export { EditSession } from "./utilsLib/Edit-Session"
+export { Region, Clipboard } from "./utilsLib/Clipboard"
+export { ColorPalette, color } from "./utilsLib/Color-Utils"
+export { CustomEvents, EventSignal } from "./utilsLib/Custom-Events"
+export { CommandRegistry, ArgumentType, CommandError } from "./utilsLib/Command-Registry"
+export { Forms, ActionMenu, PagedMenu, ModalForm } from "./utilsLib/Form-Builder"
+export { Trading, TradeSession, TradeState } from "./utilsLib/Trade-Manager"
+export { Economy, EconomyError } from "./utilsLib/Economy"
+export { HudBoard, HudBackend } from "./utilsLib/Hud-Board"
+export { FloatingLeaderboards } from "./utilsLib/Floating-Leaderboard"
+export { InventorySnapshot } from "./utilsLib/Inventory-Snapshot"
+export { InventorySeparation } from "./utilsLib/Inventory-Separation"
+export { InventoryQuery, InventoryTransaction, ItemMailbox, OverflowPolicy } from "./utilsLib/Inventory-Transaction"
+export { DimensionUtils } from "./utilsLib/Dimension-Utils"
+export { DirectionUtils } from "./utilsLib/Direction-Utils"
+export { EntityUtils } from "./utilsLib/Entity-Utils"
+export { InventoryUtils } from "./utilsLib/Inventory-Utils"
+export { ItemStackUtils } from "./utilsLib/Itemstack-Utils"
+export { LocationUtils } from "./utilsLib/Location-Utils"
+export { MathUtils, Lerp, AngleUtils, Random, NumberRange } from "./utilsLib/Math-Utils"
+export { MemoryBuffer, MiscUtils } from "./utilsLib/Misc-Utils"
+export { NumberUtils } from "./utilsLib/Number-Utils"
+export { ObjectUtils } from "./utilsLib/Object-Utils"
+export { PlayerUtils, CamShakeType } from "./utilsLib/Player-Utils"
+export { ScoreboardUtils, CustomScoreboard, IdentityRegistry, getScore, scores } from "./utilsLib/Scoreboard-Utils"
+export { StringUtils } from "./utilsLib/String-Utils"
+export { TimeUtils, Timings } from "./utilsLib/Time-Utils"
+export { ViewUtils } from "./utilsLib/View-Utils"
+export { WorldUtils, default as TimeOfDay } from "./utilsLib/World-Utils"
+export { Utility } from "./utilsLib/__temporary__utilities"
+
+export { TaskScheduler, TaskStatus } from "./utilsLib/TickScheduler"
+export { TaskRegistry, MissedTaskPolicy } from "./utilsLib/TaskRegistry"
+export { ZoneManager, ZoneShape } from "./utilsLib/Zone-Manager"
+export { LandClaims, ClaimRole, ClaimFlag } from "./utilsLib/Land-Claims"
+export { default as JobPromise, JobPool, JobAbortController } from "./utilsLib/runJob-Utils"
+export { default as Chunk } from "./utilsLib/Chunk"
+export { Experience } from "./utilsLib/Experience"
+export { getAvgTPS } from "./utilsLib/TPS"
+export { Trajectory, Projectile } from "./utilsLib/Projectile"
+
+export { QIDB } from "./utilsLib/Databases/ItemStack-Database"
+export { Database } from "./utilsLib/Databases/Database"
+export { EntitySaver } from "./utilsLib/Databases/Entity-Saver"
+
+export { Vec3 } from "./utilsLib/Math_Libraries/Vector3"
+export { Vec2 } from "./utilsLib/Math_Libraries/Vector2"
+export { Matrix2x2 } from "./utilsLib/Math_Libraries/Matrix2"
+export { Matrix3x3 } from "./utilsLib/Math_Libraries/Matrix3"
+export { LinearCurve } from "./utilsLib/Math_Libraries/LinearCurve"
+export { default as MersenneTwister } from "./utilsLib/Math_Libraries/MersenneTwister"
+export { perlin1D, perlin2D, perlin3D, perlin4D } from "./utilsLib/Math_Libraries/PerlinNoise"
+export { openSimplexNoise } from "./utilsLib/Math_Libraries/SimplexNoise"